@@ -1,20 +1,100 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const Team = require('../models/Team');
+const {
+  createPersonalTeam,
+  findValidInvite,
+  acceptInvite,
+  getMemberships
+} = require('../utils/teamMembership');
+const {
+  issueTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  CHALLENGE_TOKEN_EXPIRES_IN,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens
+} = require('../utils/authTokens');
+const { createAccountToken, consumeAccountToken } = require('../utils/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountFailures
+} = require('../utils/loginThrottle');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+  teamsRequiringTwoFactor
+} = require('../utils/twoFactor');
+const { recordAudit } = require('../utils/audit');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+// Mail problems must not fail the request that triggered the email
+const sendAccountEmail = async (send, user, purpose) => {
+  try {
+    await send(user, await createAccountToken(user, purpose));
+    return true;
+  } catch (error) {
+    console.error(`Failed to send ${purpose} email to ${user.email}:`, error);
+    return false;
+  }
+};
+
+const sendLoginBlocked = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(blocked.statusCode).json({
+    success: false,
+    message: blocked.message
   });
 };
 
+// Steps shared by a password-only login and the second step of a two-factor one
+const completeLogin = async (user, req, inviteToken) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+  await clearAccountFailures(user.email);
+
+  // Join the inviting team; a bad invite does not block the login itself
+  let invite;
+  if (inviteToken) {
+    const pendingInvite = await findValidInvite(inviteToken);
+    try {
+      if (!pendingInvite) throw new Error('Invite is invalid or has expired');
+      const team = await acceptInvite(pendingInvite, user);
+      invite = { accepted: true, team: team._id, message: `You have joined ${team.name}` };
+    } catch (error) {
+      invite = { accepted: false, message: error.message };
+    }
+  }
+
+  const tokens = await issueTokens(user, req);
+
+  // Admins of teams that require 2FA are asked to enrol before managing the team
+  const requiredBy = user.twoFactor?.enabled ? [] : await teamsRequiringTwoFactor(user._id);
+
+  return {
+    user: await User.findById(user._id).populate('team'),
+    ...tokens,
+    ...(invite && { invite }),
+    ...(requiredBy.length > 0 && {
+      twoFactorSetupRequired: true,
+      twoFactorRequiredBy: requiredBy.map(team => team.name)
+    })
+  };
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password, teamName } = req.body;
+    const { name, email, password, teamName, inviteToken } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -25,6 +105,22 @@ exports.register = async (req, res, next) => {
       });
     }
 
+    // Invited users join the inviting team instead of getting their own
+    const invite = inviteToken ? await findValidInvite(inviteToken) : null;
+    if (inviteToken && !invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite is invalid or has expired'
+      });
+    }
+
+    if (invite && invite.email !== email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Register with the email address the invite was sent to'
+      });
+    }
+
     // Create user
     const user = await User.create({
       name,
@@ -32,29 +128,30 @@ exports.register = async (req, res, next) => {
       password,
     });
 
-    // Create default team for the user
-    const team = await Team.create({
-      name: teamName || `${user.name}'s Team`,
-      createdBy: user._id,
-      members: [{
-        user: user._id,
-        role: 'admin'
-      }]
-    });
-
-    // Update user with team reference
-    user.team = team._id;
-    await user.save();
+    let team;
+    try {
+      team = invite
+        ? await acceptInvite(invite, user)
+        : await createPersonalTeam(user, teamName);
+    } catch (error) {
+      // Don't leave an account behind without a team
+      await User.findByIdAndDelete(user._id);
+      throw error;
+    }
 
-    const token = generateToken(user._id);
+    const tokens = await issueTokens(user, req);
+    const verificationSent = await sendAccountEmail(sendVerificationEmail, user, 'email-verification');
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: verificationSent
+        ? 'User registered successfully. Check your email to verify your address.'
+        : 'User registered successfully',
       data: {
         user,
         team,
-        token
+        ...tokens,
+        verificationSent
       }
     });
   } catch (error) {
@@ -67,7 +164,7 @@ exports.register = async (req, res, next) => {
 // @access  Public
 exports.login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, inviteToken } = req.body;
 
     // Validate email & password
     if (!email || !password) {
@@ -77,9 +174,16 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Locked accounts and IPs, and retries sooner than the progressive delay allows
+    const blocked = await checkLoginAllowed(email, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select('+password').populate('team');
     if (!user) {
+      await recordLoginFailure({ email, ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -89,6 +193,7 @@ exports.login = async (req, res, next) => {
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure({ email, ip: req.ip, user });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -103,19 +208,440 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // The password is right; an authenticator code completes the login.
+    // Failed attempts stay on record until then.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+          expiresIn: CHALLENGE_TOKEN_EXPIRES_IN
+        }
+      });
+    }
 
-    const token = generateToken(user._id);
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeLogin(user, req, inviteToken)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode, inviteToken } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken);
+    const user = await User.findById(challenge.id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    // Sessions revoked since the password step cannot be resumed
+    if (!user || !user.isActive || (challenge.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign-in attempt has expired. Please log in again.'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const blocked = await checkLoginAllowed(user.email, req.ip);
+    if (blocked) {
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (method === 'recovery-code') {
+      await recordAudit({
+        action: 'two-factor-recovery-code-used',
+        actor: user._id,
+        targetUser: user._id,
+        ipAddress: req.ip,
+        details: { remaining: remainingRecoveryCodes(user) }
+      });
+    }
+
+    const data = await completeLogin(user, req, inviteToken);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        user: await User.findById(user._id).populate('team'),
-        token
+        ...data,
+        ...(method === 'recovery-code' && { recoveryCodesRemaining: remainingRecoveryCodes(user) })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Two-factor status for the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+    const requiredBy = await teamsRequiringTwoFactor(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt,
+        recoveryCodesRemaining: remainingRecoveryCodes(user),
+        requiredBy: requiredBy.map(team => team.name)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrolment with a new secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Not active until a code from the authenticator app confirms it
+    const secret = generateSecret();
+    user.set('twoFactor.pendingSecret', encryptSecret(secret));
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Add the key to your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with a code and turn two-factor authentication on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+    user.set('twoFactor', {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: records
+    });
+    await user.save();
+
+    await recordAudit({
+      action: 'two-factor-enabled',
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip
+    });
+
+    // The only time the recovery codes are shown
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password +twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const requiredBy = await teamsRequiringTwoFactor(user._id);
+    if (requiredBy.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for admins of ${requiredBy.map(team => team.name).join(', ')}`
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+
+    await recordAudit({
+      action: 'two-factor-disabled',
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes, invalidating the old ones
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = records;
+    await user.save();
+
+    await recordAudit({
+      action: 'two-factor-recovery-codes-regenerated',
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refresh = async (req, res, next) => {
+  try {
+    const { tokens } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out this device, or every device with allDevices
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    // Unknown or already revoked tokens are signed out already
+    const revoked = await revokeRefreshToken(refreshToken);
+
+    if (revoked && allDevices) {
+      const user = await User.findById(revoked.user);
+      if (user) {
+        await revokeAllUserTokens(user, 'logout');
       }
+    }
+
+    res.json({
+      success: true,
+      message: allDevices ? 'Signed out on all devices' : 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const record = await consumeAccountToken(req.body.token, 'email-verification');
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await User.findByIdAndUpdate(record.user, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user, await createAccountToken(req.user, 'email-verification'));
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      await sendAccountEmail(sendPasswordResetEmail, user, 'password-reset');
+    }
+
+    // The same answer whether or not the address has an account
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Choose a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const record = await consumeAccountToken(req.body.token, 'password-reset');
+    const user = record && await User.findById(record.user).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Opening the emailed link proves the address too
+    user.password = req.body.password;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await revokeAllUserTokens(user, 'password-change');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
     });
   } catch (error) {
     next(error);
@@ -128,10 +654,11 @@ exports.login = async (req, res, next) => {
 exports.getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id).populate('team');
+    const memberships = await getMemberships(user._id);
     
     res.json({
       success: true,
-      data: { user }
+      data: { user, memberships }
     });
   } catch (error) {
     next(error);
@@ -185,12 +712,15 @@ exports.changePassword = async (req, res, next) => {
       });
     }
 
+    // Every existing session ends; this device gets fresh tokens
     user.password = newPassword;
-    await user.save();
+    await revokeAllUserTokens(user, 'password-change');
+    const tokens = await issueTokens(user, req);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: tokens
     });
   } catch (error) {
     next(error);
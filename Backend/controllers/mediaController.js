@@ -0,0 +1,240 @@
+const { pipeline } = require('stream/promises');
+const MediaAsset = require('../models/MediaAsset');
+const { getStorage } = require('../utils/mediaStorage');
+const {
+  MEDIA_CHUNK_SIZE,
+  mediaError,
+  requestBaseUrl,
+  mediaContentUrl,
+  verifyMediaToken
+} = require('../utils/mediaAssets');
+
+// What clients see of an asset; the storage key stays on the server
+const describeAsset = (asset) => ({
+  _id: asset._id,
+  clientId: asset.clientId,
+  kind: asset.kind,
+  mimeType: asset.mimeType,
+  size: asset.size,
+  chunkSize: asset.chunkSize,
+  totalChunks: asset.totalChunks,
+  receivedChunks: [...asset.receivedChunks].sort((a, b) => a - b),
+  status: asset.status,
+  questionId: asset.questionId,
+  response: asset.response,
+  createdAt: asset.createdAt,
+  completedAt: asset.completedAt
+});
+
+const sendUploadState = (res, asset, message, statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: { media: describeAsset(asset) }
+  });
+};
+
+// The team's asset, restricted to its uploader while it is being uploaded
+const findUpload = async (req) => {
+  const asset = await MediaAsset.findOne({ _id: req.params.id, team: req.team._id }).select('+storageKey');
+  if (!asset) {
+    throw mediaError('Media not found', 404);
+  }
+  if (String(asset.uploadedBy) !== String(req.user.id)) {
+    throw mediaError('Only the collector who captured this media can upload it', 403);
+  }
+  return asset;
+};
+
+// @desc    Start a chunked media upload, or resume one with the same client ID
+// @route   POST /api/media
+// @access  Private (response:submit)
+exports.createMediaUpload = async (req, res, next) => {
+  try {
+    const { clientId, kind, mimeType, size, questionId } = req.body;
+
+    // Devices resume an interrupted upload by starting it again
+    const existing = await MediaAsset.findOne({ team: req.team._id, clientId });
+    if (existing) {
+      if (existing.kind !== kind || existing.size !== Number(size)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A different file was already uploaded with this client ID'
+        });
+      }
+      return sendUploadState(res, existing, existing.status === 'complete' ? 'Media already uploaded' : 'Media upload resumed');
+    }
+
+    const asset = new MediaAsset({
+      team: req.team._id,
+      uploadedBy: req.user.id,
+      clientId,
+      kind,
+      mimeType,
+      size: Number(size),
+      chunkSize: MEDIA_CHUNK_SIZE,
+      totalChunks: Math.ceil(Number(size) / MEDIA_CHUNK_SIZE),
+      questionId
+    });
+    asset.storageKey = `${req.team._id}/${asset._id}`;
+    await asset.save();
+
+    sendUploadState(res, asset, 'Media upload started', 201);
+  } catch (error) {
+    // Lost a race with a concurrent retry of the same upload
+    if (error.code === 11000) {
+      const existing = await MediaAsset.findOne({ team: req.team._id, clientId: req.body.clientId });
+      if (existing) {
+        return sendUploadState(res, existing, 'Media upload resumed');
+      }
+    }
+    next(error);
+  }
+};
+
+// @desc    Upload one chunk of a media file
+// @route   PUT /api/media/:id/chunks/:index
+// @access  Private (uploader)
+exports.uploadMediaChunk = async (req, res, next) => {
+  try {
+    const asset = await findUpload(req);
+    const index = Number(req.params.index);
+
+    if (asset.status === 'complete') {
+      return sendUploadState(res, asset, 'Media already uploaded');
+    }
+    if (index >= asset.totalChunks) {
+      return res.status(400).json({
+        success: false,
+        message: `Chunk index must be below ${asset.totalChunks}`
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk data is required'
+      });
+    }
+
+    // Checking every chunk's size means the assembled file has the declared size
+    const expectedSize = index === asset.totalChunks - 1
+      ? asset.size - index * asset.chunkSize
+      : asset.chunkSize;
+    if (req.file.size !== expectedSize) {
+      return res.status(400).json({
+        success: false,
+        message: `Chunk ${index} must be ${expectedSize} bytes`
+      });
+    }
+
+    await getStorage().writeChunk(asset.storageKey, index, req.file.buffer);
+    const updated = await MediaAsset.findByIdAndUpdate(
+      asset._id,
+      { $addToSet: { receivedChunks: index } },
+      { new: true }
+    );
+
+    sendUploadState(res, updated, `Chunk ${index + 1} of ${asset.totalChunks} received`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assemble the uploaded chunks into the media file
+// @route   POST /api/media/:id/complete
+// @access  Private (uploader)
+exports.completeMediaUpload = async (req, res, next) => {
+  try {
+    const asset = await findUpload(req);
+
+    if (asset.status !== 'complete') {
+      const missingChunks = [...Array(asset.totalChunks).keys()]
+        .filter(index => !asset.receivedChunks.includes(index));
+      if (missingChunks.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Upload is missing ${missingChunks.length} of ${asset.totalChunks} chunks`,
+          data: { missingChunks }
+        });
+      }
+
+      const size = await getStorage().assemble(asset.storageKey, asset.totalChunks);
+      if (size !== asset.size) {
+        await getStorage().remove(asset.storageKey);
+        asset.receivedChunks = [];
+        await asset.save();
+        return res.status(400).json({
+          success: false,
+          message: 'Uploaded file does not match its declared size; upload it again'
+        });
+      }
+
+      asset.status = 'complete';
+      asset.completedAt = new Date();
+      await asset.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Media upload complete',
+      data: {
+        media: describeAsset(asset),
+        url: mediaContentUrl(requestBaseUrl(req), asset)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get media details and a content link
+// @route   GET /api/media/:id
+// @access  Private (response:view)
+exports.getMedia = async (req, res, next) => {
+  try {
+    const asset = await MediaAsset.findOne({ _id: req.params.id, team: req.team._id });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        media: describeAsset(asset),
+        ...(asset.status === 'complete' && { url: mediaContentUrl(requestBaseUrl(req), asset) })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stream a media file
+// @route   GET /api/media/:id/content?token=
+// @access  Public (signed link from the API or an export)
+exports.getMediaContent = async (req, res, next) => {
+  try {
+    verifyMediaToken(req.query.token, req.params.id);
+
+    const asset = await MediaAsset.findById(req.params.id).select('+storageKey');
+    if (!asset || asset.status !== 'complete') {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    res.setHeader('Content-Type', asset.mimeType);
+    res.setHeader('Content-Length', asset.size);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    // The app is served from another origin than the API
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    await pipeline(getStorage().createReadStream(asset.storageKey), res);
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const SurveyTemplate = require('../models/SurveyTemplate');
+const SurveyResponse = require('../models/SurveyResponse');
+const { validateResponses } = require('../utils/responseValidator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getCurrentVersion, resolveVersion } = require('../utils/templateVersioning');
+const { findMembership } = require('../utils/teamMembership');
+const { quotaExceededError } = require('../utils/quotas');
+const {
+  getRespondentId,
+  respondentFingerprint,
+  publicAvailabilityError
+} = require('../utils/publicLinks');
+
+const findByPublicToken = (token) => SurveyTemplate.findOne({ 'publicLink.token': token });
+
+// Browsers limited to one response that already answered this template
+const hasResponded = (template, fingerprint) => (
+  !template.settings.multipleResponses
+  && SurveyResponse.exists({ surveyTemplate: template._id, respondentFingerprint: fingerprint })
+);
+
+const findRetried = (template, clientId, fingerprint) => SurveyResponse.findOne({
+  clientId,
+  surveyTemplate: template._id,
+  respondentFingerprint: fingerprint
+});
+
+const sendRetried = (res, response) => res.json({
+  success: true,
+  message: 'Survey response already submitted',
+  data: { responseId: response._id, duplicate: true }
+});
+
+// @desc    Get the survey behind a public link
+// @route   GET /api/public/surveys/:token
+// @access  Public (team members may preview surveys that are not live yet)
+exports.getPublicSurvey = async (req, res, next) => {
+  try {
+    const template = await findByPublicToken(req.params.token);
+    const unavailable = publicAvailabilityError(template);
+
+    const isTeamMember = Boolean(req.user && template && await findMembership(req.user.id, template.team));
+    if (unavailable && !isTeamMember) {
+      return next(unavailable);
+    }
+
+    const version = await getCurrentVersion(template, template.createdBy);
+    const respondentId = getRespondentId(req, res);
+
+    res.json({
+      success: true,
+      data: {
+        survey: {
+          name: version.name,
+          description: version.description,
+          versionNumber: version.versionNumber,
+          sections: version.sections,
+          questions: version.questions,
+          settings: {
+            multipleResponses: template.settings.multipleResponses,
+            expirationDate: template.settings.expirationDate
+          }
+        },
+        alreadyResponded: Boolean(await hasResponded(template, respondentFingerprint(respondentId, template._id))),
+        ...(unavailable && { preview: true, unavailableReason: unavailable.message })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit a response through a public link
+// @route   POST /api/public/surveys/:token/responses
+// @access  Public
+exports.submitPublicResponse = async (req, res, next) => {
+  let template;
+  let fingerprint;
+  try {
+    const {
+      templateVersionNumber,
+      clientId,
+      responses,
+      deviceInfo = {},
+      analytics = {}
+    } = req.body;
+
+    template = await findByPublicToken(req.params.token);
+    const unavailable = publicAvailabilityError(template);
+    if (unavailable) {
+      return next(unavailable);
+    }
+
+    fingerprint = respondentFingerprint(getRespondentId(req, res), template._id);
+
+    // A retried submission from the same browser
+    if (clientId) {
+      const existingResponse = await findRetried(template, clientId, fingerprint);
+      if (existingResponse) {
+        return sendRetried(res, existingResponse);
+      }
+    }
+
+    if (await hasResponded(template, fingerprint)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already responded to this survey'
+      });
+    }
+
+    const version = await resolveVersion(template, templateVersionNumber, template.createdBy);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template version not found'
+      });
+    }
+
+    const answerErrors = validateResponses(version, responses);
+    if (answerErrors.length > 0) {
+      return sendValidationErrors(res, answerErrors);
+    }
+
+    const overQuota = await quotaExceededError(template, { responses, collectedBy: null });
+    if (overQuota) {
+      return next(overQuota);
+    }
+
+    // Attributed to the template's team; nobody collected it
+    const response = await SurveyResponse.create({
+      surveyTemplate: template._id,
+      templateVersion: version._id,
+      templateVersionNumber: version.versionNumber,
+      clientId,
+      collectedBy: null,
+      source: 'public-link',
+      respondentFingerprint: fingerprint,
+      team: template.team,
+      responses,
+      deviceInfo: {
+        platform: deviceInfo.platform,
+        userAgent: req.get('user-agent')
+      },
+      analytics: {
+        startTime: analytics.startTime ? new Date(analytics.startTime) : undefined,
+        endTime: analytics.endTime ? new Date(analytics.endTime) : new Date(),
+        completionTime: analytics.completionTime
+      },
+      metadata: {
+        ipAddress: req.ip,
+        language: req.headers['accept-language'],
+        timezone: req.headers['timezone']
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! Your response has been recorded.',
+      data: { responseId: response._id }
+    });
+  } catch (error) {
+    // Lost a race with a concurrent retry of the same submission
+    if (error.code === 11000 && req.body.clientId) {
+      const existingResponse = await findRetried(template, req.body.clientId, fingerprint);
+      if (existingResponse) {
+        return sendRetried(res, existingResponse);
+      }
+    }
+    next(error);
+  }
+};
\ No newline at end of file
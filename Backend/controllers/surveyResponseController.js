@@ -1,5 +1,26 @@
+const mongoose = require('mongoose');
 const SurveyResponse = require('../models/SurveyResponse');
 const SurveyTemplate = require('../models/SurveyTemplate');
+const SurveyTemplateVersion = require('../models/SurveyTemplateVersion');
+const { validateResponses } = require('../utils/responseValidator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { streamResponsesCSV } = require('../utils/csvExport');
+const { streamResponsesWorkbook } = require('../utils/xlsxExport');
+const { streamResponsesSPSS } = require('../utils/spssExport');
+const { resolveVersion, reconcileQuestions } = require('../utils/templateVersioning');
+const { submissionWindowError, collectionTime, isClosed } = require('../utils/templateSchedule');
+const { quotaExceededError } = require('../utils/quotas');
+const { missingLocationError } = require('../utils/responseLocation');
+const { createQuestionSummarizer } = require('../utils/questionAnalytics');
+const {
+  requestBaseUrl,
+  mediaLinks,
+  resolveResponseMedia,
+  linkResponseMedia
+} = require('../utils/mediaAssets');
+const { canEditResponse, applyResponseEdit } = require('../utils/responseRevisions');
+const { findMembership } = require('../utils/teamMembership');
+const { ACTIONS, can } = require('../utils/permissions');
 
 // @desc    Submit survey response
 // @route   POST /api/survey-responses
@@ -8,33 +29,92 @@ exports.submitResponse = async (req, res, next) => {
   try {
     const {
       surveyTemplate,
+      templateVersionNumber,
+      clientId,
       responses,
       deviceInfo,
       location,
-      analytics
+      locationOverride,
+      analytics = {}
     } = req.body;
 
-    // Verify survey template exists and is active
+    // A retried submission returns the response stored the first time
+    if (clientId) {
+      const existingResponse = await findByClientId(clientId, req.team._id);
+      if (existingResponse) {
+        return sendExistingResponse(res, existingResponse);
+      }
+    }
+
     const template = await SurveyTemplate.findOne({
       _id: surveyTemplate,
-      team: req.user.team,
-      status: 'active'
+      team: req.team._id
     });
 
-    if (!template) {
+    // Online submissions are checked against the server clock
+    const outsideWindow = template && submissionWindowError(template);
+    if (outsideWindow) {
+      return res.status(outsideWindow.statusCode).json({
+        success: false,
+        message: outsideWindow.message
+      });
+    }
+
+    // Verify survey template exists and is active
+    if (!template || template.status !== 'active') {
       return res.status(404).json({
         success: false,
         message: 'Survey template not found or not active'
       });
     }
 
+    const version = await resolveVersion(template, templateVersionNumber, req.user.id);
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template version not found'
+      });
+    }
+
+    const answerErrors = validateResponses(version, responses);
+    if (answerErrors.length > 0) {
+      return sendValidationErrors(res, answerErrors);
+    }
+
+    const noLocation = missingLocationError(template, { location, locationOverride });
+    if (noLocation) {
+      return res.status(noLocation.statusCode).json({
+        success: false,
+        message: noLocation.message
+      });
+    }
+
+    // Devices upload media before the response that uses it
+    const media = await resolveResponseMedia(version, responses, req.team._id);
+    if (media.errors.length > 0) {
+      return sendValidationErrors(res, media.errors);
+    }
+
+    const overQuota = await quotaExceededError(template, { responses, collectedBy: req.user.id });
+    if (overQuota) {
+      return res.status(overQuota.statusCode).json({
+        success: false,
+        message: overQuota.message
+      });
+    }
+
     const responseData = {
       surveyTemplate,
+      templateVersion: version._id,
+      templateVersionNumber: version.versionNumber,
+      clientId,
       collectedBy: req.user.id,
-      team: req.user.team,
+      team: req.team._id,
       responses,
+      media: media.assets.map(asset => asset._id),
       deviceInfo,
       location,
+      locationOverride,
       analytics: {
         ...analytics,
         startTime: analytics.startTime ? new Date(analytics.startTime) : undefined,
@@ -48,6 +128,7 @@ exports.submitResponse = async (req, res, next) => {
     };
 
     const response = await SurveyResponse.create(responseData);
+    await linkResponseMedia(response, media.assets);
 
     // Populate for response
     await response.populate('surveyTemplate', 'name version');
@@ -59,6 +140,13 @@ exports.submitResponse = async (req, res, next) => {
       data: { response }
     });
   } catch (error) {
+    // Lost a race with a concurrent retry of the same submission
+    if (error.code === 11000 && req.body.clientId) {
+      const existingResponse = await findByClientId(req.body.clientId, req.team._id);
+      if (existingResponse) {
+        return sendExistingResponse(res, existingResponse);
+      }
+    }
     next(error);
   }
 };
@@ -77,31 +165,166 @@ exports.syncResponses = async (req, res, next) => {
       });
     }
 
-    const syncResults = {
-      successful: [],
-      failed: []
+    // One result per submitted item, in request order, keyed by clientId so
+    // the device can drop exactly the items that reached the server
+    const results = [];
+    const templates = new Map();
+    const teams = new Map([[String(req.team._id), req.membership]]);
+    const reject = (responseData, reason, errors) => {
+      results.push({
+        clientId: responseData.clientId,
+        status: 'rejected',
+        reason,
+        ...(errors && { errors })
+      });
     };
 
     for (const responseData of responses) {
       try {
-        // Check if response already exists (by device ID and timestamp)
-        const existingResponse = await SurveyResponse.findOne({
-          'deviceInfo.deviceId': responseData.deviceInfo?.deviceId,
-          'analytics.startTime': responseData.analytics?.startTime
-        });
+        if (!responseData.clientId) {
+          reject(responseData, 'Client ID is required');
+          continue;
+        }
+
+        // Devices record the team each survey was collected for, which may
+        // not be the team that is active when the queue is synced
+        const teamId = String(responseData.team || req.team._id);
+        if (!teams.has(teamId)) {
+          const active = await findMembership(req.user.id, teamId);
+          teams.set(teamId, active ? active.membership : null);
+        }
+
+        const membership = teams.get(teamId);
+        if (!membership || !can(membership.role, ACTIONS.SUBMIT_RESPONSE)) {
+          reject(responseData, 'Not authorized to submit responses for this team');
+          continue;
+        }
+
+        const existingResponse = await findByClientId(responseData.clientId, teamId);
+
+        // An offline edit of a response the server already holds
+        if (existingResponse && responseData.baseRevision !== undefined) {
+          if (!canEditResponse(membership, existingResponse)) {
+            reject(responseData, 'Not authorized to edit this response');
+            continue;
+          }
+
+          const edit = await applyResponseEdit(existingResponse, {
+            responses: responseData.responses,
+            baseRevision: responseData.baseRevision,
+            userId: req.user.id,
+            message: 'Edited on offline device'
+          });
+
+          if (edit.status === 'invalid') {
+            reject(responseData, 'Validation failed', edit.errors);
+          } else {
+            results.push({
+              clientId: responseData.clientId,
+              status: edit.status,
+              responseId: edit.response._id,
+              revision: edit.response.revision,
+              ...(edit.conflict && { conflict: edit.conflict })
+            });
+          }
+          continue;
+        }
 
         if (existingResponse) {
-          syncResults.failed.push({
-            deviceId: responseData.deviceInfo?.deviceId,
-            error: 'Response already synced'
+          results.push({
+            clientId: responseData.clientId,
+            status: 'duplicate',
+            responseId: existingResponse._id,
+            revision: existingResponse.revision
           });
           continue;
         }
 
+        const templateKey = `${teamId}:${responseData.surveyTemplate}`;
+        if (!templates.has(templateKey)) {
+          templates.set(templateKey, await SurveyTemplate.findOne({
+            _id: responseData.surveyTemplate,
+            team: teamId
+          }));
+        }
+
+        const template = templates.get(templateKey);
+        if (!template) {
+          reject(responseData, 'Survey template not found');
+          continue;
+        }
+
+        // Drafts and templates archived by hand take no responses; one archived
+        // because it closed still takes those collected before the close
+        if (template.status !== 'active' && !(template.status === 'archived' && isClosed(template))) {
+          reject(responseData, 'Survey template is not active');
+          continue;
+        }
+
+        // Offline responses count as collected when the device finished them, so
+        // surveys completed before the close are accepted after it (and after
+        // the template was archived)
+        const outsideWindow = submissionWindowError(template, collectionTime(responseData.analytics));
+        if (outsideWindow) {
+          reject(responseData, outsideWindow.message);
+          continue;
+        }
+
+        // Offline devices may have collected under an older version
+        const version = await resolveVersion(template, responseData.templateVersionNumber, req.user.id);
+        if (!version) {
+          reject(responseData, 'Survey template version not found');
+          continue;
+        }
+
+        const answerErrors = validateResponses(version, responseData.responses);
+        if (answerErrors.length > 0) {
+          reject(responseData, 'Validation failed', answerErrors);
+          continue;
+        }
+
+        const noLocation = missingLocationError(template, responseData);
+        if (noLocation) {
+          reject(responseData, noLocation.message);
+          continue;
+        }
+
+        // Stays queued on the device until its media has finished uploading
+        const media = await resolveResponseMedia(version, responseData.responses, teamId);
+        if (media.errors.length > 0) {
+          reject(responseData, 'Media not uploaded', media.errors);
+          continue;
+        }
+
+        // Counted as the batch goes, so earlier items in it fill the quota first
+        const overQuota = await quotaExceededError(template, {
+          responses: responseData.responses,
+          collectedBy: req.user.id
+        });
+        if (overQuota) {
+          reject(responseData, overQuota.message);
+          continue;
+        }
+
+        // Only the fields a device collects; the rest are the server's to set
         const response = await SurveyResponse.create({
-          ...responseData,
+          surveyTemplate: template._id,
+          templateVersion: version._id,
+          templateVersionNumber: version.versionNumber,
+          clientId: responseData.clientId,
           collectedBy: req.user.id,
-          team: req.user.team,
+          team: teamId,
+          responses: responseData.responses,
+          media: media.assets.map(asset => asset._id),
+          deviceInfo: responseData.deviceInfo,
+          location: responseData.location,
+          locationOverride: responseData.locationOverride,
+          analytics: responseData.analytics,
+          metadata: {
+            ipAddress: req.ip,
+            language: req.headers['accept-language'],
+            timezone: req.headers['timezone']
+          },
           syncStatus: 'synced',
           syncHistory: [{
             timestamp: new Date(),
@@ -109,20 +332,102 @@ exports.syncResponses = async (req, res, next) => {
             message: 'Synced from offline device'
           }]
         });
+        await linkResponseMedia(response, media.assets);
 
-        syncResults.successful.push(response._id);
-      } catch (error) {
-        syncResults.failed.push({
-          deviceId: responseData.deviceInfo?.deviceId,
-          error: error.message
+        results.push({
+          clientId: responseData.clientId,
+          status: 'created',
+          responseId: response._id,
+          revision: response.revision
         });
+      } catch (error) {
+        // The same item arrived twice in one batch or from a concurrent sync
+        if (error.code === 11000) {
+          const existingResponse = await findByClientId(responseData.clientId, responseData.team || req.team._id)
+            .catch(() => null);
+          if (existingResponse) {
+            results.push({
+              clientId: responseData.clientId,
+              status: 'duplicate',
+              responseId: existingResponse._id,
+              revision: existingResponse.revision
+            });
+            continue;
+          }
+        }
+        reject(responseData, error.code === 11000 ? 'Client ID already in use' : error.message);
       }
     }
 
+    const summary = {
+      created: results.filter(result => result.status === 'created').length,
+      updated: results.filter(result => result.status === 'updated').length,
+      duplicate: results.filter(result => result.status === 'duplicate').length,
+      conflict: results.filter(result => result.status === 'conflict').length,
+      rejected: results.filter(result => result.status === 'rejected').length
+    };
+
+    res.json({
+      success: true,
+      message: `Sync completed: ${summary.created} created, ${summary.updated} updated, ${summary.duplicate} duplicate, ${summary.conflict} conflicts, ${summary.rejected} rejected`,
+      data: { results, summary }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Correct a submitted survey response
+// @route   PUT /api/survey-responses/:id
+// @access  Private (collector, or team roles with response:edit-any)
+exports.updateResponse = async (req, res, next) => {
+  try {
+    const { responses, baseRevision } = req.body;
+
+    const response = await SurveyResponse.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey response not found'
+      });
+    }
+
+    if (!canEditResponse(req.membership, response)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the collector or an admin can edit this response'
+      });
+    }
+
+    const edit = await applyResponseEdit(response, {
+      responses,
+      baseRevision,
+      userId: req.user.id
+    });
+
+    if (edit.status === 'invalid') {
+      return sendValidationErrors(res, edit.errors);
+    }
+
+    if (edit.status === 'conflict') {
+      return res.status(409).json({
+        success: false,
+        message: `Response was changed on the server (revision ${edit.conflict.serverRevision})`,
+        data: { response: edit.response, conflict: edit.conflict }
+      });
+    }
+
+    await edit.response.populate('surveyTemplate', 'name version');
+    await edit.response.populate('collectedBy', 'name email');
+
     res.json({
       success: true,
-      message: `Sync completed: ${syncResults.successful.length} successful, ${syncResults.failed.length} failed`,
-      data: { syncResults }
+      message: 'Survey response updated successfully',
+      data: { response: edit.response }
     });
   } catch (error) {
     next(error);
@@ -143,7 +448,7 @@ exports.getResponses = async (req, res, next) => {
       syncStatus
     } = req.query;
 
-    const query = { team: req.user.team };
+    const query = { team: req.team._id };
     
     if (surveyTemplate) query.surveyTemplate = surveyTemplate;
     if (syncStatus) query.syncStatus = syncStatus;
@@ -213,8 +518,9 @@ exports.getAnalytics = async (req, res, next) => {
   try {
     const { surveyTemplate, startDate, endDate } = req.query;
 
-    const matchQuery = { team: req.user.team };
-    if (surveyTemplate) matchQuery.surveyTemplate = surveyTemplate;
+    const matchQuery = { team: req.team._id };
+    // Aggregation pipelines do not cast ids like queries do
+    if (surveyTemplate) matchQuery.surveyTemplate = new mongoose.Types.ObjectId(surveyTemplate);
     if (startDate || endDate) {
       matchQuery.createdAt = {};
       if (startDate) matchQuery.createdAt.$gte = new Date(startDate);
@@ -284,6 +590,40 @@ exports.getAnalytics = async (req, res, next) => {
       }
     ]);
 
+    // Responses per template version, so answers can be compared across edits
+    const responsesByVersion = await SurveyResponse.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: { surveyTemplate: '$surveyTemplate', versionNumber: '$templateVersionNumber' },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          surveyTemplate: '$_id.surveyTemplate',
+          versionNumber: '$_id.versionNumber',
+          count: 1
+        }
+      },
+      { $sort: { surveyTemplate: 1, versionNumber: 1 } }
+    ]);
+
+    // Answer summaries per question need a single template to describe them
+    let questions;
+    if (surveyTemplate) {
+      const template = await SurveyTemplate.findOne({ _id: surveyTemplate, team: req.team._id });
+      if (template) {
+        const summarizer = createQuestionSummarizer(template);
+        const cursor = SurveyResponse.find(matchQuery).select('responses').lean().cursor();
+        for await (const response of cursor) {
+          summarizer.add(response);
+        }
+        questions = summarizer.finish();
+      }
+    }
+
     res.json({
       success: true,
       data: {
@@ -294,7 +634,9 @@ exports.getAnalytics = async (req, res, next) => {
           avgCompletionTime: 0,
           uniqueDevices: 0,
           responsesByDate: []
-        }
+        },
+        responsesByVersion,
+        ...(questions && { questions })
       }
     });
   } catch (error) {
@@ -309,7 +651,7 @@ exports.exportResponses = async (req, res, next) => {
   try {
     const { surveyTemplate, format = 'json', startDate, endDate } = req.query;
 
-    const query = { team: req.user.team };
+    const query = { team: req.team._id };
     if (surveyTemplate) query.surveyTemplate = surveyTemplate;
     if (startDate || endDate) {
       query.createdAt = {};
@@ -317,22 +659,58 @@ exports.exportResponses = async (req, res, next) => {
       if (endDate) query.createdAt.$lte = new Date(endDate);
     }
 
+    // Media answers are exported as signed links to the uploaded files
+    const baseUrl = requestBaseUrl(req);
+
+    if (['csv', 'xlsx', 'spss'].includes(format)) {
+      const templates = await getExportTemplates(query);
+      const cursor = SurveyResponse.find(query)
+        .populate('surveyTemplate', 'name version')
+        .populate('collectedBy', 'name email')
+        .populate('team', 'name')
+        .populate('templateVersion', 'version versionNumber')
+        .populate('media', 'clientId')
+        .sort({ createdAt: -1 })
+        .cursor()
+        .map(response => Object.assign(response, { mediaLinks: mediaLinks(response, baseUrl) }));
+      const filename = `survey-responses-${new Date().toISOString().split('T')[0]}`;
+      const metadata = {
+        exportedAt: new Date(),
+        exportedBy: req.user.name,
+        filters: { surveyTemplate, startDate, endDate }
+      };
+
+      if (format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+        return await streamResponsesWorkbook(res, templates, cursor, metadata);
+      }
+
+      if (format === 'spss') {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}-spss.zip`);
+        return await streamResponsesSPSS(res, templates, cursor, metadata);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+      return await streamResponsesCSV(res, templates, cursor);
+    }
+
     const responses = await SurveyResponse.find(query)
       .populate('surveyTemplate', 'name version')
       .populate('collectedBy', 'name email')
+      .populate('media', 'clientId kind mimeType size')
       .sort({ createdAt: -1 });
 
-    if (format === 'csv') {
-      // Implement CSV export logic
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=survey-responses.csv');
-      // Return CSV data
-      return res.send(generateCSV(responses));
-    }
-
     res.json({
       success: true,
-      data: { responses },
+      data: {
+        responses: responses.map(response => ({
+          ...response.toJSON(),
+          mediaLinks: Object.fromEntries(mediaLinks(response, baseUrl))
+        }))
+      },
       exportInfo: {
         exportedAt: new Date(),
         totalRecords: responses.length,
@@ -344,8 +722,34 @@ exports.exportResponses = async (req, res, next) => {
   }
 };
 
-// Helper function to generate CSV
-const generateCSV = (responses) => {
-  // Implementation for CSV generation
-  return 'CSV data would be generated here';
+// Templates whose questions become export columns, including questions
+// removed since older versions that exported responses were collected under
+const getExportTemplates = async (query) => {
+  const templateIds = await SurveyResponse.distinct('surveyTemplate', query);
+  const versionIds = await SurveyResponse.distinct('templateVersion', query);
+
+  const templates = await SurveyTemplate.find({ _id: { $in: templateIds } })
+    .select('name version questions')
+    .sort({ createdAt: 1 });
+  const versions = await SurveyTemplateVersion.find({ _id: { $in: versionIds } })
+    .select('template version versionNumber questions');
+
+  return templates.map(template => reconcileQuestions(
+    template,
+    versions.filter(version => String(version.template) === String(template._id))
+  ));
+};
+
+// Response previously stored for a device-generated client ID
+const findByClientId = (clientId, team) => SurveyResponse.findOne({ clientId, team });
+
+const sendExistingResponse = async (res, response) => {
+  await response.populate('surveyTemplate', 'name version');
+  await response.populate('collectedBy', 'name email');
+
+  res.json({
+    success: true,
+    message: 'Survey response already submitted',
+    data: { response, duplicate: true }
+  });
 };
\ No newline at end of file
@@ -1,5 +1,16 @@
 const SurveyTemplate = require('../models/SurveyTemplate');
 const SurveyResponse = require('../models/SurveyResponse');
+const SurveyTemplateVersion = require('../models/SurveyTemplateVersion');
+const {
+  getCurrentVersion,
+  applyTemplateUpdate,
+  diffVersions
+} = require('../utils/templateVersioning');
+const { ACTIONS, can } = require('../utils/permissions');
+const { createPublicToken } = require('../utils/publicLinks');
+const { normalizeScheduleSettings, isClosed } = require('../utils/templateSchedule');
+const { getQuotaProgress } = require('../utils/quotas');
+const { hasMediaQuestions } = require('../utils/mediaAssets');
 
 // @desc    Get all survey templates for user's team
 // @route   GET /api/survey-templates
@@ -14,7 +25,7 @@ exports.getTemplates = async (req, res, next) => {
       search
     } = req.query;
 
-    const query = { team: req.user.team };
+    const query = { team: req.team._id };
     
     if (status) query.status = status;
     if (category) query.category = category;
@@ -57,7 +68,7 @@ exports.getTemplate = async (req, res, next) => {
   try {
     const template = await SurveyTemplate.findOne({
       _id: req.params.id,
-      team: req.user.team
+      team: req.team._id
     }).populate('createdBy', 'name email');
 
     if (!template) {
@@ -76,6 +87,35 @@ exports.getTemplate = async (req, res, next) => {
   }
 };
 
+// @desc    Get progress toward the template's quotas
+// @route   GET /api/survey-templates/:id/quotas
+// @access  Private (template:view)
+exports.getTemplateQuotas = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        templateId: template._id,
+        quotas: await getQuotaProgress(template, req.user.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Create survey template
 // @route   POST /api/survey-templates
 // @access  Private
@@ -83,8 +123,10 @@ exports.createTemplate = async (req, res, next) => {
   try {
     const templateData = {
       ...req.body,
+      settings: normalizeScheduleSettings(req.body.settings),
+      publicLink: undefined,
       createdBy: req.user.id,
-      team: req.user.team
+      team: req.team._id
     };
 
     const template = await SurveyTemplate.create(templateData);
@@ -106,7 +148,7 @@ exports.updateTemplate = async (req, res, next) => {
   try {
     let template = await SurveyTemplate.findOne({
       _id: req.params.id,
-      team: req.user.team
+      team: req.team._id
     });
 
     if (!template) {
@@ -116,18 +158,118 @@ exports.updateTemplate = async (req, res, next) => {
       });
     }
 
-    template = await SurveyTemplate.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
+    // Version bookkeeping and ownership are managed by the server
+    const {
+      version,
+      versionNumber,
+      currentVersion,
+      team,
+      createdBy,
+      publicLink,
+      changeNote,
+      ...updates
+    } = req.body;
+
+    if (updates.settings) {
+      updates.settings = normalizeScheduleSettings(updates.settings);
+    }
+
+    // Archiving has its own permission; editors cannot archive through an update
+    const togglesArchive = updates.status !== undefined
+      && updates.status !== template.status
+      && [updates.status, template.status].includes('archived');
+
+    if (togglesArchive && !can(req.membership.role, ACTIONS.ARCHIVE_TEMPLATE)) {
+      return res.status(403).json({
+        success: false,
+        message: `Team role ${req.membership.role} is not authorized to perform ${ACTIONS.ARCHIVE_TEMPLATE}`
+      });
+    }
+
+    const responseCount = await SurveyResponse.countDocuments({
+      surveyTemplate: template._id
+    });
+
+    const result = await applyTemplateUpdate(template, updates, {
+      hasResponses: responseCount > 0,
+      userId: req.user.id,
+      changeNote
+    });
+    template = await result.template.populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      message: result.createdVersion
+        ? `Survey template updated as version ${template.version}`
+        : 'Survey template updated successfully',
+      data: { template, createdVersion: result.createdVersion }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Archive survey template
+// @route   PUT /api/survey-templates/:id/archive
+// @access  Private (template:archive)
+exports.archiveTemplate = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOneAndUpdate(
+      { _id: req.params.id, team: req.team._id },
+      { status: 'archived' },
+      { new: true }
     ).populate('createdBy', 'name email');
 
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Survey template updated successfully',
+      message: 'Survey template archived successfully',
+      data: { template }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore an archived survey template
+// @route   PUT /api/survey-templates/:id/unarchive
+// @access  Private (template:archive)
+exports.unarchiveTemplate = async (req, res, next) => {
+  try {
+    let template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id,
+      status: 'archived'
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archived survey template not found'
+      });
+    }
+
+    // The schedule job would archive it again within a minute
+    if (isClosed(template)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This survey has closed. Move its close time into the future to reopen it.'
+      });
+    }
+
+    template.status = 'active';
+    await template.save();
+    template = await template.populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      message: 'Survey template restored successfully',
       data: { template }
     });
   } catch (error) {
@@ -142,7 +284,7 @@ exports.deleteTemplate = async (req, res, next) => {
   try {
     const template = await SurveyTemplate.findOne({
       _id: req.params.id,
-      team: req.user.team
+      team: req.team._id
     });
 
     if (!template) {
@@ -165,6 +307,7 @@ exports.deleteTemplate = async (req, res, next) => {
     }
 
     await SurveyTemplate.findByIdAndDelete(req.params.id);
+    await SurveyTemplateVersion.deleteMany({ template: req.params.id });
 
     res.json({
       success: true,
@@ -182,7 +325,7 @@ exports.duplicateTemplate = async (req, res, next) => {
   try {
     const originalTemplate = await SurveyTemplate.findOne({
       _id: req.params.id,
-      team: req.user.team
+      team: req.team._id
     });
 
     if (!originalTemplate) {
@@ -197,6 +340,10 @@ exports.duplicateTemplate = async (req, res, next) => {
       _id: undefined,
       name: `${originalTemplate.name} (Copy)`,
       status: 'draft',
+      version: '1.0.0',
+      versionNumber: 1,
+      currentVersion: undefined,
+      publicLink: undefined,
       createdBy: req.user.id,
       createdAt: undefined,
       updatedAt: undefined
@@ -212,4 +359,255 @@ exports.duplicateTemplate = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+// @desc    Create or replace the template's public link
+// @route   POST /api/survey-templates/:id/public-link
+// @access  Private (template:edit)
+exports.createPublicLink = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    if (!template.settings.allowAnonymous) {
+      return res.status(400).json({
+        success: false,
+        message: 'Allow anonymous responses in the template settings before sharing a public link'
+      });
+    }
+
+    if (hasMediaQuestions(template)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Surveys with photo, audio or signature questions cannot be shared through a public link'
+      });
+    }
+
+    // A new token stops the previous link from working
+    const replaced = Boolean(template.publicLink?.token);
+    template.publicLink = {
+      token: createPublicToken(),
+      createdAt: new Date(),
+      createdBy: req.user.id
+    };
+    await template.save();
+
+    res.status(replaced ? 200 : 201).json({
+      success: true,
+      message: replaced ? 'Public link replaced; the old link no longer works' : 'Public link created',
+      data: { publicLink: template.publicLink }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn off the template's public link
+// @route   DELETE /api/survey-templates/:id/public-link
+// @access  Private (template:edit)
+exports.deletePublicLink = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOneAndUpdate(
+      { _id: req.params.id, team: req.team._id },
+      { $unset: { publicLink: 1 } },
+      { new: true }
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Public link disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the versions of a survey template
+// @route   GET /api/survey-templates/:id/versions
+// @access  Private
+exports.getTemplateVersions = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    const versions = await SurveyTemplateVersion.find({ template: template._id })
+      .select('-questions -settings')
+      .populate('createdBy', 'name email')
+      .sort({ versionNumber: -1 });
+
+    const counts = await SurveyResponse.aggregate([
+      { $match: { surveyTemplate: template._id } },
+      { $group: { _id: '$templateVersionNumber', count: { $sum: 1 } } }
+    ]);
+    const countByVersion = new Map(counts.map(item => [item._id, item.count]));
+
+    res.json({
+      success: true,
+      data: {
+        currentVersionNumber: template.versionNumber,
+        versions: versions.map(version => ({
+          ...version.toObject(),
+          isCurrent: version.versionNumber === template.versionNumber,
+          responseCount: countByVersion.get(version.versionNumber) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single version of a survey template
+// @route   GET /api/survey-templates/:id/versions/:versionNumber
+// @access  Private
+exports.getTemplateVersion = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    const version = await SurveyTemplateVersion.findOne({
+      template: template._id,
+      versionNumber: req.params.versionNumber
+    }).populate('createdBy', 'name email');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { version }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Compare two versions of a survey template
+// @route   GET /api/survey-templates/:id/versions/diff?from=&to=
+// @access  Private
+exports.diffTemplateVersions = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    const from = await SurveyTemplateVersion.findOne({
+      template: template._id,
+      versionNumber: req.query.from
+    });
+    // Without "to", compare against the template's current content
+    const to = req.query.to
+      ? await SurveyTemplateVersion.findOne({ template: template._id, versionNumber: req.query.to })
+      : await getCurrentVersion(template, req.user.id);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { diff: diffVersions(from, to) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore an earlier version as the template's content
+// @route   POST /api/survey-templates/:id/versions/:versionNumber/restore
+// @access  Private
+exports.restoreTemplateVersion = async (req, res, next) => {
+  try {
+    const template = await SurveyTemplate.findOne({
+      _id: req.params.id,
+      team: req.team._id
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template not found'
+      });
+    }
+
+    const version = await SurveyTemplateVersion.findOne({
+      template: template._id,
+      versionNumber: req.params.versionNumber
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey template version not found'
+      });
+    }
+
+    const responseCount = await SurveyResponse.countDocuments({
+      surveyTemplate: template._id
+    });
+
+    const { name, description, sections, questions, settings } = version.toObject();
+    const result = await applyTemplateUpdate(template, { name, description, sections, questions, settings }, {
+      hasResponses: responseCount > 0,
+      userId: req.user.id,
+      changeNote: `Restored from version ${version.version}`
+    });
+
+    res.json({
+      success: true,
+      message: `Survey template restored from version ${version.version}`,
+      data: { template: result.template, createdVersion: result.createdVersion }
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
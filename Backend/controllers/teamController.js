@@ -0,0 +1,455 @@
+const User = require('../models/User');
+const TeamInvite = require('../models/TeamInvite');
+const {
+  createInviteToken,
+  inviteExpiry,
+  countPendingInvites,
+  findValidInvite,
+  acceptInvite,
+  getMemberships,
+  findMembership,
+  reassignDefaultTeam
+} = require('../utils/teamMembership');
+const { ACTIONS, can, permissionsFor } = require('../utils/permissions');
+const { sendTeamInviteEmail } = require('../utils/accountEmails');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    Get the current user's team
+// @route   GET /api/teams/current
+// @access  Private (team member)
+exports.getTeam = async (req, res, next) => {
+  try {
+    const team = await req.team.populate('members.user', 'name email lastLogin');
+
+    const invites = can(req.membership.role, ACTIONS.MANAGE_TEAM)
+      ? await TeamInvite.find({ team: team._id, status: 'pending', expiresAt: { $gt: new Date() } })
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        team,
+        owner: team.getOwnerId(),
+        role: req.membership.role,
+        permissions: permissionsFor(req.membership.role),
+        twoFactorSetupRequired: Boolean(team.settings.requireTwoFactorForAdmins
+          && req.membership.role === 'admin'
+          && !req.user.twoFactor?.enabled),
+        invites
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List every team the current user belongs to
+// @route   GET /api/teams
+// @access  Private
+exports.getMyTeams = async (req, res, next) => {
+  try {
+    const memberships = await getMemberships(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        memberships,
+        defaultTeam: req.user.team
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Make a team the user's default for new sessions
+// @route   PUT /api/teams/active
+// @access  Private (team member)
+exports.setActiveTeam = async (req, res, next) => {
+  try {
+    const active = await findMembership(req.user.id, req.body.teamId);
+
+    if (!active) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of the selected team'
+      });
+    }
+
+    await User.findByIdAndUpdate(req.user.id, { team: active.team._id });
+
+    res.json({
+      success: true,
+      message: `Switched to ${active.team.name}`,
+      data: {
+        team: { _id: active.team._id, name: active.team.name },
+        role: active.membership.role,
+        permissions: permissionsFor(active.membership.role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a user to the team by email
+// @route   POST /api/teams/invites
+// @access  Private (team admin)
+exports.createInvite = async (req, res, next) => {
+  try {
+    const { email, role = 'member' } = req.body;
+    const team = req.team;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && team.getMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the team'
+      });
+    }
+
+    // Earlier invites for the same address are replaced, so they don't take a place
+    const pendingInvites = await countPendingInvites(team._id, { email: { $ne: email } });
+    if (team.isFull(pendingInvites)) {
+      return res.status(400).json({
+        success: false,
+        message: `Team has reached its limit of ${team.settings.maxMembers} members`
+      });
+    }
+
+    const { token, tokenHash } = createInviteToken();
+    const invite = await TeamInvite.create({
+      team: team._id,
+      email,
+      role,
+      tokenHash,
+      invitedBy: req.user.id,
+      expiresAt: inviteExpiry()
+    });
+
+    // Revoked only once the replacement exists, so a failed invite leaves them usable
+    await TeamInvite.updateMany(
+      { team: team._id, email, status: 'pending', _id: { $ne: invite._id } },
+      { status: 'revoked' }
+    );
+
+    // The token is also returned below, so the invite can be shared by hand if mail fails
+    let emailSent = true;
+    try {
+      await sendTeamInviteEmail({
+        email,
+        teamName: team.name,
+        inviterName: req.user.name,
+        role,
+        token,
+        expiresAt: invite.expiresAt
+      });
+    } catch (error) {
+      console.error(`Failed to send invite email to ${email}:`, error);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? `Invitation sent to ${email}` : `Invitation created for ${email}, but the email could not be sent`,
+      data: {
+        invite,
+        emailSent,
+        // Only returned here; the invitee presents it when registering or logging in
+        inviteToken: token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List pending invites
+// @route   GET /api/teams/invites
+// @access  Private (team admin)
+exports.getInvites = async (req, res, next) => {
+  try {
+    const invites = await TeamInvite.find({
+      team: req.team._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { invites }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invite
+// @route   DELETE /api/teams/invites/:inviteId
+// @access  Private (team admin)
+exports.revokeInvite = async (req, res, next) => {
+  try {
+    const invite = await TeamInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, team: req.team._id, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Look up an invite before registering or logging in
+// @route   GET /api/teams/invites/:token
+// @access  Public
+exports.getInvitePreview = async (req, res, next) => {
+  try {
+    const invite = await findValidInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invite: {
+          teamName: invite.team.name,
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invite as the logged-in user
+// @route   POST /api/teams/invites/accept
+// @access  Private
+exports.acceptTeamInvite = async (req, res, next) => {
+  try {
+    const invite = await findValidInvite(req.body.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const team = await acceptInvite(invite, user);
+
+    res.json({
+      success: true,
+      message: `You have joined ${team.name}`,
+      data: {
+        user: await User.findById(user._id).populate('team'),
+        team
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's team role
+// @route   PUT /api/teams/members/:userId/role
+// @access  Private (team admin)
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const team = req.team;
+    const member = team.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    if (team.getOwnerId() === String(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The team owner is always an admin. Transfer ownership first.'
+      });
+    }
+
+    member.role = req.body.role;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from the team
+// @route   DELETE /api/teams/members/:userId
+// @access  Private (team admin)
+exports.removeMember = async (req, res, next) => {
+  try {
+    const team = req.team;
+
+    if (!team.getMember(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    if (team.getOwnerId() === String(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The team owner cannot be removed. Transfer ownership first.'
+      });
+    }
+
+    team.members = team.members.filter(member => String(member.user) !== String(req.params.userId));
+    await team.save();
+
+    // Removed users keep an account, so their default moves to a team they still belong to
+    const user = await User.findById(req.params.userId);
+    if (user) {
+      await reassignDefaultTeam(user, team._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a member's login lockout
+// @route   POST /api/teams/members/:userId/unlock
+// @access  Private (team admin)
+exports.unlockMember = async (req, res, next) => {
+  try {
+    const team = req.team;
+    const user = team.getMember(req.params.userId) && await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const wasLocked = await unlockAccount(user, {
+      actor: req.user.id,
+      team: team._id,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked ? `${user.name} can log in again` : `${user.name} was not locked out`,
+      data: { wasLocked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hand team ownership to another member
+// @route   POST /api/teams/transfer-ownership
+// @access  Private (team owner)
+exports.transferOwnership = async (req, res, next) => {
+  try {
+    const team = req.team;
+
+    if (team.getOwnerId() !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team owner can transfer ownership'
+      });
+    }
+
+    const member = team.getMember(req.body.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    member.role = 'admin';
+    team.owner = member.user;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'Team ownership transferred successfully',
+      data: { team }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update team security settings
+// @route   PUT /api/teams/settings
+// @access  Private (team admin)
+exports.updateTeamSettings = async (req, res, next) => {
+  try {
+    const team = req.team;
+    const { requireTwoFactorForAdmins } = req.body;
+
+    // Otherwise the admin turning it on would lock themselves out of managing the team
+    if (requireTwoFactorForAdmins && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    team.settings.requireTwoFactorForAdmins = requireTwoFactorForAdmins;
+    await team.save();
+
+    await recordAudit({
+      action: 'team-settings-updated',
+      actor: req.user.id,
+      team: team._id,
+      ipAddress: req.ip,
+      details: { requireTwoFactorForAdmins }
+    });
+
+    res.json({
+      success: true,
+      message: 'Team settings updated',
+      data: { settings: team.settings }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
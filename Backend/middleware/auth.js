@@ -29,12 +29,20 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change or sign-out everywhere
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked.'
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
     res.status(401).json({
       success: false,
-      message: 'Invalid token.'
+      message: error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.'
     });
   }
 };
@@ -46,7 +54,9 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id).select('-password');
-      req.user = user;
+      if (user && (decoded.tv || 0) === (user.tokenVersion || 0)) {
+        req.user = user;
+      }
     }
     
     next();
@@ -1,4 +1,9 @@
 const errorHandler = (err, req, res, next) => {
+  // A streamed response has already started; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   let error = { ...err };
   error.message = err.message;
 
@@ -23,6 +28,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Multer upload limits (media chunks)
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'Upload chunk is too large' : err.message;
+    error = { message, statusCode: 400 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -0,0 +1,45 @@
+const rateLimit = require('express-rate-limit');
+
+// Stricter per-IP limit for endpoints that accept credentials or create accounts
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '20', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts from this IP, please try again later.'
+  }
+});
+
+// Endpoints that send email: capped per recipient, so rotating IPs cannot
+// flood one inbox or use up the mail quota
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.EMAIL_RATE_LIMIT_MAX || '5', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `email:${String(req.body.email || '').trim().toLowerCase()}`),
+  message: {
+    success: false,
+    message: 'Too many emails requested for this account, please try again later.'
+  }
+});
+
+// Anyone holding a public survey link can submit, so cap submissions per IP
+const publicSubmitLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PUBLIC_SUBMIT_RATE_LIMIT_MAX || '30', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many survey submissions from this IP, please try again later.'
+  }
+});
+
+module.exports = {
+  authLimiter,
+  emailLimiter,
+  publicSubmitLimiter
+};
\ No newline at end of file
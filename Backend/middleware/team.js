@@ -0,0 +1,63 @@
+const { can } = require('../utils/permissions');
+const { getMemberships, findMembership } = require('../utils/teamMembership');
+
+// Load the team the request acts on and the user's membership in it. Clients
+// pick their active team per session with the X-Team-Id header; without it the
+// user's default team is used, or their first team if they left the default.
+const loadTeam = async (req, res, next) => {
+  try {
+    const requestedTeam = req.header('X-Team-Id');
+    let active = await findMembership(req.user.id, requestedTeam || req.user.team);
+
+    if (!active && !requestedTeam) {
+      const [first] = await getMemberships(req.user.id);
+      active = first && await findMembership(req.user.id, first.team._id);
+    }
+
+    if (!active) {
+      return res.status(403).json({
+        success: false,
+        message: requestedTeam
+          ? 'You are not a member of the selected team'
+          : 'You are not a member of an active team'
+      });
+    }
+
+    req.team = active.team;
+    req.membership = active.membership;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to members whose team role grants the action (see utils/permissions).
+// Teams requiring 2FA for admins keep admin-only actions from admins who have
+// not enrolled; what a member may do stays open to them.
+const requirePermission = (action) => {
+  return (req, res, next) => {
+    if (!can(req.membership.role, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Team role ${req.membership.role} is not authorized to perform ${action}`
+      });
+    }
+
+    if (req.team.settings?.requireTwoFactorForAdmins
+      && req.membership.role === 'admin'
+      && !can('member', action)
+      && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: `${req.team.name} requires two-factor authentication for admins. Enable it to perform ${action}`,
+        twoFactorSetupRequired: true
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  loadTeam,
+  requirePermission
+};
\ No newline at end of file
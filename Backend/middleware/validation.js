@@ -1,17 +1,22 @@
 const { validationResult } = require('express-validator');
 
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors
+  });
+};
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
-    });
+    return sendValidationErrors(res, errors.array());
   }
   next();
 };
 
 module.exports = {
-  handleValidationErrors
+  handleValidationErrors,
+  sendValidationErrors
 };
\ No newline at end of file
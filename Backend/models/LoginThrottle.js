@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts for one account email or one client IP. Documents
+// expire after a quiet period, which resets the count.
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
\ No newline at end of file
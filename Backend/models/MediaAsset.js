@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A photo, audio note or signature captured for a media question. Devices
+// upload it in chunks, possibly long after capture; responses refer to it by
+// the clientId the device generated, and it is linked to the response once
+// that arrives.
+const mediaAssetSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // UUID generated on the device at capture; makes upload retries idempotent
+  clientId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['photo', 'audio', 'signature'],
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Declared by the device when the upload starts; checked once it is assembled
+  size: {
+    type: Number,
+    required: true
+  },
+  // Chunk size the upload was started with; every chunk but the last has this size
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  receivedChunks: [Number],
+  status: {
+    type: String,
+    enum: ['uploading', 'complete'],
+    default: 'uploading'
+  },
+  // Where the storage backend keeps the file
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyResponse',
+    default: null
+  },
+  questionId: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ team: 1, clientId: 1 }, { unique: true });
+mediaAssetSchema.index({ response: 1 });
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
\ No newline at end of file
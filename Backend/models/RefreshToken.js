@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Long-lived credential a device exchanges for short-lived access tokens.
+// Tokens rotate on every use; all tokens descended from one login share a
+// family so a replayed token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  deviceInfo: {
+    deviceId: String,
+    platform: String,
+    userAgent: String,
+    ipAddress: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'password-change', 'reuse-detected', 'deactivated']
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt < new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
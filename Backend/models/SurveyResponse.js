@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LOCATION_OVERRIDE_REASONS } = require('../utils/responseLocation');
 
 const responseSchema = new mongoose.Schema({
   surveyTemplate: {
@@ -6,10 +7,35 @@ const responseSchema = new mongoose.Schema({
     ref: 'SurveyTemplate',
     required: true
   },
+  // Snapshot of the template the answers were collected under
+  templateVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyTemplateVersion'
+  },
+  templateVersionNumber: Number,
+  // UUID generated on the device when the survey is saved; makes submit and sync idempotent
+  clientId: {
+    type: String,
+    trim: true
+  },
+  // Null for responses respondents submitted themselves through a public link
   collectedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.source !== 'public-link';
+    },
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['collector', 'public-link'],
+    default: 'collector'
+  },
+  // Hash of the browser's respondent cookie, used to enforce settings.multipleResponses
+  respondentFingerprint: {
+    type: String,
+    select: false
   },
   team: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,14 +51,32 @@ const responseSchema = new mongoose.Schema({
   location: {
     latitude: Number,
     longitude: Number,
-    accuracy: Number,
-    address: String
+    accuracy: Number, // in metres
+    address: String,
+    // When the device got the fix, which may be before the survey was submitted
+    capturedAt: Date
+  },
+  // Why a template requiring location got a response without one
+  locationOverride: {
+    reason: {
+      type: String,
+      enum: LOCATION_OVERRIDE_REASONS
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Location override note cannot exceed 500 characters']
+    }
   },
   responses: {
     // Dynamic structure based on survey template
     type: Map,
     of: mongoose.Schema.Types.Mixed
   },
+  // Uploaded photos, recordings and signatures the media answers refer to
+  media: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MediaAsset'
+  }],
   analytics: {
     completionTime: Number, // in seconds
     startTime: Date,
@@ -44,10 +88,22 @@ const responseSchema = new mongoose.Schema({
     enum: ['pending', 'synced', 'failed'],
     default: 'synced'
   },
+  // Incremented on every edit of the answers; edits must name the revision they were based on
+  revision: {
+    type: Number,
+    default: 1
+  },
   syncHistory: [{
     timestamp: Date,
     status: String,
-    message: String
+    message: String,
+    revision: Number,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // For status 'conflict': { baseRevision, serverRevision, fields: [{ questionId, server, local }] }
+    conflict: mongoose.Schema.Types.Mixed
   }],
   metadata: {
     ipAddress: String,
@@ -60,10 +116,13 @@ const responseSchema = new mongoose.Schema({
 
 // Compound indexes for better query performance
 responseSchema.index({ surveyTemplate: 1, createdAt: -1 });
+responseSchema.index({ surveyTemplate: 1, templateVersionNumber: 1 });
 responseSchema.index({ collectedBy: 1, createdAt: -1 });
 responseSchema.index({ team: 1, syncStatus: 1 });
 responseSchema.index({ createdAt: -1 });
 responseSchema.index({ 'deviceInfo.deviceId': 1 });
+responseSchema.index({ surveyTemplate: 1, respondentFingerprint: 1 });
+responseSchema.index({ clientId: 1 }, { unique: true, sparse: true });
 
 // Virtual for response duration
 responseSchema.virtual('duration').get(function() {
@@ -1,41 +1,7 @@
 const mongoose = require('mongoose');
-
-const questionSchema = new mongoose.Schema({
-  type: {
-    type: String,
-    enum: ['text', 'rating', 'multiple-choice', 'ranking', 'open-ended'],
-    required: true
-  },
-  questionText: {
-    type: String,
-    required: [true, 'Question text is required'],
-    trim: true,
-    maxlength: [500, 'Question text cannot exceed 500 characters']
-  },
-  description: {
-    type: String,
-    maxlength: [1000, 'Description cannot exceed 1000 characters']
-  },
-  options: [{
-    text: String,
-    value: mongoose.Schema.Types.Mixed
-  }],
-  required: {
-    type: Boolean,
-    default: false
-  },
-  validation: {
-    min: Number,
-    max: Number,
-    pattern: String,
-    minLength: Number,
-    maxLength: Number
-  },
-  order: {
-    type: Number,
-    required: true
-  }
-});
+const questionSchema = require('./questionSchema');
+const sectionSchema = require('./sectionSchema');
+const { validateRules } = require('../../skip-logic');
 
 const surveyTemplateSchema = new mongoose.Schema({
   name: {
@@ -52,6 +18,17 @@ const surveyTemplateSchema = new mongoose.Schema({
     type: String,
     default: '1.0.0'
   },
+  // Incremented whenever an edit creates a new version snapshot
+  versionNumber: {
+    type: Number,
+    default: 1
+  },
+  currentVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyTemplateVersion'
+  },
+  // Pages of the survey, in order; optional, a template without sections is one page
+  sections: [sectionSchema],
   questions: [questionSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -73,6 +50,15 @@ const surveyTemplateSchema = new mongoose.Schema({
       default: false
     },
     expirationDate: Date,
+    // Collection window; responses collected outside it are rejected and the
+    // template is archived once it closes (see utils/templateSchedule)
+    opensAt: Date,
+    closesAt: Date,
+    // IANA zone the window was scheduled in, e.g. Africa/Nairobi
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
     requireLocation: {
       type: Boolean,
       default: false
@@ -88,15 +74,99 @@ const surveyTemplateSchema = new mongoose.Schema({
     enum: ['student', 'customer', 'employee', 'market', 'other'],
     default: 'student'
   },
-  tags: [String]
+  tags: [String],
+  // Sample targets enforced on submit and sync (see utils/quotas)
+  quotas: {
+    total: {
+      type: Number,
+      min: [1, 'Total quota must be at least 1']
+    },
+    perCollector: {
+      type: Number,
+      min: [1, 'Per collector quota must be at least 1']
+    },
+    // Caps on responses giving `value` to a question, as a count or a
+    // percentage of the total
+    answers: [{
+      questionId: {
+        type: String,
+        required: true,
+        validate: {
+          validator: function(questionId) {
+            return this.ownerDocument().questions.some(question => String(question._id) === questionId);
+          },
+          message: 'Answer quota refers to a question that is not in this template'
+        }
+      },
+      value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+      },
+      label: String,
+      limit: {
+        type: Number,
+        min: [1, 'Answer quota limit must be at least 1']
+      },
+      percent: {
+        type: Number,
+        min: [1, 'Answer quota percentage must be between 1 and 100'],
+        max: [100, 'Answer quota percentage must be between 1 and 100']
+      }
+    }]
+  },
+  // Shareable link for respondents to answer without an account; only served
+  // while settings.allowAnonymous is on
+  publicLink: {
+    token: String,
+    createdAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
 }, {
   timestamps: true
 });
 
+// Display rules must only look back at earlier questions and never loop
+surveyTemplateSchema.pre('validate', function(next) {
+  validateRules(this.questions).forEach(({ questionId, message }) => {
+    const index = this.questions.findIndex(question => String(question._id) === questionId);
+    this.invalidate(`questions.${index}.showIf`, message);
+  });
+  next();
+});
+
+// With sections, every question sits on one of them, and question order runs
+// section by section so pages and display rules agree on what comes first
+surveyTemplateSchema.pre('validate', function(next) {
+  if (this.sections.length === 0) return next();
+
+  const sectionRank = new Map([...this.sections]
+    .sort((a, b) => a.order - b.order)
+    .map((section, rank) => [String(section._id), rank]));
+
+  this.questions.forEach((question, index) => {
+    if (!sectionRank.has(question.section)) {
+      this.invalidate(`questions.${index}.section`, `"${question.questionText}" must be assigned to one of the template's sections`);
+    }
+  });
+
+  const ranks = [...this.questions]
+    .filter(question => sectionRank.has(question.section))
+    .sort((a, b) => a.order - b.order)
+    .map(question => sectionRank.get(question.section));
+  if (ranks.some((rank, index) => index > 0 && rank < ranks[index - 1])) {
+    this.invalidate('questions', 'Questions must be ordered section by section');
+  }
+  next();
+});
+
 surveyTemplateSchema.index({ createdBy: 1 });
 surveyTemplateSchema.index({ team: 1 });
 surveyTemplateSchema.index({ status: 1 });
 surveyTemplateSchema.index({ category: 1 });
 surveyTemplateSchema.index({ tags: 1 });
+surveyTemplateSchema.index({ 'publicLink.token': 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('SurveyTemplate', surveyTemplateSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const questionSchema = require('./questionSchema');
+const sectionSchema = require('./sectionSchema');
+
+// Immutable snapshot of a survey template's content. Responses reference the
+// snapshot they were collected under so later edits never change their meaning.
+const surveyTemplateVersionSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyTemplate',
+    required: true
+  },
+  versionNumber: {
+    type: Number,
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  sections: [sectionSchema],
+  questions: [questionSchema],
+  settings: mongoose.Schema.Types.Mixed,
+  changeNote: {
+    type: String,
+    maxlength: [500, 'Change note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+surveyTemplateVersionSchema.index({ template: 1, versionNumber: 1 }, { unique: true });
+
+// Snapshots may be created but never modified
+surveyTemplateVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Template versions are immutable'));
+  }
+  next();
+});
+
+surveyTemplateVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Template versions are immutable'));
+});
+
+module.exports = mongoose.model('SurveyTemplateVersion', surveyTemplateVersionSchema);
\ No newline at end of file
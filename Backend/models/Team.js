@@ -16,6 +16,11 @@ const teamSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Defaults to the creator; can be handed to another admin
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   members: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -39,6 +44,11 @@ const teamSchema = new mongoose.Schema({
     maxMembers: {
       type: Number,
       default: 50
+    },
+    // Admins can export every response, contact details included
+    requireTwoFactorForAdmins: {
+      type: Boolean,
+      default: false
     }
   },
   isActive: {
@@ -51,5 +61,24 @@ const teamSchema = new mongoose.Schema({
 
 teamSchema.index({ createdBy: 1 });
 teamSchema.index({ isActive: 1 });
+teamSchema.index({ 'members.user': 1 });
+
+teamSchema.pre('save', function(next) {
+  if (!this.owner) this.owner = this.createdBy;
+  next();
+});
+
+teamSchema.methods.getOwnerId = function() {
+  return String(this.owner || this.createdBy);
+};
+
+// Works whether members.user is populated or not
+teamSchema.methods.getMember = function(userId) {
+  return this.members.find(member => String(member.user?._id || member.user) === String(userId));
+};
+
+teamSchema.methods.isFull = function(pendingInvites = 0) {
+  return this.members.length + pendingInvites >= this.settings.maxMembers;
+};
 
 module.exports = mongoose.model('Team', teamSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Invitation to join a team. Only a hash of the token is stored; the token
+// itself is handed to the inviter once and travels to the invitee by email.
+const teamInviteSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member', 'viewer'],
+    default: 'member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+teamInviteSchema.index({ tokenHash: 1 }, { unique: true });
+teamInviteSchema.index({ team: 1, status: 1 });
+teamInviteSchema.index({ team: 1, email: 1 });
+
+teamInviteSchema.virtual('isExpired').get(function() {
+  return this.expiresAt < new Date();
+});
+
+module.exports = mongoose.model('TeamInvite', teamInviteSchema);
\ No newline at end of file
@@ -39,7 +39,42 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   lastLogin: Date,
+  // Embedded in access tokens; bumping it revokes every token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // TOTP secrets are encrypted (see utils/twoFactor); pendingSecret holds an
+  // enrolment until the first code confirms it
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: Number,
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
   preferences: {
     language: {
       type: String,
@@ -76,6 +111,13 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.tokenVersion;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt
+    };
+  }
   return user;
 };
 
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { OPERATORS } = require('../../skip-logic');
+
+// multiple-choice takes one option, multi-select any number; a matrix rates
+// each of its rows on the options as a scale. Media answers name an uploaded
+// MediaAsset by its clientId.
+const QUESTION_TYPES = [
+  'text', 'open-ended', 'email', 'phone',
+  'number', 'rating', 'slider', 'nps',
+  'multiple-choice', 'multi-select', 'ranking', 'matrix',
+  'date', 'time', 'datetime',
+  'photo', 'audio', 'signature'
+];
+
+// Shared by survey templates and their immutable version snapshots
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  questionText: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [500, 'Question text cannot exceed 500 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  options: [{
+    text: String,
+    value: mongoose.Schema.Types.Mixed
+  }],
+  // Matrix rows, keyed in answers by value (or text when there is no value)
+  rows: [{
+    text: String,
+    value: mongoose.Schema.Types.Mixed
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  validation: {
+    min: Number,
+    max: Number,
+    pattern: String,
+    minLength: Number,
+    maxLength: Number,
+    // Slider increment
+    step: Number
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  // _id of the template section the question appears on
+  section: String,
+  // Show the question only when these conditions on earlier answers hold
+  // (see skip-logic.js at the project root, shared with the browser)
+  showIf: {
+    match: {
+      type: String,
+      enum: ['all', 'any']
+    },
+    conditions: {
+      type: [{
+        _id: false,
+        questionId: {
+          type: String,
+          required: true
+        },
+        operator: {
+          type: String,
+          enum: OPERATORS,
+          required: true
+        },
+        value: mongoose.Schema.Types.Mixed
+      }],
+      default: undefined
+    }
+  }
+});
+
+module.exports = questionSchema;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A page of a survey template; questions name the section they appear on.
+// Shared by survey templates and their immutable version snapshots
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true,
+    maxlength: [200, 'Section title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Section description cannot exceed 1000 characters']
+  },
+  order: {
+    type: Number,
+    required: true
+  }
+});
+
+module.exports = sectionSchema;
\ No newline at end of file
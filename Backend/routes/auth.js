@@ -3,11 +3,24 @@ const { body } = require('express-validator');
 const {
   register,
   login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getMe,
   updateProfile,
   changePassword
 } = require('../controllers/authController');
 const { auth } = require('../middleware/auth');
+const { authLimiter, emailLimiter } = require('../middleware/rateLimit');
 const { handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
@@ -24,7 +37,11 @@ const registerValidation = [
     .withMessage('Please provide a valid email'),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .withMessage('Password must be at least 6 characters long'),
+  body('inviteToken')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invite token is invalid')
 ];
 
 const loginValidation = [
@@ -34,7 +51,97 @@ const loginValidation = [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('inviteToken')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invite token is invalid')
+];
+
+const deviceInfoValidation = [
+  body('deviceInfo.deviceId')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device ID cannot exceed 100 characters'),
+  body('deviceInfo.platform')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Platform cannot exceed 100 characters')
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isHexadecimal()
+    .isLength({ min: 96, max: 96 })
+    .withMessage('Valid refresh token is required')
+];
+
+const logoutValidation = [
+  ...refreshTokenValidation,
+  body('allDevices')
+    .optional()
+    .isBoolean()
+    .withMessage('allDevices must be a boolean')
+];
+
+const emailTokenValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  ...emailTokenValidation,
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code from your authenticator app')
+];
+
+// An authenticator code, or a recovery code instead
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code from your authenticator app'),
+  body('recoveryCode')
+    .if(body('code').not().exists())
+    .isString()
+    .isLength({ min: 8, max: 20 })
+    .withMessage('Enter an authentication code or a recovery code')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Valid challenge token is required'),
+  ...secondFactorValidation,
+  body('inviteToken')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invite token is invalid')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactorValidation
 ];
 
 const changePasswordValidation = [
@@ -47,8 +154,20 @@ const changePasswordValidation = [
 ];
 
 // Routes
-router.post('/register', registerValidation, handleValidationErrors, register);
-router.post('/login', loginValidation, handleValidationErrors, login);
+router.post('/register', authLimiter, registerValidation, deviceInfoValidation, handleValidationErrors, register);
+router.post('/login', authLimiter, loginValidation, deviceInfoValidation, handleValidationErrors, login);
+router.post('/refresh', refreshTokenValidation, handleValidationErrors, refresh);
+router.post('/logout', logoutValidation, handleValidationErrors, logout);
+router.post('/verify-email', emailTokenValidation, handleValidationErrors, verifyEmail);
+router.post('/resend-verification', authLimiter, auth, emailLimiter, resendVerification);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, handleValidationErrors, emailLimiter, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, handleValidationErrors, resetPassword);
+router.post('/2fa/verify', authLimiter, twoFactorLoginValidation, deviceInfoValidation, handleValidationErrors, verifyTwoFactorLogin);
+router.get('/2fa', auth, getTwoFactorStatus);
+router.post('/2fa/setup', auth, setupTwoFactor);
+router.post('/2fa/enable', auth, twoFactorCodeValidation, handleValidationErrors, enableTwoFactor);
+router.post('/2fa/disable', auth, disableTwoFactorValidation, handleValidationErrors, disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, twoFactorCodeValidation, handleValidationErrors, regenerateRecoveryCodes);
 router.get('/me', auth, getMe);
 router.put('/profile', auth, updateProfile);
 router.put('/change-password', auth, changePasswordValidation, handleValidationErrors, changePassword);
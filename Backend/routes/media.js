@@ -0,0 +1,72 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const {
+  createMediaUpload,
+  uploadMediaChunk,
+  completeMediaUpload,
+  getMedia,
+  getMediaContent
+} = require('../controllers/mediaController');
+const { auth } = require('../middleware/auth');
+const { loadTeam, requirePermission } = require('../middleware/team');
+const { ACTIONS } = require('../utils/permissions');
+const { handleValidationErrors } = require('../middleware/validation');
+const { MEDIA_TYPES, MEDIA_CHUNK_SIZE, MEDIA_MAX_SIZE, isAcceptedMimeType } = require('../utils/mediaAssets');
+
+const router = express.Router();
+
+// Chunks are small, so they are buffered in memory and written by the storage backend
+const chunkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_CHUNK_SIZE, files: 1 }
+});
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid media ID is required')
+];
+
+const createValidation = [
+  body('clientId')
+    .isUUID()
+    .withMessage('Client ID must be a UUID'),
+  body('kind')
+    .isIn(MEDIA_TYPES)
+    .withMessage('Kind must be photo, audio or signature'),
+  body('mimeType')
+    .custom((mimeType, { req }) => isAcceptedMimeType(req.body.kind, mimeType))
+    .withMessage('File format is not accepted for this kind of media'),
+  body('size')
+    .isInt({ min: 1, max: MEDIA_MAX_SIZE })
+    .withMessage(`File size must be between 1 byte and ${Math.floor(MEDIA_MAX_SIZE / (1024 * 1024))} MB`),
+  body('questionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Question ID must be a valid ID')
+];
+
+const chunkValidation = [
+  ...idValidation,
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Chunk index must be a non-negative integer')
+];
+
+const contentValidation = [
+  ...idValidation,
+  query('token')
+    .notEmpty()
+    .withMessage('Media link token is required')
+];
+
+// Routes
+router.post('/', auth, loadTeam, requirePermission(ACTIONS.SUBMIT_RESPONSE), createValidation, handleValidationErrors, createMediaUpload);
+router.put('/:id/chunks/:index', auth, loadTeam, requirePermission(ACTIONS.SUBMIT_RESPONSE), chunkUpload.single('chunk'), chunkValidation, handleValidationErrors, uploadMediaChunk);
+router.post('/:id/complete', auth, loadTeam, requirePermission(ACTIONS.SUBMIT_RESPONSE), idValidation, handleValidationErrors, completeMediaUpload);
+router.get('/:id', auth, loadTeam, requirePermission(ACTIONS.VIEW_RESPONSES), idValidation, handleValidationErrors, getMedia);
+router.get('/:id/content', contentValidation, handleValidationErrors, getMediaContent);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getPublicSurvey,
+  submitPublicResponse
+} = require('../controllers/publicSurveyController');
+const { optionalAuth } = require('../middleware/auth');
+const { publicSubmitLimiter } = require('../middleware/rateLimit');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation rules
+const tokenValidation = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 48, max: 48 })
+    .withMessage('Survey link is invalid')
+];
+
+const publicResponseValidation = [
+  ...tokenValidation,
+  body('responses')
+    .isObject()
+    .withMessage('Responses must be an object'),
+  body('clientId')
+    .optional()
+    .isUUID()
+    .withMessage('Client ID must be a UUID'),
+  body('templateVersionNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Template version number must be a positive integer'),
+  body('analytics.completionTime')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Completion time must be a positive number')
+];
+
+// Routes
+router.get('/surveys/:token', optionalAuth, tokenValidation, handleValidationErrors, getPublicSurvey);
+router.post('/surveys/:token/responses', publicSubmitLimiter, publicResponseValidation, handleValidationErrors, submitPublicResponse);
+
+module.exports = router;
\ No newline at end of file
@@ -1,17 +1,50 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   submitResponse,
   syncResponses,
+  updateResponse,
   getResponses,
   getAnalytics,
   exportResponses
 } = require('../controllers/surveyResponseController');
 const { auth } = require('../middleware/auth');
+const { loadTeam, requirePermission } = require('../middleware/team');
+const { ACTIONS } = require('../utils/permissions');
 const { handleValidationErrors } = require('../middleware/validation');
+const { LOCATION_OVERRIDE_REASONS } = require('../utils/responseLocation');
 
 const router = express.Router();
 
+// Location fields, for single responses (prefix '') or sync items ('responses.*.')
+const locationValidation = (prefix = '') => [
+  body(`${prefix}location.latitude`)
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body(`${prefix}location.longitude`)
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body(`${prefix}location.accuracy`)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Location accuracy must be a positive number of metres'),
+  body(`${prefix}location.capturedAt`)
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Location fix time must be an ISO 8601 date and time'),
+  body(`${prefix}locationOverride.reason`)
+    .optional()
+    .isIn(LOCATION_OVERRIDE_REASONS)
+    .withMessage(`Location override reason must be one of: ${LOCATION_OVERRIDE_REASONS.join(', ')}`),
+  body(`${prefix}locationOverride.note`)
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Location override note cannot exceed 500 characters')
+];
+
 // Validation rules
 const responseValidation = [
   body('surveyTemplate')
@@ -19,7 +52,28 @@ const responseValidation = [
     .withMessage('Valid survey template ID is required'),
   body('responses')
     .isObject()
-    .withMessage('Responses must be an object')
+    .withMessage('Responses must be an object'),
+  body('clientId')
+    .optional()
+    .isUUID()
+    .withMessage('Client ID must be a UUID'),
+  body('templateVersionNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Template version number must be a positive integer'),
+  ...locationValidation()
+];
+
+const updateValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid survey response ID is required'),
+  body('responses')
+    .isObject()
+    .withMessage('Responses must be an object'),
+  body('baseRevision')
+    .isInt({ min: 1 })
+    .withMessage('Base revision must be a positive integer')
 ];
 
 const syncValidation = [
@@ -28,14 +82,31 @@ const syncValidation = [
     .withMessage('Responses must be an array'),
   body('responses.*.surveyTemplate')
     .isMongoId()
-    .withMessage('Valid survey template ID is required for each response')
+    .withMessage('Valid survey template ID is required for each response'),
+  body('responses.*.team')
+    .optional()
+    .isMongoId()
+    .withMessage('Team must be a valid team ID'),
+  body('responses.*.templateVersionNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Template version number must be a positive integer'),
+  ...locationValidation('responses.*.')
+];
+
+const analyticsValidation = [
+  query('surveyTemplate')
+    .optional()
+    .isMongoId()
+    .withMessage('Survey template must be a valid template ID')
 ];
 
 // Routes
-router.get('/', auth, getResponses);
-router.get('/analytics', auth, getAnalytics);
-router.get('/export', auth, exportResponses);
-router.post('/', auth, responseValidation, handleValidationErrors, submitResponse);
-router.post('/sync', auth, syncValidation, handleValidationErrors, syncResponses);
+router.get('/', auth, loadTeam, requirePermission(ACTIONS.VIEW_RESPONSES), getResponses);
+router.get('/analytics', auth, loadTeam, requirePermission(ACTIONS.VIEW_RESPONSES), analyticsValidation, handleValidationErrors, getAnalytics);
+router.get('/export', auth, loadTeam, requirePermission(ACTIONS.EXPORT_RESPONSES), exportResponses);
+router.post('/', auth, loadTeam, requirePermission(ACTIONS.SUBMIT_RESPONSE), responseValidation, handleValidationErrors, submitResponse);
+router.post('/sync', auth, loadTeam, requirePermission(ACTIONS.SUBMIT_RESPONSE), syncValidation, handleValidationErrors, syncResponses);
+router.put('/:id', auth, loadTeam, requirePermission(ACTIONS.SUBMIT_RESPONSE), updateValidation, handleValidationErrors, updateResponse);
 
 module.exports = router;
\ No newline at end of file
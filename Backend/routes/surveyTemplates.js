@@ -1,15 +1,27 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   getTemplates,
   getTemplate,
+  getTemplateQuotas,
   createTemplate,
   updateTemplate,
+  archiveTemplate,
+  unarchiveTemplate,
   deleteTemplate,
-  duplicateTemplate
+  duplicateTemplate,
+  createPublicLink,
+  deletePublicLink,
+  getTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  restoreTemplateVersion
 } = require('../controllers/surveyTemplateController');
 const { auth } = require('../middleware/auth');
+const { loadTeam, requirePermission } = require('../middleware/team');
+const { ACTIONS } = require('../utils/permissions');
 const { handleValidationErrors } = require('../middleware/validation');
+const { isValidTimeZone, toInstant } = require('../utils/templateSchedule');
 
 const router = express.Router();
 
@@ -23,6 +35,21 @@ const templateValidation = [
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Description cannot exceed 1000 characters'),
+  body('sections')
+    .optional()
+    .isArray()
+    .withMessage('Sections must be an array'),
+  body('sections.*.title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Section title is required and cannot exceed 200 characters'),
+  body('sections.*.description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Section description cannot exceed 1000 characters'),
+  body('sections.*.order')
+    .isInt({ min: 0 })
+    .withMessage('Section order must be a whole number'),
   body('questions')
     .isArray({ min: 1 })
     .withMessage('At least one question is required'),
@@ -31,16 +58,123 @@ const templateValidation = [
     .isLength({ min: 1, max: 500 })
     .withMessage('Question text is required and cannot exceed 500 characters'),
   body('questions.*.type')
-    .isIn(['text', 'rating', 'multiple-choice', 'ranking', 'open-ended'])
-    .withMessage('Invalid question type')
+    .isIn([
+      'text', 'open-ended', 'email', 'phone',
+      'number', 'rating', 'slider', 'nps',
+      'multiple-choice', 'multi-select', 'ranking', 'matrix',
+      'date', 'time', 'datetime',
+      'photo', 'audio', 'signature'
+    ])
+    .withMessage('Invalid question type'),
+  body('questions.*')
+    .custom(question => !['multiple-choice', 'multi-select', 'ranking', 'matrix'].includes(question.type)
+      || (Array.isArray(question.options) && question.options.length > 0))
+    .withMessage('Choice, ranking and matrix questions need options'),
+  body('questions.*')
+    .custom(question => question.type !== 'matrix'
+      || (Array.isArray(question.rows) && question.rows.length > 0))
+    .withMessage('Matrix questions need at least one row'),
+  body('questions.*.validation.step')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Slider step must be a positive number'),
+  body('questions.*.validation')
+    .optional({ values: 'null' })
+    .custom(validation => typeof validation.min !== 'number' || typeof validation.max !== 'number'
+      || validation.min <= validation.max)
+    .withMessage('Minimum cannot be greater than the maximum'),
+  body('settings.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone such as Africa/Nairobi'),
+  body('settings.requireLocation')
+    .optional()
+    .isBoolean()
+    .withMessage('Require location must be true or false'),
+  body('settings.opensAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Open time must be an ISO 8601 date and time'),
+  body('settings.closesAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Close time must be an ISO 8601 date and time')
+    .bail()
+    .custom((closesAt, { req }) => {
+      const { opensAt, timezone } = req.body.settings;
+      return !opensAt || toInstant(closesAt, timezone) > toInstant(opensAt, timezone);
+    })
+    .withMessage('Close time must be after the open time'),
+  body('quotas.total')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Total quota must be a positive integer'),
+  body('quotas.perCollector')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Per collector quota must be a positive integer'),
+  body('quotas.answers')
+    .optional()
+    .isArray()
+    .withMessage('Answer quotas must be an array'),
+  body('quotas.answers.*.questionId')
+    .isString()
+    .notEmpty()
+    .withMessage('Each answer quota needs a question'),
+  body('quotas.answers.*.value')
+    .custom(value => value !== undefined && value !== null && value !== '')
+    .withMessage('Each answer quota needs an answer value'),
+  body('quotas.answers.*.limit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Answer quota limit must be a positive integer'),
+  body('quotas.answers.*.percent')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Answer quota percentage must be between 1 and 100'),
+  body('quotas.answers.*')
+    .custom(quota => Boolean(quota.limit) !== Boolean(quota.percent))
+    .withMessage('Each answer quota needs either a limit or a percentage')
+    .bail()
+    .custom((quota, { req }) => !quota.percent || Boolean(req.body.quotas.total))
+    .withMessage('Percentage quotas need a total quota'),
+  body('changeNote')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Change note cannot exceed 500 characters')
+];
+
+const versionParamValidation = [
+  param('versionNumber')
+    .isInt({ min: 1 })
+    .withMessage('Version number must be a positive integer')
+];
+
+const versionDiffValidation = [
+  query('from')
+    .isInt({ min: 1 })
+    .withMessage('From version must be a positive integer'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To version must be a positive integer')
 ];
 
 // Routes
-router.get('/', auth, getTemplates);
-router.get('/:id', auth, getTemplate);
-router.post('/', auth, templateValidation, handleValidationErrors, createTemplate);
-router.put('/:id', auth, templateValidation, handleValidationErrors, updateTemplate);
-router.delete('/:id', auth, deleteTemplate);
-router.post('/:id/duplicate', auth, duplicateTemplate);
+router.get('/', auth, loadTeam, requirePermission(ACTIONS.VIEW_TEMPLATE), getTemplates);
+router.get('/:id', auth, loadTeam, requirePermission(ACTIONS.VIEW_TEMPLATE), getTemplate);
+router.get('/:id/quotas', auth, loadTeam, requirePermission(ACTIONS.VIEW_TEMPLATE), getTemplateQuotas);
+router.post('/', auth, loadTeam, requirePermission(ACTIONS.CREATE_TEMPLATE), templateValidation, handleValidationErrors, createTemplate);
+router.put('/:id', auth, loadTeam, requirePermission(ACTIONS.EDIT_TEMPLATE), templateValidation, handleValidationErrors, updateTemplate);
+router.put('/:id/archive', auth, loadTeam, requirePermission(ACTIONS.ARCHIVE_TEMPLATE), archiveTemplate);
+router.put('/:id/unarchive', auth, loadTeam, requirePermission(ACTIONS.ARCHIVE_TEMPLATE), unarchiveTemplate);
+router.delete('/:id', auth, loadTeam, requirePermission(ACTIONS.DELETE_TEMPLATE), deleteTemplate);
+router.post('/:id/duplicate', auth, loadTeam, requirePermission(ACTIONS.CREATE_TEMPLATE), duplicateTemplate);
+router.post('/:id/public-link', auth, loadTeam, requirePermission(ACTIONS.EDIT_TEMPLATE), createPublicLink);
+router.delete('/:id/public-link', auth, loadTeam, requirePermission(ACTIONS.EDIT_TEMPLATE), deletePublicLink);
+router.get('/:id/versions', auth, loadTeam, requirePermission(ACTIONS.VIEW_TEMPLATE), getTemplateVersions);
+router.get('/:id/versions/diff', auth, loadTeam, requirePermission(ACTIONS.VIEW_TEMPLATE), versionDiffValidation, handleValidationErrors, diffTemplateVersions);
+router.get('/:id/versions/:versionNumber', auth, loadTeam, requirePermission(ACTIONS.VIEW_TEMPLATE), versionParamValidation, handleValidationErrors, getTemplateVersion);
+router.post('/:id/versions/:versionNumber/restore', auth, loadTeam, requirePermission(ACTIONS.EDIT_TEMPLATE), versionParamValidation, handleValidationErrors, restoreTemplateVersion);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getTeam,
+  getMyTeams,
+  setActiveTeam,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInvitePreview,
+  acceptTeamInvite,
+  updateMemberRole,
+  removeMember,
+  unlockMember,
+  transferOwnership,
+  updateTeamSettings
+} = require('../controllers/teamController');
+const { auth } = require('../middleware/auth');
+const { loadTeam, requirePermission } = require('../middleware/team');
+const { ACTIONS } = require('../utils/permissions');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation rules
+const inviteValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(['admin', 'member', 'viewer'])
+    .withMessage('Role must be admin, member or viewer')
+];
+
+const acceptInviteValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid invite token is required')
+];
+
+const memberValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required')
+];
+
+const roleValidation = [
+  ...memberValidation,
+  body('role')
+    .isIn(['admin', 'member', 'viewer'])
+    .withMessage('Role must be admin, member or viewer')
+];
+
+const activeTeamValidation = [
+  body('teamId')
+    .isMongoId()
+    .withMessage('Valid team ID is required')
+];
+
+const settingsValidation = [
+  body('requireTwoFactorForAdmins')
+    .isBoolean()
+    .withMessage('requireTwoFactorForAdmins must be a boolean')
+    .toBoolean()
+];
+
+const transferValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required')
+];
+
+// Routes
+router.get('/', auth, getMyTeams);
+router.get('/current', auth, loadTeam, getTeam);
+router.put('/active', auth, activeTeamValidation, handleValidationErrors, setActiveTeam);
+router.get('/invites', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), getInvites);
+router.post('/invites', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), inviteValidation, handleValidationErrors, createInvite);
+router.post('/invites/accept', auth, acceptInviteValidation, handleValidationErrors, acceptTeamInvite);
+router.get('/invites/:token', getInvitePreview);
+router.delete('/invites/:inviteId', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), revokeInvite);
+router.put('/members/:userId/role', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), roleValidation, handleValidationErrors, updateMemberRole);
+router.delete('/members/:userId', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), memberValidation, handleValidationErrors, removeMember);
+router.post('/members/:userId/unlock', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), memberValidation, handleValidationErrors, unlockMember);
+router.put('/settings', auth, loadTeam, requirePermission(ACTIONS.MANAGE_TEAM), settingsValidation, handleValidationErrors, updateTeamSettings);
+router.post('/transfer-ownership', auth, loadTeam, transferValidation, handleValidationErrors, transferOwnership);
+
+module.exports = router;
\ No newline at end of file
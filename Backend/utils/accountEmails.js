@@ -0,0 +1,56 @@
+// Emails sent for account and team flows. Links open the web app, which reads
+// the token from the query string.
+
+const { sendMail } = require('./mailer');
+
+const APP_URL = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/$/, '');
+
+const appLink = (param, token) => `${APP_URL}/?${param}=${token}`;
+
+const formatExpiry = (expiresAt) => new Date(expiresAt).toUTCString();
+
+const sendVerificationEmail = (user, { token, expiresAt }) => sendMail({
+  to: user.email,
+  subject: 'Verify your O-RANJ email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    appLink('verify', token),
+    '',
+    `The link expires on ${formatExpiry(expiresAt)}.`
+  ].join('\n')
+});
+
+const sendPasswordResetEmail = (user, { token, expiresAt }) => sendMail({
+  to: user.email,
+  subject: 'Reset your O-RANJ password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone asked to reset the password for your account. To choose a new password, open:',
+    appLink('reset', token),
+    '',
+    `The link can be used once and expires on ${formatExpiry(expiresAt)}.`,
+    'If you did not ask for this, you can ignore this email.'
+  ].join('\n')
+});
+
+const sendTeamInviteEmail = ({ email, teamName, inviterName, role, token, expiresAt }) => sendMail({
+  to: email,
+  subject: `${inviterName} invited you to ${teamName} on O-RANJ`,
+  text: [
+    `${inviterName} invited you to join ${teamName} as ${role === 'admin' ? 'an' : 'a'} ${role}.`,
+    '',
+    'Open this link to register or sign in and join the team:',
+    appLink('invite', token),
+    '',
+    `The invitation expires on ${formatExpiry(expiresAt)}.`
+  ].join('\n')
+});
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendTeamInviteEmail
+};
@@ -0,0 +1,43 @@
+// Single-use email tokens for verifying addresses and resetting passwords
+
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+
+const TOKEN_LIFETIMES = {
+  'email-verification': parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || '48', 10) * 60 * 60 * 1000,
+  'password-reset': parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60', 10) * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A new token replaces any unused one for the same purpose
+const createAccountToken = async (user, purpose) => {
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[purpose])
+  });
+  return { token, expiresAt: record.expiresAt };
+};
+
+// Mark the token used and return its record, or null if it is unknown,
+// expired or already used. Only one request can consume a token.
+const consumeAccountToken = (token, purpose) => AccountToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { usedAt: new Date() },
+  { new: true }
+);
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken
+};
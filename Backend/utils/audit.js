@@ -0,0 +1,16 @@
+// Write audit entries without letting a logging failure break the request
+
+const AuditLog = require('../models/AuditLog');
+
+const recordAudit = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`Failed to record audit entry ${entry.action}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,157 @@
+// Access and refresh tokens. Access tokens are short-lived JWTs carrying the
+// user's tokenVersion; refresh tokens are random strings stored hashed, rotated
+// on every use and revocable per device or for every device at once.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10);
+// A rotated token presented again this soon is a race between the page and
+// the service worker refreshing together, not a stolen token
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+const tokenError = (message, statusCode = 401) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateAccessToken = (user) => jwt.sign(
+  { id: user._id, tv: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Proves the password step of a two-factor login. Signed with a derived key so
+// it can never pass as an access token.
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+const generateChallengeToken = (user) => jwt.sign(
+  { id: user._id, tv: user.tokenVersion || 0 },
+  challengeSecret(),
+  { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+);
+
+// The user id the challenge was issued for; throws a 401 when it is invalid or expired
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, challengeSecret());
+  } catch (error) {
+    throw tokenError('Sign-in attempt has expired. Please log in again.');
+  }
+};
+
+const requestDeviceInfo = (req, deviceInfo = {}) => ({
+  deviceId: deviceInfo.deviceId,
+  platform: deviceInfo.platform,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+const createRefreshToken = async (user, deviceInfo, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    deviceInfo,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    lastUsedAt: new Date()
+  });
+  return { token, record };
+};
+
+// Tokens for a new session on the requesting device
+const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await createRefreshToken(user, requestDeviceInfo(req, req.body.deviceInfo));
+  return {
+    token: generateAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Exchange a refresh token for a new access token and a replacement refresh token
+const rotateRefreshToken = async (token, req) => {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!current || current.isExpired) {
+    throw tokenError('Refresh token is invalid or has expired');
+  }
+
+  if (current.revokedAt) {
+    const racing = current.revokedReason === 'rotated'
+      && Date.now() - current.revokedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+    // Anyone replaying an already rotated token may hold a stolen copy
+    if (current.revokedReason === 'rotated' && !racing) {
+      await revokeFamily(current.family, 'reuse-detected');
+    }
+    throw tokenError('Refresh token has been revoked');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    await revokeFamily(current.family, 'deactivated');
+    throw tokenError('Account deactivated');
+  }
+
+  const { token: refreshToken, record } = await createRefreshToken(user, {
+    ...current.deviceInfo,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  }, current.family);
+
+  // Only one request may rotate a given token
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: record._id, lastUsedAt: new Date() }
+  );
+  if (!rotated) {
+    await RefreshToken.deleteOne({ _id: record._id });
+    throw tokenError('Refresh token has been revoked');
+  }
+
+  return {
+    user,
+    tokens: {
+      token: generateAccessToken(user),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    }
+  };
+};
+
+// Sign one device out. Returns the revoked token's record, or null if it was unknown.
+const revokeRefreshToken = (token, reason = 'logout') => RefreshToken.findOneAndUpdate(
+  { tokenHash: hashToken(token), revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Sign the user out everywhere: refresh tokens stop working and access tokens
+// already handed out fail their tokenVersion check
+const revokeAllUserTokens = async (user, reason) => {
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+};
+
+module.exports = {
+  tokenError,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  CHALLENGE_TOKEN_EXPIRES_IN,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens
+};
@@ -0,0 +1,147 @@
+// Variable names, value codes and labels derived from template questions.
+// Used by the XLSX codebook sheet and the SPSS syntax so both describe the same coding.
+
+const { getOptionValue } = require('./responseValidator');
+const { MEDIA_TYPES } = require('./mediaAssets');
+
+const DEFAULT_TEXT_WIDTH = 255;
+const DEFAULT_OPEN_ENDED_WIDTH = 1000;
+// Media answers export as signed links, which outgrow short text fields
+const MEDIA_LINK_WIDTH = 1000;
+
+// Numeric option values are kept as codes, otherwise options are numbered 1..n
+const codeOptions = (question) => {
+  const options = question.options || [];
+  const values = options.map(option => getOptionValue(option));
+  const numeric = values.length > 0 &&
+    values.every(value => value !== '' && Number.isFinite(Number(value)));
+
+  return options.map((option, index) => ({
+    answer: String(values[index]),
+    code: numeric ? Number(values[index]) : index + 1,
+    label: option.text || String(values[index])
+  }));
+};
+
+const textWidth = (question) => {
+  if (question.validation?.maxLength) return question.validation.maxLength;
+  if (question.type === 'open-ended') return DEFAULT_OPEN_ENDED_WIDTH;
+  return MEDIA_TYPES.includes(question.type) ? MEDIA_LINK_WIDTH : DEFAULT_TEXT_WIDTH;
+};
+
+const encodeOption = (codes, answer) => {
+  if (answer === undefined || answer === null || answer === '') return undefined;
+  const match = codes.find(code => code.answer === String(answer));
+  if (match) return match.code;
+  const number = Number(answer);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Builds one or more variables per question column
+const buildVariables = (questionColumns) => {
+  const prefixNames = new Set(questionColumns.map(column => column.templateId)).size > 1;
+
+  return questionColumns.flatMap(column => {
+    const { question } = column;
+    const baseName = prefixNames
+      ? `T${column.templateIndex + 1}_Q${column.questionIndex + 1}`
+      : `Q${column.questionIndex + 1}`;
+    const common = {
+      column,
+      label: column.header,
+      questionType: question.type,
+      required: Boolean(question.required)
+    };
+
+    switch (question.type) {
+      case 'rating':
+      case 'multiple-choice': {
+        const codes = codeOptions(question);
+        return [{
+          ...common,
+          name: baseName,
+          type: 'numeric',
+          width: 12,
+          decimals: 0,
+          valueLabels: codes.map(code => ({ value: code.code, label: code.label })),
+          encode: answer => encodeOption(codes, answer)
+        }];
+      }
+      case 'number':
+      case 'slider':
+      case 'nps':
+        return [{
+          ...common,
+          name: baseName,
+          type: 'numeric',
+          width: 12,
+          decimals: question.type === 'nps' ? 0 : 2,
+          valueLabels: [],
+          encode: answer => {
+            if (answer === undefined || answer === null || answer === '') return undefined;
+            const number = Number(answer);
+            return Number.isFinite(number) ? number : undefined;
+          }
+        }];
+      case 'multi-select':
+        // One selected (1) / not selected (0) variable per option
+        return codeOptions(question).map((code, index) => ({
+          ...common,
+          name: `${baseName}_${index + 1}`,
+          label: `${column.header}: ${code.label}`,
+          type: 'numeric',
+          width: 1,
+          decimals: 0,
+          valueLabels: [{ value: 0, label: 'Not selected' }, { value: 1, label: 'Selected' }],
+          encode: answer => (Array.isArray(answer) ? Number(answer.map(String).includes(code.answer)) : undefined)
+        }));
+      case 'matrix': {
+        // One variable per row, coded on the shared scale
+        const codes = codeOptions(question);
+        return (question.rows || []).map((row, index) => {
+          const rowValue = String(getOptionValue(row));
+          return {
+            ...common,
+            name: `${baseName}_${index + 1}`,
+            label: `${column.header}: ${row.text || rowValue}`,
+            type: 'numeric',
+            width: 12,
+            decimals: 0,
+            valueLabels: codes.map(code => ({ value: code.code, label: code.label })),
+            encode: answer => (answer && typeof answer === 'object' ? encodeOption(codes, answer[rowValue]) : undefined)
+          };
+        });
+      }
+      case 'ranking':
+        // One rank variable per option
+        return codeOptions(question).map((code, index) => ({
+          ...common,
+          name: `${baseName}_${index + 1}`,
+          label: `${column.header}: ${code.label}`,
+          type: 'numeric',
+          width: 12,
+          decimals: 0,
+          valueLabels: [],
+          encode: answer => {
+            if (!Array.isArray(answer)) return undefined;
+            const position = answer.map(String).indexOf(code.answer);
+            return position === -1 ? undefined : position + 1;
+          }
+        }));
+      default:
+        return [{
+          ...common,
+          name: baseName,
+          type: 'string',
+          width: textWidth(question),
+          valueLabels: [],
+          encode: answer => answer
+        }];
+    }
+  });
+};
+
+module.exports = {
+  buildVariables,
+  codeOptions
+};
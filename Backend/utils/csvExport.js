@@ -0,0 +1,56 @@
+// Streams survey responses as RFC 4180 CSV, one column per template question.
+
+const { once } = require('events');
+const {
+  baseColumns,
+  formatTextCell,
+  buildQuestionColumns,
+  getColumnAnswer
+} = require('./exportColumns');
+
+const CRLF = '\r\n';
+// Lets Excel detect UTF-8 when opening the file directly
+const UTF8_BOM = '\uFEFF';
+
+// Quote a field when it contains a delimiter, quote or line break (RFC 4180),
+// after neutralising any leading formula character
+const escapeField = (value) => {
+  const text = formatTextCell(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toRow = (fields) => fields.map(escapeField).join(',') + CRLF;
+
+// Write the header row and then one row per document from the cursor,
+// waiting for the socket to drain so large exports stay out of memory
+const streamResponsesCSV = async (res, templates, cursor) => {
+  const questionColumns = buildQuestionColumns(templates);
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await once(res, 'drain');
+    }
+  };
+
+  await write(UTF8_BOM + toRow([
+    ...baseColumns.map(column => column.header),
+    ...questionColumns.map(column => column.header)
+  ]));
+
+  for await (const response of cursor) {
+    await write(toRow([
+      ...baseColumns.map(column => column.value(response)),
+      ...questionColumns.map(column => getColumnAnswer(response, column))
+    ]));
+  }
+
+  res.end();
+};
+
+module.exports = {
+  streamResponsesCSV,
+  escapeField
+};
@@ -0,0 +1,100 @@
+// Column definitions shared by the CSV, XLSX and SPSS exports.
+
+const baseColumns = [
+  { key: 'responseId', header: 'Response ID', value: r => r._id },
+  { key: 'template', header: 'Template', value: r => r.surveyTemplate?.name },
+  { key: 'templateVersion', header: 'Template Version', value: r => r.templateVersion?.version || r.surveyTemplate?.version },
+  { key: 'collectorName', header: 'Collector Name', value: r => r.collectedBy?.name },
+  { key: 'collectorEmail', header: 'Collector Email', value: r => r.collectedBy?.email },
+  { key: 'source', header: 'Source', value: r => r.source },
+  { key: 'team', header: 'Team', value: r => r.team?.name || r.team },
+  { key: 'deviceId', header: 'Device ID', value: r => r.deviceInfo?.deviceId },
+  { key: 'platform', header: 'Platform', value: r => r.deviceInfo?.platform },
+  { key: 'appVersion', header: 'App Version', value: r => r.deviceInfo?.appVersion },
+  { key: 'latitude', header: 'Latitude', value: r => r.location?.latitude },
+  { key: 'longitude', header: 'Longitude', value: r => r.location?.longitude },
+  { key: 'locationAccuracy', header: 'Location Accuracy', value: r => r.location?.accuracy },
+  { key: 'address', header: 'Address', value: r => r.location?.address },
+  { key: 'locationCapturedAt', header: 'Location Captured At', value: r => r.location?.capturedAt },
+  { key: 'locationOverrideReason', header: 'Location Override Reason', value: r => r.locationOverride?.reason },
+  { key: 'locationOverrideNote', header: 'Location Override Note', value: r => r.locationOverride?.note },
+  { key: 'startTime', header: 'Start Time', value: r => r.analytics?.startTime },
+  { key: 'endTime', header: 'End Time', value: r => r.analytics?.endTime },
+  { key: 'completionTime', header: 'Completion Time (s)', value: r => r.analytics?.completionTime },
+  { key: 'sectionsCompleted', header: 'Sections Completed', value: r => r.analytics?.sectionsCompleted },
+  { key: 'syncStatus', header: 'Sync Status', value: r => r.syncStatus },
+  { key: 'createdAt', header: 'Created At', value: r => r.createdAt },
+  { key: 'updatedAt', header: 'Updated At', value: r => r.updatedAt }
+];
+
+// Turn any answer or metadata value into a flat string
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(formatValue).join('; ');
+  if (typeof value === 'object') {
+    return value._bsontype ? String(value) : JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Spreadsheets run text starting with these as a formula when the file is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// formatValue for text cells, with a leading quote so answers like
+// =HYPERLINK(...) are shown as typed. Numbers are left alone; their minus
+// sign is not a formula.
+const formatTextCell = (value) => {
+  const text = formatValue(value);
+  return typeof value !== 'number' && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+// One column per question, ordered by template then question order.
+// Headers are prefixed with the template name when several templates are exported.
+const buildQuestionColumns = (templates) => {
+  const prefixHeaders = templates.length > 1;
+
+  return templates.flatMap((template, templateIndex) => {
+    return [...(template.questions || [])]
+      .sort((a, b) => a.order - b.order)
+      .map((question, questionIndex) => ({
+        template,
+        question,
+        templateIndex,
+        questionIndex,
+        templateId: String(template._id),
+        questionId: String(question._id),
+        header: prefixHeaders ? `${template.name}: ${question.questionText}` : question.questionText
+      }));
+  });
+};
+
+const getTemplateId = (response) => {
+  return String(response.surveyTemplate?._id || response.surveyTemplate);
+};
+
+const getAnswer = (response, questionId) => {
+  const answers = response.responses;
+  if (!answers) return undefined;
+  return answers instanceof Map ? answers.get(questionId) : answers[questionId];
+};
+
+// Answer for a question column, blank when the response belongs to another template.
+// Media answers name an uploaded file; exports set response.mediaLinks to show
+// a link to it instead.
+const getColumnAnswer = (response, column) => {
+  if (column.templateId !== getTemplateId(response)) return undefined;
+
+  const answer = getAnswer(response, column.questionId);
+  return response.mediaLinks && response.mediaLinks.has(answer)
+    ? response.mediaLinks.get(answer)
+    : answer;
+};
+
+module.exports = {
+  baseColumns,
+  formatValue,
+  formatTextCell,
+  buildQuestionColumns,
+  getColumnAnswer
+};
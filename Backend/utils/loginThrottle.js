@@ -0,0 +1,145 @@
+// Brute-force protection for login. Failed attempts are counted per account
+// email and per client IP; repeated failures first slow retries down, then
+// lock the account or IP for a while. Unknown emails are tracked like real
+// ones so lockouts do not reveal which addresses have accounts.
+
+const LoginThrottle = require('../models/LoginThrottle');
+const { recordAudit } = require('./audit');
+
+const MINUTE = 60 * 1000;
+const LIMITS = {
+  account: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+  ip: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20', 10)
+};
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * MINUTE;
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10) * MINUTE;
+const MAX_DELAY_MS = 30 * 1000;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// No delay for the first two failures, then 1s, 2s, 4s... up to 30s
+const progressiveDelay = (failures) => (
+  failures < 3 ? 0 : Math.min(1000 * 2 ** (failures - 3), MAX_DELAY_MS)
+);
+
+const describeWait = (ms) => (
+  ms >= MINUTE ? `${Math.ceil(ms / MINUTE)} minutes` : `${Math.ceil(ms / 1000)} seconds`
+);
+
+// Null when a login attempt may proceed, otherwise the status, message and
+// Retry-After seconds to answer with
+const checkLoginAllowed = async (email, ip) => {
+  const now = Date.now();
+  const throttles = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  // A lockout outranks a retry delay, so report locks first
+  for (const throttle of throttles) {
+    const lockedFor = throttle.lockedUntil ? throttle.lockedUntil.getTime() - now : 0;
+    if (lockedFor > 0) {
+      return {
+        statusCode: throttle.scope === 'account' ? 423 : 429,
+        retryAfter: Math.ceil(lockedFor / 1000),
+        message: throttle.scope === 'account'
+          ? `Account temporarily locked after too many failed login attempts. Try again in ${describeWait(lockedFor)}.`
+          : `Too many failed login attempts from this network. Try again in ${describeWait(lockedFor)}.`
+      };
+    }
+  }
+
+  const delayFor = Math.max(0, ...throttles.map(throttle => (
+    throttle.lastFailureAt
+      ? progressiveDelay(throttle.failures) - (now - throttle.lastFailureAt.getTime())
+      : 0
+  )));
+  if (delayFor > 0) {
+    return {
+      statusCode: 429,
+      retryAfter: Math.ceil(delayFor / 1000),
+      message: `Too many failed login attempts. Try again in ${describeWait(delayFor)}.`
+    };
+  }
+
+  return null;
+};
+
+const countFailure = async (key, scope, { email, ip, user }) => {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { scope, lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failures < LIMITS[scope]) return;
+
+  // Only the request that crosses the limit applies the lock and audits it
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: throttle._id, failures: { $gte: LIMITS[scope] } },
+    {
+      $set: { failures: 0, lockedUntil, expiresAt: new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS) },
+      $inc: { lockouts: 1 }
+    },
+    { new: true }
+  );
+
+  if (locked) {
+    await recordAudit({
+      action: scope === 'account' ? 'account-locked' : 'ip-locked',
+      targetUser: user && user._id,
+      ipAddress: ip,
+      details: {
+        email,
+        failures: LIMITS[scope],
+        lockedUntil,
+        lockouts: locked.lockouts
+      }
+    });
+  }
+};
+
+const recordLoginFailure = async ({ email, ip, user }) => {
+  await countFailure(accountKey(email), 'account', { email, ip, user });
+  await countFailure(ipKey(ip), 'ip', { email, ip, user });
+};
+
+// A successful login forgets the account's failures; the IP's count stays so
+// one valid account cannot be used to reset guessing against others
+const clearAccountFailures = (email) => LoginThrottle.deleteOne({ key: accountKey(email) });
+
+const getAccountLock = async (email) => {
+  const throttle = await LoginThrottle.findOne({ key: accountKey(email) });
+  return throttle && throttle.lockedUntil > new Date() ? throttle.lockedUntil : null;
+};
+
+// Lift a lockout early. Resolves to whether the account was locked.
+const unlockAccount = async (user, { actor, team, ip }) => {
+  const lockedUntil = await getAccountLock(user.email);
+  await LoginThrottle.deleteOne({ key: accountKey(user.email) });
+
+  if (lockedUntil) {
+    await recordAudit({
+      action: 'account-unlocked',
+      actor,
+      targetUser: user._id,
+      team,
+      ipAddress: ip,
+      details: { email: user.email, lockedUntil }
+    });
+  }
+
+  return Boolean(lockedUntil);
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountFailures,
+  getAccountLock,
+  unlockAccount
+};
@@ -0,0 +1,68 @@
+// Outgoing email behind a pluggable transport so no flow depends on a live
+// mail service. A transport is any object with `send(message)` returning a
+// promise. Pick one with MAIL_TRANSPORT:
+//   console (default) - print messages to the server log
+//   file              - write each message as JSON to MAIL_OUTBOX_DIR
+//   <module path>     - require a custom transport, e.g. one wrapping an SMTP or API client
+// Tests and other code can also swap the transport with setTransport().
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'O-RANJ <no-reply@o-ranj.local>';
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { delivered: true };
+  }
+};
+
+const fileTransport = (dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'o-ranj-mail')) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9.@-]/gi, '_')}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { delivered: true, file };
+  }
+});
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  if (name === 'console') return consoleTransport;
+  if (name === 'file') return fileTransport();
+
+  // Custom transports resolve relative to the backend root
+  return require(path.resolve(__dirname, '..', name));
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: MAIL_FROM,
+  to,
+  subject,
+  text,
+  ...(html && { html })
+});
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createTransport,
+  consoleTransport,
+  fileTransport
+};
@@ -0,0 +1,128 @@
+// Media questions (photo, audio, signature) and the uploaded assets their
+// answers name by clientId: accepted formats, signed content links for the
+// browser and exports, and linking assets to the response that uses them.
+
+const jwt = require('jsonwebtoken');
+const MediaAsset = require('../models/MediaAsset');
+const { buildError } = require('./responseValidator');
+
+const MEDIA_TYPES = ['photo', 'audio', 'signature'];
+const MEDIA_CHUNK_SIZE = parseInt(process.env.MEDIA_CHUNK_SIZE || String(1024 * 1024), 10);
+const MEDIA_MAX_SIZE = parseInt(process.env.MEDIA_MAX_SIZE || String(25 * 1024 * 1024), 10);
+const MEDIA_LINK_EXPIRES_IN = process.env.MEDIA_LINK_EXPIRES_IN || '7d';
+
+const KIND_LABELS = {
+  photo: 'photo',
+  audio: 'audio recording',
+  signature: 'signature'
+};
+
+// Formats each kind may be stored as; codec parameters (audio/webm;codecs=opus) are ignored.
+// SVG is left out because the content endpoint serves files inline.
+const ACCEPTED_MIME_TYPES = {
+  photo: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'],
+  audio: ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/aac', 'audio/wav', 'audio/x-m4a'],
+  signature: ['image/png']
+};
+
+const mediaError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const baseMimeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+const isAcceptedMimeType = (kind, mimeType) => (ACCEPTED_MIME_TYPES[kind] || []).includes(baseMimeType(mimeType));
+
+const hasMediaQuestions = (template) => (template.questions || []).some(question => MEDIA_TYPES.includes(question.type));
+
+// Content links carry a token instead of an Authorization header so they work in
+// <img> tags and exported spreadsheets. Signed with a derived key so a link
+// can never pass as an access token.
+const linkSecret = () => `${process.env.JWT_SECRET}:media`;
+
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const mediaContentUrl = (baseUrl, asset) => {
+  const token = jwt.sign({ id: String(asset._id) }, linkSecret(), { expiresIn: MEDIA_LINK_EXPIRES_IN });
+  return `${baseUrl}/api/media/${asset._id}/content?token=${token}`;
+};
+
+// Throws a 401 unless the token was issued for this asset and has not expired
+const verifyMediaToken = (token, assetId) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), linkSecret());
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || decoded.id !== String(assetId)) {
+    throw mediaError('Media link is invalid or has expired', 401);
+  }
+};
+
+// Content links for a response's populated media, keyed by the asset clientId its answers use
+const mediaLinks = (response, baseUrl) => new Map((response.media || [])
+  .filter(asset => asset && asset.clientId)
+  .map(asset => [asset.clientId, mediaContentUrl(baseUrl, asset)]));
+
+const readAnswers = (responses) => (responses instanceof Map ? Object.fromEntries(responses) : (responses || {}));
+
+// Media answers must name assets the team has finished uploading and that no
+// other response uses. Resolves to { assets, errors }; errors are shaped like
+// validateResponses' so both reach the client the same way.
+const resolveResponseMedia = async (template, responses, teamId, responseId = null) => {
+  const answers = readAnswers(responses);
+  const questions = (template.questions || []).filter(question => (
+    MEDIA_TYPES.includes(question.type) && answers[String(question._id)] !== undefined
+  ));
+  if (questions.length === 0) return { assets: [], errors: [] };
+
+  const clientIds = questions.map(question => String(answers[String(question._id)]));
+  const found = await MediaAsset.find({ team: teamId, clientId: { $in: clientIds } });
+  const assets = [];
+  const errors = [];
+
+  questions.forEach(question => {
+    const questionId = String(question._id);
+    const clientId = answers[questionId];
+    const asset = found.find(entry => entry.clientId === String(clientId));
+    const label = KIND_LABELS[question.type];
+
+    if (!asset || asset.status !== 'complete') {
+      errors.push(buildError(questionId, clientId, `The ${label} for "${question.questionText}" has not been uploaded yet`));
+    } else if (asset.kind !== question.type) {
+      errors.push(buildError(questionId, clientId, `Answer must be a ${label}`));
+    } else if (asset.response && String(asset.response) !== String(responseId)) {
+      errors.push(buildError(questionId, clientId, `This ${label} is already attached to another response`));
+    } else {
+      assets.push(asset);
+    }
+  });
+
+  return { assets, errors };
+};
+
+// Point the assets at the response and release any it no longer uses
+const linkResponseMedia = async (response, assets) => {
+  const assetIds = assets.map(asset => asset._id);
+  await MediaAsset.updateMany(
+    { response: response._id, _id: { $nin: assetIds } },
+    { $set: { response: null } }
+  );
+  if (assetIds.length > 0) {
+    await MediaAsset.updateMany({ _id: { $in: assetIds } }, { $set: { response: response._id } });
+  }
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  MEDIA_CHUNK_SIZE,
+  MEDIA_MAX_SIZE,
+  mediaError,
+  isAcceptedMimeType,
+  hasMediaQuestions,
+  requestBaseUrl,
+  mediaContentUrl,
+  verifyMediaToken,
+  mediaLinks,
+  resolveResponseMedia,
+  linkResponseMedia
+};
@@ -0,0 +1,90 @@
+// Storage for uploaded media (photos, audio notes, signatures) behind a
+// pluggable backend, like the mail transport. A backend is any object with:
+//   writeChunk(key, index, buffer) - store one uploaded chunk
+//   assemble(key, totalChunks)     - join the chunks into the file, resolving to its size
+//   createReadStream(key)          - stream the assembled file
+//   remove(key)                    - delete the file and any chunks
+// Pick one with MEDIA_STORAGE:
+//   disk (default) - files under MEDIA_STORAGE_DIR
+//   <module path>  - require a custom backend, e.g. one wrapping an object store client
+// Tests and other code can also swap the backend with setStorage().
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const diskStorage = (dir = process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'media')) => {
+  // Keys are generated by the server, but never let one leave the storage directory
+  const filePath = (key) => {
+    const resolved = path.resolve(dir, key);
+    if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error('Invalid media storage key');
+    }
+    return resolved;
+  };
+  const chunkDir = (key) => `${filePath(key)}.chunks`;
+
+  return {
+    name: 'disk',
+
+    async writeChunk(key, index, buffer) {
+      await fsPromises.mkdir(chunkDir(key), { recursive: true });
+      await fsPromises.writeFile(path.join(chunkDir(key), String(index)), buffer);
+    },
+
+    async assemble(key, totalChunks) {
+      const target = filePath(key);
+      await fsPromises.mkdir(path.dirname(target), { recursive: true });
+
+      const output = fs.createWriteStream(target);
+      for (let index = 0; index < totalChunks; index++) {
+        await pipeline(fs.createReadStream(path.join(chunkDir(key), String(index))), output, { end: false });
+      }
+      output.end();
+      await new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+      });
+
+      await fsPromises.rm(chunkDir(key), { recursive: true, force: true });
+      return (await fsPromises.stat(target)).size;
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(filePath(key));
+    },
+
+    async remove(key) {
+      await fsPromises.rm(chunkDir(key), { recursive: true, force: true });
+      await fsPromises.rm(filePath(key), { force: true });
+    }
+  };
+};
+
+const createStorage = (name = process.env.MEDIA_STORAGE || 'disk') => {
+  if (name === 'disk') return diskStorage();
+
+  // Custom backends resolve relative to the backend root
+  return require(path.resolve(__dirname, '..', name));
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createStorage,
+  diskStorage
+};
@@ -0,0 +1,41 @@
+// Actions each team role may perform. Routes check these through
+// requirePermission so the mapping lives in one place.
+
+const ACTIONS = {
+  VIEW_TEMPLATE: 'template:view',
+  CREATE_TEMPLATE: 'template:create',
+  EDIT_TEMPLATE: 'template:edit',
+  ARCHIVE_TEMPLATE: 'template:archive',
+  DELETE_TEMPLATE: 'template:delete',
+  SUBMIT_RESPONSE: 'response:submit',
+  VIEW_RESPONSES: 'response:view',
+  EDIT_ANY_RESPONSE: 'response:edit-any',
+  EXPORT_RESPONSES: 'response:export',
+  MANAGE_TEAM: 'team:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(ACTIONS),
+  member: [
+    ACTIONS.VIEW_TEMPLATE,
+    ACTIONS.CREATE_TEMPLATE,
+    ACTIONS.EDIT_TEMPLATE,
+    ACTIONS.SUBMIT_RESPONSE,
+    ACTIONS.VIEW_RESPONSES
+  ],
+  viewer: [
+    ACTIONS.VIEW_TEMPLATE,
+    ACTIONS.VIEW_RESPONSES
+  ]
+};
+
+const can = (role, action) => (ROLE_PERMISSIONS[role] || []).includes(action);
+
+const permissionsFor = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+module.exports = {
+  ACTIONS,
+  ROLE_PERMISSIONS,
+  can,
+  permissionsFor
+};
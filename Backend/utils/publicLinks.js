@@ -0,0 +1,71 @@
+// Public survey links: tokens that let respondents answer a template without an
+// account, and the respondent cookie that tells repeat visits from the same
+// browser apart so settings.multipleResponses can be enforced.
+
+const crypto = require('crypto');
+const { submissionWindowError } = require('./templateSchedule');
+const { hasMediaQuestions } = require('./mediaAssets');
+
+const RESPONDENT_COOKIE = 'oranj_respondent';
+const RESPONDENT_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const publicLinkError = (message, statusCode = 404) => Object.assign(new Error(message), { statusCode });
+
+const createPublicToken = () => crypto.randomBytes(24).toString('hex');
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+// The browser's respondent id, issued on its first visit to any public link
+const getRespondentId = (req, res) => {
+  const existing = readCookie(req, RESPONDENT_COOKIE);
+  if (existing && /^[0-9a-f-]{36}$/.test(existing)) return existing;
+
+  const respondentId = crypto.randomUUID();
+  res.cookie(RESPONDENT_COOKIE, respondentId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: RESPONDENT_COOKIE_MAX_AGE,
+    path: '/api/public'
+  });
+  return respondentId;
+};
+
+// Per template, so the same browser cannot be followed across surveys
+const respondentFingerprint = (respondentId, templateId) => crypto
+  .createHash('sha256')
+  .update(`${templateId}:${respondentId}`)
+  .digest('hex');
+
+// Why a template cannot take public responses right now, or null if it can
+const publicAvailabilityError = (template, now = new Date()) => {
+  if (!template || !template.settings.allowAnonymous) {
+    return publicLinkError('Survey not found');
+  }
+  const outsideWindow = submissionWindowError(template, now);
+  if (outsideWindow) {
+    return publicLinkError(outsideWindow.message, outsideWindow.reason === 'closed' ? 410 : 403);
+  }
+  if (template.status !== 'active') {
+    return publicLinkError('This survey is not accepting responses');
+  }
+  // Uploading media takes a collector account
+  if (hasMediaQuestions(template)) {
+    return publicLinkError('This survey collects photos, recordings or signatures and can only be completed in the app', 403);
+  }
+  return null;
+};
+
+module.exports = {
+  publicLinkError,
+  createPublicToken,
+  getRespondentId,
+  respondentFingerprint,
+  publicAvailabilityError
+};
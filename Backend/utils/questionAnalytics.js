@@ -0,0 +1,165 @@
+// Per-question summaries for the analytics endpoint, shaped by question type:
+// numeric stats, option counts, NPS breakdowns, matrix rows and date ranges.
+// Responses are fed in one at a time so large templates can be streamed.
+
+const { getOptionValue, isEmptyAnswer } = require('./responseValidator');
+
+const NUMERIC_TYPES = ['number', 'rating', 'slider'];
+const CHOICE_TYPES = ['multiple-choice', 'multi-select'];
+const DATE_TYPES = ['date', 'time', 'datetime'];
+
+const createNumericStats = () => ({ sum: 0, count: 0, min: null, max: null });
+
+const addNumber = (stats, value) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return;
+  stats.sum += number;
+  stats.count += 1;
+  stats.min = stats.min === null ? number : Math.min(stats.min, number);
+  stats.max = stats.max === null ? number : Math.max(stats.max, number);
+};
+
+const finishNumericStats = ({ sum, count, min, max }) => ({
+  average: count > 0 ? Math.round((sum / count) * 100) / 100 : null,
+  min,
+  max
+});
+
+const countValue = (counts, value) => {
+  const key = String(value);
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+const createAccumulator = (question) => {
+  const accumulator = { question, answered: 0 };
+
+  if (NUMERIC_TYPES.includes(question.type)) {
+    accumulator.stats = createNumericStats();
+    accumulator.distribution = {};
+  } else if (question.type === 'nps') {
+    accumulator.nps = { promoters: 0, passives: 0, detractors: 0 };
+    accumulator.distribution = {};
+  } else if (CHOICE_TYPES.includes(question.type)) {
+    accumulator.counts = {};
+  } else if (question.type === 'ranking') {
+    accumulator.positions = {};
+  } else if (question.type === 'matrix') {
+    accumulator.rows = new Map((question.rows || []).map(row => [
+      String(getOptionValue(row)),
+      { label: row.text || String(getOptionValue(row)), counts: {}, stats: createNumericStats() }
+    ]));
+  } else if (DATE_TYPES.includes(question.type)) {
+    accumulator.earliest = null;
+    accumulator.latest = null;
+  }
+
+  return accumulator;
+};
+
+const addAnswer = (accumulator, answer) => {
+  const { question } = accumulator;
+  accumulator.answered += 1;
+
+  if (NUMERIC_TYPES.includes(question.type)) {
+    addNumber(accumulator.stats, answer);
+    countValue(accumulator.distribution, answer);
+  } else if (question.type === 'nps') {
+    const score = Number(answer);
+    if (score >= 9) accumulator.nps.promoters += 1;
+    else if (score >= 7) accumulator.nps.passives += 1;
+    else accumulator.nps.detractors += 1;
+    countValue(accumulator.distribution, answer);
+  } else if (CHOICE_TYPES.includes(question.type)) {
+    [].concat(answer).forEach(value => countValue(accumulator.counts, value));
+  } else if (question.type === 'ranking' && Array.isArray(answer)) {
+    answer.forEach((value, index) => {
+      const key = String(value);
+      accumulator.positions[key] = accumulator.positions[key] || createNumericStats();
+      addNumber(accumulator.positions[key], index + 1);
+    });
+  } else if (question.type === 'matrix' && typeof answer === 'object') {
+    Object.entries(answer).forEach(([row, value]) => {
+      const rowSummary = accumulator.rows.get(row);
+      if (!rowSummary) return;
+      countValue(rowSummary.counts, value);
+      addNumber(rowSummary.stats, value);
+    });
+  } else if (DATE_TYPES.includes(question.type)) {
+    // ISO dates and HH:MM times sort as text
+    const value = String(answer);
+    if (accumulator.earliest === null || value < accumulator.earliest) accumulator.earliest = value;
+    if (accumulator.latest === null || value > accumulator.latest) accumulator.latest = value;
+  }
+};
+
+const finishAccumulator = (accumulator) => {
+  const { question, answered } = accumulator;
+  const summary = {
+    questionId: String(question._id),
+    questionText: question.questionText,
+    type: question.type,
+    answered
+  };
+
+  if (NUMERIC_TYPES.includes(question.type)) {
+    return { ...summary, ...finishNumericStats(accumulator.stats), distribution: accumulator.distribution };
+  }
+  if (question.type === 'nps') {
+    const { promoters, passives, detractors } = accumulator.nps;
+    // Percentage of promoters minus percentage of detractors, -100..100
+    const score = answered > 0 ? Math.round(((promoters - detractors) / answered) * 100) : null;
+    return { ...summary, promoters, passives, detractors, score, distribution: accumulator.distribution };
+  }
+  if (CHOICE_TYPES.includes(question.type)) {
+    return { ...summary, counts: accumulator.counts };
+  }
+  if (question.type === 'ranking') {
+    const averagePositions = {};
+    Object.entries(accumulator.positions).forEach(([value, stats]) => {
+      averagePositions[value] = finishNumericStats(stats).average;
+    });
+    return { ...summary, averagePositions };
+  }
+  if (question.type === 'matrix') {
+    return {
+      ...summary,
+      rows: [...accumulator.rows.entries()].map(([row, rowSummary]) => ({
+        row,
+        label: rowSummary.label,
+        counts: rowSummary.counts,
+        average: finishNumericStats(rowSummary.stats).average
+      }))
+    };
+  }
+  if (DATE_TYPES.includes(question.type)) {
+    return { ...summary, earliest: accumulator.earliest, latest: accumulator.latest };
+  }
+  return summary;
+};
+
+// Collects answers for the template's questions; call add() per response and
+// finish() for the summaries in question order
+const createQuestionSummarizer = (template) => {
+  const accumulators = [...(template.questions || [])]
+    .sort((a, b) => a.order - b.order)
+    .map(createAccumulator);
+
+  return {
+    add(response) {
+      const answers = response.responses || {};
+      accumulators.forEach(accumulator => {
+        const questionId = String(accumulator.question._id);
+        const answer = answers instanceof Map ? answers.get(questionId) : answers[questionId];
+        if (!isEmptyAnswer(answer)) addAnswer(accumulator, answer);
+      });
+    },
+
+    finish() {
+      return accumulators.map(finishAccumulator);
+    }
+  };
+};
+
+module.exports = {
+  createQuestionSummarizer
+};
@@ -0,0 +1,131 @@
+// Sample targets for a template: a total, a cap per collector and caps per
+// answer value of a question (e.g. 100 responses with gender = female).
+// Counted from stored responses, so submit, sync and public links agree.
+
+const SurveyResponse = require('../models/SurveyResponse');
+
+const quotaError = (message) => Object.assign(new Error(message), { statusCode: 403, reason: 'quota' });
+
+const hasQuotas = (template) => {
+  const quotas = template.quotas || {};
+  return Boolean(quotas.total || quotas.perCollector || (quotas.answers && quotas.answers.length > 0));
+};
+
+// Absolute limit of an answer quota; percentages are of the total target
+const answerQuotaLimit = (quota, total) => {
+  if (quota.limit) return quota.limit;
+  return quota.percent && total ? Math.ceil(total * quota.percent / 100) : null;
+};
+
+const answerQuotaLabel = (template, quota) => {
+  if (quota.label) return quota.label;
+  const question = template.questions.find(entry => String(entry._id) === quota.questionId);
+  return `${question ? question.questionText : 'Question'}: ${quota.value}`;
+};
+
+// Answers are stored as sent, so "5" and 5 are the same value; array answers
+// count toward every value they contain
+const valueVariants = (value) => {
+  const variants = [String(value)];
+  if (String(value).trim() !== '' && !isNaN(value)) variants.push(Number(value));
+  return variants;
+};
+
+const answerMatches = (answer, value) => [].concat(answer ?? []).some(entry => String(entry) === String(value));
+
+const readAnswer = (responses, questionId) => {
+  if (!responses) return undefined;
+  return responses instanceof Map ? responses.get(questionId) : responses[questionId];
+};
+
+const answerFilter = (template, quota) => ({
+  surveyTemplate: template._id,
+  [`responses.${quota.questionId}`]: { $in: valueVariants(quota.value) }
+});
+
+// Why a new response would exceed one of the template's quotas, or null.
+// collectedBy is null for public link responses, which have no collector cap.
+const quotaExceededError = async (template, { responses, collectedBy }) => {
+  if (!hasQuotas(template)) return null;
+
+  const { total, perCollector, answers = [] } = template.quotas;
+
+  if (total) {
+    const count = await SurveyResponse.countDocuments({ surveyTemplate: template._id });
+    if (count >= total) {
+      return quotaError(`This survey has reached its target of ${total} responses`);
+    }
+  }
+
+  if (perCollector && collectedBy) {
+    const count = await SurveyResponse.countDocuments({ surveyTemplate: template._id, collectedBy });
+    if (count >= perCollector) {
+      return quotaError(`You have reached your quota of ${perCollector} responses for this survey`);
+    }
+  }
+
+  for (const quota of answers) {
+    const limit = answerQuotaLimit(quota, total);
+    if (!limit || !answerMatches(readAnswer(responses, quota.questionId), quota.value)) continue;
+
+    const count = await SurveyResponse.countDocuments(answerFilter(template, quota));
+    if (count >= limit) {
+      return quotaError(`The quota for "${answerQuotaLabel(template, quota)}" is full (${limit} responses)`);
+    }
+  }
+
+  return null;
+};
+
+const progress = (count, limit) => ({
+  limit,
+  count,
+  remaining: Math.max(limit - count, 0),
+  reached: count >= limit
+});
+
+// Progress toward each quota, with the requesting user's own collector count
+const getQuotaProgress = async (template, userId) => {
+  const { total, perCollector, answers = [] } = template.quotas || {};
+  const result = { total: null, perCollector: null, collectors: [], answers: [] };
+
+  if (total) {
+    result.total = progress(await SurveyResponse.countDocuments({ surveyTemplate: template._id }), total);
+  }
+
+  if (perCollector) {
+    const counts = await SurveyResponse.aggregate([
+      { $match: { surveyTemplate: template._id, collectedBy: { $ne: null } } },
+      { $group: { _id: '$collectedBy', count: { $sum: 1 } } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $project: { count: 1, 'user.name': 1 } },
+      { $sort: { count: -1 } }
+    ]);
+    const own = counts.find(entry => String(entry._id) === String(userId));
+
+    result.perCollector = progress(own ? own.count : 0, perCollector);
+    result.collectors = counts.map(entry => ({
+      collectedBy: { _id: entry._id, name: entry.user[0] ? entry.user[0].name : 'Unknown' },
+      ...progress(entry.count, perCollector)
+    }));
+  }
+
+  for (const quota of answers) {
+    const limit = answerQuotaLimit(quota, total);
+    if (!limit) continue;
+
+    result.answers.push({
+      questionId: quota.questionId,
+      value: quota.value,
+      label: answerQuotaLabel(template, quota),
+      ...progress(await SurveyResponse.countDocuments(answerFilter(template, quota)), limit)
+    });
+  }
+
+  return result;
+};
+
+module.exports = {
+  quotaExceededError,
+  getQuotaProgress
+};
@@ -0,0 +1,48 @@
+// Location of collected responses. Templates with settings.requireLocation
+// only take responses with coordinates, unless the collector records why no
+// usable fix was available. The documented override reasons are:
+//   permission-denied   - the respondent or collector declined location access
+//   no-signal           - no GPS fix at the site (indoors, remote, underground)
+//   low-accuracy        - the best fix was too inaccurate to record
+//   device-unsupported  - the device has no location support
+//   other               - anything else; a note explaining it is required
+// Public link responses have no collector and are not held to the requirement.
+
+const LOCATION_OVERRIDE_REASONS = [
+  'permission-denied',
+  'no-signal',
+  'low-accuracy',
+  'device-unsupported',
+  'other'
+];
+
+const locationError = (message) => Object.assign(new Error(message), { statusCode: 400, reason: 'location' });
+
+// Coordinates may arrive as numeric strings from offline queues
+const isCoordinate = (value) => (typeof value === 'string' ? value.trim() !== '' : typeof value === 'number')
+  && Number.isFinite(Number(value));
+
+const hasCoordinates = (location) => Boolean(location)
+  && isCoordinate(location.latitude)
+  && isCoordinate(location.longitude);
+
+const isValidOverride = (override) => Boolean(override)
+  && LOCATION_OVERRIDE_REASONS.includes(override.reason)
+  && (override.reason !== 'other' || Boolean(String(override.note || '').trim()));
+
+// Why a collected response cannot be stored without a location, or null
+const missingLocationError = (template, { location, locationOverride }) => {
+  if (!template.settings || !template.settings.requireLocation) return null;
+  if (hasCoordinates(location)) return null;
+  if (isValidOverride(locationOverride)) return null;
+
+  if (locationOverride && locationOverride.reason === 'other') {
+    return locationError('Explain why the location is unavailable');
+  }
+  return locationError('This survey requires the collection location, or a reason it is unavailable');
+};
+
+module.exports = {
+  LOCATION_OVERRIDE_REASONS,
+  missingLocationError
+};
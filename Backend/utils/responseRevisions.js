@@ -0,0 +1,129 @@
+// Revisioned edits of submitted survey responses. Every change to the answers
+// bumps `revision`; an edit based on an older revision is a conflict and is
+// recorded in syncHistory instead of overwriting the newer answers.
+
+const SurveyResponse = require('../models/SurveyResponse');
+const SurveyTemplate = require('../models/SurveyTemplate');
+const SurveyTemplateVersion = require('../models/SurveyTemplateVersion');
+const { resolveVersion } = require('./templateVersioning');
+const { validateResponses } = require('./responseValidator');
+const { resolveResponseMedia, linkResponseMedia } = require('./mediaAssets');
+const { ACTIONS, can } = require('./permissions');
+
+const toPlainAnswers = (answers) => {
+  if (!answers) return {};
+  return answers instanceof Map ? Object.fromEntries(answers) : { ...answers };
+};
+
+const isSameAnswer = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Questions whose local answer differs from the one now stored on the server
+const diffAnswers = (serverAnswers, localAnswers) => {
+  const questionIds = new Set([...Object.keys(serverAnswers), ...Object.keys(localAnswers)]);
+
+  return [...questionIds]
+    .filter(questionId => !isSameAnswer(serverAnswers[questionId], localAnswers[questionId]))
+    .map(questionId => ({
+      questionId,
+      server: serverAnswers[questionId],
+      local: localAnswers[questionId]
+    }));
+};
+
+// Collectors may correct their own responses; roles with response:edit-any may
+// correct any response in the team
+const canEditResponse = (membership, response) => (
+  can(membership.role, ACTIONS.EDIT_ANY_RESPONSE)
+  || (can(membership.role, ACTIONS.SUBMIT_RESPONSE) && String(response.collectedBy) === String(membership.user))
+);
+
+// Template version the response was collected under
+const getResponseVersion = async (response, userId) => {
+  if (response.templateVersion) {
+    const version = await SurveyTemplateVersion.findById(response.templateVersion);
+    if (version) return version;
+  }
+
+  const template = await SurveyTemplate.findById(response.surveyTemplate);
+  return template ? resolveVersion(template, response.templateVersionNumber, userId) : null;
+};
+
+// Apply an edit made on top of `baseRevision`. Resolves to
+// { status: 'updated', response } | { status: 'conflict', response, conflict }
+// | { status: 'invalid', errors }.
+const applyResponseEdit = async (response, { responses, baseRevision, userId, message }) => {
+  const version = await getResponseVersion(response, userId);
+  const answerErrors = version ? validateResponses(version, responses) : [];
+  if (answerErrors.length > 0) {
+    return { status: 'invalid', errors: answerErrors };
+  }
+
+  const media = version
+    ? await resolveResponseMedia(version, responses, response.team, response._id)
+    : { assets: [], errors: [] };
+  if (media.errors.length > 0) {
+    return { status: 'invalid', errors: media.errors };
+  }
+
+  const currentRevision = response.revision || 1;
+  baseRevision = Number(baseRevision);
+  const now = new Date();
+
+  // Compare-and-set on the revision so concurrent edits cannot both win.
+  // Responses stored before revisions existed have no revision field.
+  let updated = null;
+  if (Number(baseRevision) === currentRevision) {
+    updated = await SurveyResponse.findOneAndUpdate(
+      { _id: response._id, revision: currentRevision === 1 ? { $in: [1, null] } : currentRevision },
+      {
+        $set: {
+          responses,
+          media: media.assets.map(asset => asset._id),
+          revision: currentRevision + 1,
+          syncStatus: 'synced'
+        },
+        $push: {
+          syncHistory: {
+            timestamp: now,
+            status: 'updated',
+            message: message || 'Response edited',
+            revision: currentRevision + 1,
+            editedBy: userId
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+  }
+
+  if (updated) {
+    await linkResponseMedia(updated, media.assets);
+    return { status: 'updated', response: updated };
+  }
+
+  const latest = await SurveyResponse.findById(response._id);
+  const conflict = {
+    baseRevision,
+    serverRevision: latest.revision || 1,
+    fields: diffAnswers(toPlainAnswers(latest.responses), toPlainAnswers(responses))
+  };
+
+  latest.syncHistory.push({
+    timestamp: now,
+    status: 'conflict',
+    message: `Edit based on revision ${baseRevision} conflicts with revision ${conflict.serverRevision}`,
+    revision: conflict.serverRevision,
+    editedBy: userId,
+    conflict
+  });
+  await latest.save();
+
+  return { status: 'conflict', response: latest, conflict };
+};
+
+module.exports = {
+  canEditResponse,
+  applyResponseEdit,
+  diffAnswers,
+  toPlainAnswers
+};
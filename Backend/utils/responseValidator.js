@@ -0,0 +1,328 @@
+// Validates submitted answers against a survey template's question schema.
+// Errors use the same shape as express-validator so clients can handle both alike.
+
+const { visibleQuestionIds } = require('../../skip-logic');
+
+const DEFAULT_RATING_MIN = 1;
+const DEFAULT_RATING_MAX = 5;
+const DEFAULT_SLIDER_MIN = 0;
+const DEFAULT_SLIDER_MAX = 100;
+const NPS_MIN = 0;
+const NPS_MAX = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/,
+  datetime: /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Matrix answers are objects of row -> scale value; an empty one is unanswered
+const isEmptyAnswer = (value) => {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (isPlainObject(value) && Object.keys(value).length === 0);
+};
+
+const getOptionValue = (option) => {
+  return option.value !== undefined && option.value !== null && option.value !== ''
+    ? option.value
+    : option.text;
+};
+
+const getOptionValues = (question) => {
+  return (question.options || []).map(option => String(getOptionValue(option)));
+};
+
+// Matrix rows are keyed like options: by value, falling back to the text
+const getRowValues = (question) => {
+  return (question.rows || []).map(row => String(getOptionValue(row)));
+};
+
+// Numbers may arrive as numeric strings from form inputs
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const buildError = (questionId, value, msg) => ({
+  type: 'field',
+  value,
+  msg,
+  path: `responses.${questionId}`,
+  location: 'body'
+});
+
+const validateText = (question, value) => {
+  const validation = question.validation || {};
+
+  if (typeof value !== 'string') {
+    return 'Answer must be text';
+  }
+  if (validation.minLength && value.length < validation.minLength) {
+    return `Answer must be at least ${validation.minLength} characters long`;
+  }
+  if (validation.maxLength && value.length > validation.maxLength) {
+    return `Answer cannot exceed ${validation.maxLength} characters`;
+  }
+  if (validation.pattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(validation.pattern);
+    } catch (error) {
+      return 'Question has an invalid validation pattern';
+    }
+    if (!pattern.test(value)) {
+      return 'Answer does not match the required format';
+    }
+  }
+  return null;
+};
+
+const validateRating = (question, value) => {
+  if (question.options && question.options.length > 0) {
+    return getOptionValues(question).includes(String(value))
+      ? null
+      : 'Rating must be one of the question options';
+  }
+
+  const rating = toNumber(value);
+  if (!isNumber(rating)) {
+    return 'Rating must be a number';
+  }
+
+  const validation = question.validation || {};
+  const min = typeof validation.min === 'number' ? validation.min : DEFAULT_RATING_MIN;
+  const max = typeof validation.max === 'number' ? validation.max : DEFAULT_RATING_MAX;
+  if (rating < min || rating > max) {
+    return `Rating must be between ${min} and ${max}`;
+  }
+  return null;
+};
+
+const validateMultipleChoice = (question, value) => {
+  if (typeof value === 'object') {
+    return 'Answer must be a single option';
+  }
+  return getOptionValues(question).includes(String(value))
+    ? null
+    : 'Answer must be one of the question options';
+};
+
+const validateRanking = (question, value) => {
+  if (!Array.isArray(value)) {
+    return 'Ranking must be an array of options';
+  }
+
+  const optionValues = getOptionValues(question);
+  const ranked = value.map(String);
+  const isPermutation = ranked.length === optionValues.length &&
+    new Set(ranked).size === ranked.length &&
+    ranked.every(item => optionValues.includes(item));
+
+  return isPermutation ? null : 'Ranking must list every option exactly once';
+};
+
+const validateMultiSelect = (question, value) => {
+  if (!Array.isArray(value)) {
+    return 'Answer must be a list of options';
+  }
+
+  const optionValues = getOptionValues(question);
+  const selected = value.map(String);
+  if (new Set(selected).size !== selected.length || !selected.every(item => optionValues.includes(item))) {
+    return 'Answers must be distinct question options';
+  }
+
+  const validation = question.validation || {};
+  if (validation.min && selected.length < validation.min) {
+    return `Select at least ${validation.min} options`;
+  }
+  if (validation.max && selected.length > validation.max) {
+    return `Select at most ${validation.max} options`;
+  }
+  return null;
+};
+
+const validateNumber = (question, value) => {
+  const number = toNumber(value);
+  if (!isNumber(number)) {
+    return 'Answer must be a number';
+  }
+
+  const validation = question.validation || {};
+  if (typeof validation.min === 'number' && number < validation.min) {
+    return `Answer must be at least ${validation.min}`;
+  }
+  if (typeof validation.max === 'number' && number > validation.max) {
+    return `Answer cannot exceed ${validation.max}`;
+  }
+  return null;
+};
+
+const validateSlider = (question, value) => {
+  const number = toNumber(value);
+  if (!isNumber(number)) {
+    return 'Answer must be a number';
+  }
+
+  const validation = question.validation || {};
+  const min = typeof validation.min === 'number' ? validation.min : DEFAULT_SLIDER_MIN;
+  const max = typeof validation.max === 'number' ? validation.max : DEFAULT_SLIDER_MAX;
+  if (number < min || number > max) {
+    return `Answer must be between ${min} and ${max}`;
+  }
+
+  // Allow for floating point error in fractional steps
+  const steps = validation.step ? (number - min) / validation.step : 0;
+  if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+    return `Answer must be in steps of ${validation.step}`;
+  }
+  return null;
+};
+
+const validateNps = (question, value) => {
+  const score = toNumber(value);
+  return Number.isInteger(score) && score >= NPS_MIN && score <= NPS_MAX
+    ? null
+    : `Score must be a whole number from ${NPS_MIN} to ${NPS_MAX}`;
+};
+
+// Date answers are ISO dates, times are HH:MM[:SS] and datetimes ISO 8601
+const validateDateTime = (question, value) => {
+  const labels = { date: 'a date (YYYY-MM-DD)', time: 'a time (HH:MM)', datetime: 'a date and time' };
+  if (typeof value !== 'string' || !DATE_PATTERNS[question.type].test(value)) {
+    return `Answer must be ${labels[question.type]}`;
+  }
+  if (question.type === 'time') return null;
+
+  // Rejects dates like 2024-02-30 that match the pattern but do not exist
+  const datePart = value.slice(0, 10);
+  const date = new Date(`${datePart}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== datePart) {
+    return `Answer must be ${labels[question.type]}`;
+  }
+  return null;
+};
+
+const validateEmail = (question, value) => {
+  return typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value)
+    ? null
+    : 'Answer must be an email address';
+};
+
+const validatePhone = (question, value) => {
+  const digits = typeof value === 'string' ? value.replace(/\D/g, '').length : 0;
+  return typeof value === 'string' && PHONE_PATTERN.test(value) && digits >= 7 && digits <= 15
+    ? null
+    : 'Answer must be a phone number';
+};
+
+// Matrix answers map each row to one of the scale options (the question options)
+const validateMatrix = (question, value) => {
+  if (!isPlainObject(value)) {
+    return 'Answer must rate each row';
+  }
+
+  const rowValues = getRowValues(question);
+  const scaleValues = getOptionValues(question);
+  const rows = Object.keys(value);
+
+  if (!rows.every(row => rowValues.includes(row))) {
+    return 'Answer contains a row that is not in this question';
+  }
+  if (!rows.every(row => scaleValues.includes(String(value[row])))) {
+    return 'Each row must be rated on the question scale';
+  }
+  if (question.required && rows.length < rowValues.length) {
+    return 'Every row must be rated';
+  }
+  return null;
+};
+
+// Media answers are the clientId of an uploaded asset; utils/mediaAssets
+// checks that the asset exists
+const validateMedia = (question, value) => {
+  return typeof value === 'string' && UUID_PATTERN.test(value)
+    ? null
+    : 'Answer must refer to an uploaded file';
+};
+
+const validators = {
+  text: validateText,
+  'open-ended': validateText,
+  rating: validateRating,
+  'multiple-choice': validateMultipleChoice,
+  'multi-select': validateMultiSelect,
+  ranking: validateRanking,
+  number: validateNumber,
+  slider: validateSlider,
+  nps: validateNps,
+  date: validateDateTime,
+  time: validateDateTime,
+  datetime: validateDateTime,
+  email: validateEmail,
+  phone: validatePhone,
+  matrix: validateMatrix,
+  photo: validateMedia,
+  audio: validateMedia,
+  signature: validateMedia
+};
+
+// Returns an array of per-question errors; empty when the answers are valid
+const validateResponses = (template, responses) => {
+  const answers = responses instanceof Map
+    ? Object.fromEntries(responses)
+    : (responses || {});
+  const questions = template.questions || [];
+  const questionIds = new Set(questions.map(question => String(question._id)));
+  const errors = [];
+
+  Object.keys(answers).forEach(questionId => {
+    if (!questionIds.has(questionId)) {
+      errors.push(buildError(questionId, answers[questionId], 'Unknown question for this survey template'));
+    }
+  });
+
+  // Questions skipped by display rules are neither required nor answerable
+  const visible = visibleQuestionIds(questions, answers);
+
+  questions.forEach(question => {
+    const questionId = String(question._id);
+    const value = answers[questionId];
+
+    if (!visible.has(questionId)) {
+      if (!isEmptyAnswer(value)) {
+        errors.push(buildError(questionId, value, `"${question.questionText}" is skipped for these answers`));
+      }
+      return;
+    }
+
+    if (isEmptyAnswer(value)) {
+      if (question.required) {
+        errors.push(buildError(questionId, value, `"${question.questionText}" is required`));
+      }
+      return;
+    }
+
+    const validate = validators[question.type];
+    const message = validate ? validate(question, value) : null;
+    if (message) {
+      errors.push(buildError(questionId, value, message));
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  validateResponses,
+  buildError,
+  getOptionValue,
+  getOptionValues,
+  getRowValues,
+  isEmptyAnswer
+};
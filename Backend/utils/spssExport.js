@@ -0,0 +1,125 @@
+// Streams a ZIP bundle with SPSS syntax (.sps) and fixed-width data (.dat).
+// Running the syntax in SPSS reads the data and applies variable and value labels.
+
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const { formatValue, buildQuestionColumns, getColumnAnswer } = require('./exportColumns');
+const { buildVariables } = require('./codebook');
+
+const DATA_FILE = 'survey-responses.dat';
+const SYNTAX_FILE = 'survey-responses.sps';
+const MAX_LABEL_LENGTH = 255;
+
+const metadataVariables = [
+  { name: 'response_id', label: 'Response ID', type: 'string', width: 24, encode: r => r._id },
+  { name: 'template', label: 'Template', type: 'string', width: 200, encode: r => r.surveyTemplate?.name },
+  { name: 'template_version', label: 'Template Version', type: 'string', width: 20, encode: r => r.templateVersion?.version || r.surveyTemplate?.version },
+  { name: 'collector', label: 'Collector Name', type: 'string', width: 100, encode: r => r.collectedBy?.name },
+  { name: 'device_id', label: 'Device ID', type: 'string', width: 64, encode: r => r.deviceInfo?.deviceId },
+  { name: 'start_time', label: 'Start Time', type: 'string', width: 24, encode: r => r.analytics?.startTime },
+  { name: 'end_time', label: 'End Time', type: 'string', width: 24, encode: r => r.analytics?.endTime },
+  { name: 'completion_time', label: 'Completion Time (s)', type: 'numeric', width: 12, decimals: 0, encode: r => r.analytics?.completionTime },
+  { name: 'latitude', label: 'Latitude', type: 'numeric', width: 14, decimals: 6, encode: r => r.location?.latitude },
+  { name: 'longitude', label: 'Longitude', type: 'numeric', width: 14, decimals: 6, encode: r => r.location?.longitude },
+  { name: 'accuracy', label: 'Location Accuracy (m)', type: 'numeric', width: 12, decimals: 1, encode: r => r.location?.accuracy },
+  { name: 'location_time', label: 'Location Captured At', type: 'string', width: 24, encode: r => r.location?.capturedAt },
+  { name: 'location_override', label: 'Location Override Reason', type: 'string', width: 20, encode: r => r.locationOverride?.reason }
+].map(variable => ({ ...variable, valueLabels: [] }));
+
+const quote = (text) => {
+  return `'${String(text).slice(0, MAX_LABEL_LENGTH).replace(/'/g, "''")}'`;
+};
+
+// Pad or cut a string to an exact byte width without splitting a UTF-8 character
+const fitBytes = (text, width) => {
+  let buffer = Buffer.from(text, 'utf8');
+  if (buffer.length > width) {
+    let end = width;
+    while (end > 0 && (buffer[end] & 0xC0) === 0x80) end--;
+    buffer = buffer.subarray(0, end);
+  }
+  return buffer.toString('utf8') + ' '.repeat(width - buffer.length);
+};
+
+// Values that do not fit their column are written as missing
+const formatField = (variable, value) => {
+  if (variable.type === 'numeric') {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+      return ' '.repeat(variable.width);
+    }
+    const text = variable.decimals && !Number.isInteger(number)
+      ? number.toFixed(variable.decimals)
+      : String(number);
+    return text.length > variable.width ? ' '.repeat(variable.width) : text.padStart(variable.width);
+  }
+
+  return fitBytes(formatValue(value).replace(/[\r\n\t]+/g, ' '), variable.width);
+};
+
+const buildSyntax = (variables, metadata) => {
+  let column = 1;
+  const layout = variables.map(variable => {
+    const start = column;
+    column += variable.width;
+    const format = variable.type === 'string' ? ' (A)' : '';
+    return `  ${variable.name} ${start}-${column - 1}${format}`;
+  });
+
+  const valueLabels = variables
+    .filter(variable => variable.valueLabels.length > 0)
+    .map(variable => `${variable.name} ${variable.valueLabels
+      .map(valueLabel => `${valueLabel.value} ${quote(valueLabel.label)}`)
+      .join(' ')}`);
+
+  return [
+    '* Encoding: UTF-8.',
+    `* O-RANJ survey responses exported ${metadata.exportedAt.toISOString()} by ${metadata.exportedBy}.`,
+    `* Keep ${DATA_FILE} in the same folder as this syntax file.`,
+    '',
+    `DATA LIST FILE=${quote(DATA_FILE)} ENCODING='UTF8' FIXED RECORDS=1`,
+    '  /',
+    ...layout,
+    '.',
+    '',
+    'VARIABLE LABELS',
+    `  ${variables.map(variable => `${variable.name} ${quote(variable.label)}`).join('\n  /')}`,
+    '.',
+    '',
+    ...(valueLabels.length > 0 ? ['VALUE LABELS', `  ${valueLabels.join('\n  /')}`, '.', ''] : []),
+    'EXECUTE.',
+    ''
+  ].join('\n');
+};
+
+const streamResponsesSPSS = async (res, templates, cursor, metadata) => {
+  const questionVariables = buildVariables(buildQuestionColumns(templates)).map(variable => ({
+    ...variable,
+    encode: response => variable.encode(getColumnAnswer(response, variable.column))
+  }));
+  const variables = [...metadataVariables, ...questionVariables];
+
+  const archive = archiver('zip');
+  archive.on('error', error => res.destroy(error));
+  archive.pipe(res);
+
+  const data = new PassThrough();
+  archive.append(buildSyntax(variables, metadata), { name: SYNTAX_FILE });
+  archive.append(data, { name: DATA_FILE });
+  const finalized = archive.finalize();
+
+  for await (const response of cursor) {
+    const record = variables.map(variable => formatField(variable, variable.encode(response))).join('');
+    if (!data.write(record + '\n')) {
+      await once(data, 'drain');
+    }
+  }
+
+  data.end();
+  await finalized;
+};
+
+module.exports = {
+  streamResponsesSPSS
+};
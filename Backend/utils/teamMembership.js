@@ -0,0 +1,145 @@
+// Team membership changes shared by registration, login and the team routes:
+// personal teams, invite tokens, and the teams a user belongs to. A user may be
+// a member of many teams; `User.team` is only the team they work in by default.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const TeamInvite = require('../models/TeamInvite');
+
+const INVITE_EXPIRES_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS || '7', 10);
+
+const membershipError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createInviteToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Unexpired invites still holding a seat against maxMembers
+const countPendingInvites = (teamId, filter = {}) => TeamInvite.countDocuments({
+  ...filter,
+  team: teamId,
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+});
+
+// The team every user gets when they are not joining someone else's
+const createPersonalTeam = async (user, name) => {
+  const team = await Team.create({
+    name: name || `${user.name}'s Team`,
+    createdBy: user._id,
+    members: [{
+      user: user._id,
+      role: 'admin'
+    }]
+  });
+
+  user.team = team._id;
+  await user.save();
+  return team;
+};
+
+// Pending, unexpired invite for an active team, or null
+const findValidInvite = async (token) => {
+  if (!token) return null;
+
+  const invite = await TeamInvite.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending'
+  }).populate('team', 'name isActive');
+
+  if (!invite || invite.isExpired || !invite.team || !invite.team.isActive) {
+    return null;
+  }
+  return invite;
+};
+
+// Every active team the user belongs to, with their role in each
+const getMemberships = async (userId) => {
+  const teams = await Team.find({ 'members.user': userId, isActive: true })
+    .select('name description owner createdBy members')
+    .sort({ name: 1 });
+
+  return teams.map(team => {
+    const member = team.getMember(userId);
+    return {
+      team: { _id: team._id, name: team.name, description: team.description },
+      role: member.role,
+      joinedAt: member.joinedAt,
+      isOwner: team.getOwnerId() === String(userId)
+    };
+  });
+};
+
+// The active team the user belongs to with their membership in it, or null
+const findMembership = async (userId, teamId) => {
+  if (!teamId || !mongoose.Types.ObjectId.isValid(teamId)) return null;
+
+  const team = await Team.findOne({ _id: teamId, isActive: true });
+  const membership = team && team.getMember(userId);
+  return membership ? { team, membership } : null;
+};
+
+// Keep the user's default team pointing at a team they still belong to after
+// leaving `teamId`, falling back to a new personal team
+const reassignDefaultTeam = async (user, teamId) => {
+  if (user.team && String(user.team) !== String(teamId)) return;
+
+  const [next] = await getMemberships(user._id);
+  if (!next) {
+    await createPersonalTeam(user);
+    return;
+  }
+
+  user.team = next.team._id;
+  await user.save();
+};
+
+const acceptInvite = async (invite, user) => {
+  if (invite.email !== user.email.toLowerCase()) {
+    throw membershipError('This invite was sent to a different email address', 403);
+  }
+
+  const team = await Team.findById(invite.team._id || invite.team);
+
+  if (!team.getMember(user._id)) {
+    // The invite's own seat is already counted among the pending ones
+    const pendingInvites = await countPendingInvites(team._id);
+    if (team.isFull(Math.max(pendingInvites - 1, 0))) {
+      throw membershipError('This team has reached its member limit');
+    }
+
+    team.members.push({ user: user._id, role: invite.role });
+    await team.save();
+  }
+
+  // The team just joined becomes the default; earlier memberships are kept
+  user.team = team._id;
+  await user.save();
+
+  invite.status = 'accepted';
+  invite.acceptedBy = user._id;
+  invite.acceptedAt = new Date();
+  await invite.save();
+
+  return team;
+};
+
+module.exports = {
+  membershipError,
+  hashToken,
+  createInviteToken,
+  inviteExpiry,
+  countPendingInvites,
+  createPersonalTeam,
+  findValidInvite,
+  acceptInvite,
+  getMemberships,
+  findMembership,
+  reassignDefaultTeam
+};
@@ -0,0 +1,157 @@
+// Open/close windows for survey templates. Times are stored as instants;
+// settings.timezone is the zone the team scheduled them in, used to read
+// wall-clock times sent without an offset and to word messages.
+
+const SurveyTemplate = require('../models/SurveyTemplate');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const SCHEDULE_JOB_INTERVAL_MS = parseInt(process.env.TEMPLATE_SCHEDULE_INTERVAL_SECONDS || '60', 10) * 1000;
+// Device clocks drift; collection times this far ahead of the server still count
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SCHEDULE_FIELDS = ['opensAt', 'closesAt', 'expirationDate'];
+
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const scheduleError = (message, reason) => Object.assign(new Error(message), { statusCode: 403, reason });
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds timeZone is ahead of UTC at the given instant
+const timeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(entry => entry.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - (date.getTime() - date.getMilliseconds());
+};
+
+// ISO datetime to a Date. Values without an offset, such as "2025-03-01T09:00"
+// from a datetime-local input, are wall-clock times in timeZone.
+const toInstant = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value;
+
+  const text = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : String(value);
+  if (HAS_OFFSET.test(text)) return new Date(text);
+
+  const wallClock = new Date(`${text}Z`);
+  // The second pass corrects guesses that land across a DST change
+  const guess = new Date(wallClock.getTime() - timeZoneOffset(wallClock, timeZone));
+  return new Date(wallClock.getTime() - timeZoneOffset(guess, timeZone));
+};
+
+// Schedule fields from a create or update request, as Dates
+const normalizeScheduleSettings = (settings) => {
+  if (!settings) return settings;
+
+  const timezone = settings.timezone || DEFAULT_TIMEZONE;
+  const normalized = { ...settings, timezone };
+  SCHEDULE_FIELDS
+    .filter(field => settings[field] !== undefined)
+    .forEach(field => { normalized[field] = toInstant(settings[field], timezone); });
+  return normalized;
+};
+
+// expirationDate predates closesAt and still closes the survey
+const getSchedule = (template) => {
+  const settings = template.settings || {};
+  const closes = [settings.closesAt, settings.expirationDate].filter(Boolean).map(date => new Date(date).getTime());
+
+  return {
+    opensAt: settings.opensAt ? new Date(settings.opensAt) : null,
+    closesAt: closes.length > 0 ? new Date(Math.min(...closes)) : null,
+    timezone: settings.timezone || DEFAULT_TIMEZONE
+  };
+};
+
+const formatInZone = (date, timeZone) => date.toLocaleString('en-US', {
+  timeZone,
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+const isClosed = (template, now = new Date()) => {
+  const { closesAt } = getSchedule(template);
+  return Boolean(closesAt && now >= closesAt);
+};
+
+// Why a response collected at `collectedAt` falls outside the template's
+// window, or null when it is inside
+const submissionWindowError = (template, collectedAt = new Date()) => {
+  const { opensAt, closesAt, timezone } = getSchedule(template);
+
+  if (opensAt && collectedAt < opensAt) {
+    return scheduleError(`This survey opens on ${formatInZone(opensAt, timezone)}`, 'not-open');
+  }
+  if (closesAt && collectedAt >= closesAt) {
+    return scheduleError(`This survey closed on ${formatInZone(closesAt, timezone)}`, 'closed');
+  }
+  return null;
+};
+
+// When an offline response was collected, from the device's analytics.endTime.
+// Times ahead of the server clock beyond the allowed skew count as now.
+const collectionTime = (analytics, now = new Date()) => {
+  const endTime = analytics && analytics.endTime ? new Date(analytics.endTime) : null;
+  if (!endTime || isNaN(endTime.getTime())) return now;
+  return endTime.getTime() > now.getTime() + CLOCK_SKEW_MS ? now : endTime;
+};
+
+// Archive active templates whose close time has passed. Resolves to the number archived.
+const archiveClosedTemplates = async (now = new Date()) => {
+  const result = await SurveyTemplate.updateMany(
+    {
+      status: 'active',
+      $or: [
+        { 'settings.closesAt': { $lte: now } },
+        { 'settings.expirationDate': { $lte: now } }
+      ]
+    },
+    { status: 'archived' }
+  );
+  return result.modifiedCount;
+};
+
+// Run archiveClosedTemplates now and then every interval, without keeping the process alive
+const startScheduleJob = () => {
+  const run = () => archiveClosedTemplates()
+    .then(count => {
+      if (count > 0) console.log(`Archived ${count} survey templates past their close time`);
+    })
+    .catch(error => console.error('Template schedule job failed:', error));
+
+  run();
+  return setInterval(run, SCHEDULE_JOB_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toInstant,
+  normalizeScheduleSettings,
+  getSchedule,
+  isClosed,
+  submissionWindowError,
+  collectionTime,
+  archiveClosedTemplates,
+  startScheduleJob
+};
@@ -0,0 +1,207 @@
+// Version snapshots for survey templates: creating, resolving, diffing and
+// reconciling questions across the versions responses were collected under.
+
+const SurveyTemplateVersion = require('../models/SurveyTemplateVersion');
+
+// Fields whose edits change what collected answers mean. Settings (schedule,
+// quotas, public link) govern collection, not answers, so they are left out.
+const VERSIONED_FIELDS = ['name', 'description', 'sections', 'questions'];
+const QUESTION_FIELDS = ['type', 'questionText', 'description', 'options', 'rows', 'required', 'validation', 'order', 'showIf', 'section'];
+
+const nextVersionLabel = (version, versionNumber) => {
+  const match = /^(\d+)\.\d+\.\d+$/.exec(version || '');
+  return match ? `${parseInt(match[1], 10) + 1}.0.0` : `${versionNumber}.0.0`;
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Drop subdocument ids and sort keys so equal content compares equal
+const normalize = (value) => {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value, (key, item) => {
+    if (key === '_id') return undefined;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]));
+    }
+    return item;
+  }));
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Answers, quotas and showIf rules refer to questions and sections by _id, so
+// unlike nested ids (options, rows) theirs are part of the content
+const contentOf = (field, value) => JSON.stringify(
+  ['sections', 'questions'].includes(field)
+    ? (value || []).map(item => ({ ...normalize(item), _id: String(item._id) }))
+    : normalize(value)
+);
+
+const createSnapshot = async (template, userId, changeNote) => {
+  const content = template.toObject();
+
+  const snapshot = await SurveyTemplateVersion.create({
+    template: template._id,
+    versionNumber: template.versionNumber,
+    version: template.version,
+    name: content.name,
+    description: content.description,
+    sections: content.sections,
+    questions: content.questions,
+    settings: content.settings,
+    changeNote,
+    createdBy: userId
+  });
+
+  template.currentVersion = snapshot._id;
+  await template.save();
+  return snapshot;
+};
+
+// Snapshot matching the template's current content, created on first use
+const getCurrentVersion = async (template, userId) => {
+  if (template.currentVersion) {
+    const current = await SurveyTemplateVersion.findById(template.currentVersion);
+    if (current) return current;
+  }
+
+  try {
+    return await createSnapshot(template, userId);
+  } catch (error) {
+    // Another request snapshotted this version first
+    if (error.code !== 11000) throw error;
+    return SurveyTemplateVersion.findOne({
+      template: template._id,
+      versionNumber: template.versionNumber
+    });
+  }
+};
+
+// Version a response was collected under; defaults to the current one
+const resolveVersion = async (template, versionNumber, userId) => {
+  if (!versionNumber || Number(versionNumber) === template.versionNumber) {
+    return getCurrentVersion(template, userId);
+  }
+
+  return SurveyTemplateVersion.findOne({
+    template: template._id,
+    versionNumber: Number(versionNumber)
+  });
+};
+
+// Apply an edit. Once responses exist the current content is frozen in a
+// snapshot, so content edits bump the version and snapshot the new content.
+const applyTemplateUpdate = async (template, updates, { hasResponses, userId, changeNote }) => {
+  if (hasResponses) {
+    await getCurrentVersion(template, userId);
+  }
+
+  // Compared after set() so entries sent without an _id count as the new
+  // questions and sections they become
+  const before = VERSIONED_FIELDS.map(field => contentOf(field, toPlain(template.get(field))));
+  template.set(updates);
+  const changesContent = VERSIONED_FIELDS.some((field, index) => (
+    before[index] !== contentOf(field, toPlain(template.get(field)))
+  ));
+  const createsVersion = Boolean(template.currentVersion) && changesContent;
+
+  if (createsVersion) {
+    template.versionNumber += 1;
+    template.version = nextVersionLabel(template.version, template.versionNumber);
+    template.currentVersion = undefined;
+  }
+  await template.save();
+
+  if (createsVersion) {
+    await createSnapshot(template, userId, changeNote);
+  }
+
+  return { template, createdVersion: createsVersion };
+};
+
+const diffQuestions = (fromQuestions, toQuestions) => {
+  const fromById = new Map(fromQuestions.map(question => [String(question._id), toPlain(question)]));
+  const toById = new Map(toQuestions.map(question => [String(question._id), toPlain(question)]));
+  const summarize = question => ({
+    questionId: String(question._id),
+    questionText: question.questionText,
+    type: question.type
+  });
+
+  const added = [...toById.values()].filter(question => !fromById.has(String(question._id)));
+  const removed = [...fromById.values()].filter(question => !toById.has(String(question._id)));
+  const changed = [];
+
+  toById.forEach((question, questionId) => {
+    const previous = fromById.get(questionId);
+    if (!previous) return;
+
+    const changes = QUESTION_FIELDS
+      .filter(field => !isEqual(previous[field], question[field]))
+      .map(field => ({ field, from: normalize(previous[field]), to: normalize(question[field]) }));
+
+    if (changes.length > 0) {
+      changed.push({ ...summarize(question), changes });
+    }
+  });
+
+  return {
+    added: added.map(summarize),
+    removed: removed.map(summarize),
+    changed
+  };
+};
+
+// Describe what changed between two snapshots
+const diffVersions = (from, to) => {
+  const fields = ['name', 'description', 'sections']
+    .filter(field => !isEqual(from[field], to[field]))
+    .map(field => ({ field, from: normalize(from[field]), to: normalize(to[field]) }));
+
+  return {
+    from: { versionNumber: from.versionNumber, version: from.version },
+    to: { versionNumber: to.versionNumber, version: to.version },
+    fields,
+    questions: diffQuestions(from.questions || [], to.questions || [])
+  };
+};
+
+// Current questions plus questions that only exist in older versions, so answers
+// collected before a question was removed are still reported under its own column
+const reconcileQuestions = (template, versions) => {
+  const questions = (template.questions || []).map(toPlain);
+  const seen = new Set(questions.map(question => String(question._id)));
+  let nextOrder = questions.reduce((max, question) => Math.max(max, question.order), 0) + 1;
+
+  [...versions]
+    .sort((a, b) => b.versionNumber - a.versionNumber)
+    .forEach(version => {
+      (version.questions || []).map(toPlain).forEach(question => {
+        const questionId = String(question._id);
+        if (seen.has(questionId)) return;
+
+        seen.add(questionId);
+        questions.push({
+          ...question,
+          order: nextOrder++,
+          questionText: `${question.questionText} (version ${version.version})`
+        });
+      });
+    });
+
+  return {
+    _id: template._id,
+    name: template.name,
+    version: template.version,
+    questions
+  };
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  getCurrentVersion,
+  resolveVersion,
+  applyTemplateUpdate,
+  diffVersions,
+  reconcileQuestions
+};
@@ -0,0 +1,161 @@
+// TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 30 second steps, six
+// digits) plus single-use recovery codes. Secrets are stored encrypted so a
+// database dump alone cannot generate codes; recovery codes are stored hashed.
+
+const crypto = require('crypto');
+const Team = require('../models/Team');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'O-RANJ';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next step too, for clock drift between phone and server
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error('Invalid base32 secret');
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:two-factor`)
+  .digest();
+
+// AES-256-GCM, stored as iv:tag:ciphertext in hex
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Step the code belongs to, or null. Steps at or before lastUsedStep are
+// rejected so an observed code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    if (safeEqual(generateCode(secret, step), candidate)) return step;
+  }
+  return null;
+};
+
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Codes shown to the user once, e.g. "3f9a-07c1", and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return {
+    codes,
+    records: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+// Check a TOTP code or an unused recovery code against a user loaded with
+// +twoFactor.secret +twoFactor.recoveryCodes, and record its use. Resolves to
+// 'code', 'recovery-code' or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor || !twoFactor.enabled || !twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyCode(decryptSecret(twoFactor.secret), code, twoFactor.lastUsedStep);
+    if (step === null) return null;
+    twoFactor.lastUsedStep = step;
+    await user.save();
+    return 'code';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const record = twoFactor.recoveryCodes.find(entry => !entry.usedAt && safeEqual(entry.hash, hash));
+    if (!record) return null;
+    record.usedAt = new Date();
+    await user.save();
+    return 'recovery-code';
+  }
+
+  return null;
+};
+
+const remainingRecoveryCodes = (user) => (
+  (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length
+);
+
+// Active teams where the user is an admin and the team requires admins to use 2FA
+const teamsRequiringTwoFactor = (userId) => Team.find({
+  isActive: true,
+  'settings.requireTwoFactorForAdmins': true,
+  members: { $elemMatch: { user: userId, role: 'admin' } }
+}).select('name');
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  remainingRecoveryCodes,
+  teamsRequiringTwoFactor
+};
@@ -0,0 +1,303 @@
+// offline-store.js - IndexedDB storage shared by the app and the service worker
+const OfflineStore = {
+    DB_NAME: 'o-ranj-offline',
+    DB_VERSION: 3,
+    STORES: {
+        RESPONSES: 'responses',
+        SYNC_QUEUE: 'syncQueue',
+        TEMPLATES: 'templates',
+        OUTBOX: 'outbox',
+        META: 'meta',
+        MEDIA: 'media'
+    },
+    dbPromise: null,
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                request.onupgradeneeded = () => this.upgrade(request.result);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Another tab or the service worker upgraded the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    },
+
+    upgrade(db) {
+        if (!db.objectStoreNames.contains(this.STORES.RESPONSES)) {
+            const responses = db.createObjectStore(this.STORES.RESPONSES, { keyPath: 'id' });
+            responses.createIndex('clientId', 'clientId', { unique: false });
+            responses.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(this.STORES.SYNC_QUEUE)) {
+            db.createObjectStore(this.STORES.SYNC_QUEUE, { keyPath: 'clientId' });
+        }
+        if (!db.objectStoreNames.contains(this.STORES.TEMPLATES)) {
+            db.createObjectStore(this.STORES.TEMPLATES, { keyPath: '_id' });
+        }
+        if (!db.objectStoreNames.contains(this.STORES.OUTBOX)) {
+            db.createObjectStore(this.STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+        }
+        // Version 2: settings the service worker needs to sync without the page (API URL, auth token)
+        if (!db.objectStoreNames.contains(this.STORES.META)) {
+            db.createObjectStore(this.STORES.META, { keyPath: 'key' });
+        }
+        // Version 3: photos, recordings and signatures waiting to be uploaded, keyed by their clientId
+        if (!db.objectStoreNames.contains(this.STORES.MEDIA)) {
+            db.createObjectStore(this.STORES.MEDIA, { keyPath: 'clientId' });
+        }
+    },
+
+    // Run fn against the named stores; resolves with fn's result once the transaction commits
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            Promise.resolve(fn(...stores))
+                .then(value => { result = value; })
+                .catch(error => {
+                    tx.abort();
+                    reject(error);
+                });
+        });
+    },
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    },
+
+    getAll(storeName) {
+        return this.transaction(storeName, 'readonly', store => this.request(store.getAll()));
+    },
+
+    get(storeName, key) {
+        return this.transaction(storeName, 'readonly', store => this.request(store.get(key)));
+    },
+
+    getByIndex(storeName, indexName, value) {
+        return this.transaction(storeName, 'readonly', store => this.request(store.index(indexName).get(value)));
+    },
+
+    count(storeName) {
+        return this.transaction(storeName, 'readonly', store => this.request(store.count()));
+    },
+
+    put(storeName, value) {
+        return this.transaction(storeName, 'readwrite', store => this.request(store.put(value)));
+    },
+
+    putAll(storeName, values) {
+        return this.transaction(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+        });
+    },
+
+    delete(storeName, key) {
+        return this.transaction(storeName, 'readwrite', store => this.request(store.delete(key)));
+    },
+
+    deleteAll(storeName, keys) {
+        return this.transaction(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    },
+
+    clear(storeName) {
+        return this.transaction(storeName, 'readwrite', store => this.request(store.clear()));
+    },
+
+    async getMeta(key) {
+        const entry = await this.get(this.STORES.META, key);
+        return entry ? entry.value : undefined;
+    },
+
+    setMeta(key, value) {
+        return this.put(this.STORES.META, { key, value });
+    },
+
+    deleteMeta(key) {
+        return this.delete(this.STORES.META, key);
+    },
+
+    // Exchange the stored refresh token for new tokens and store the rotated pair.
+    // Shared by the page and the service worker so neither keeps a token the other
+    // already rotated. Resolves to null when the session has ended; throws when offline.
+    async refreshSession() {
+        const apiBaseUrl = await this.getMeta('apiBaseUrl');
+        const refreshToken = await this.getMeta('refreshToken');
+        if (!apiBaseUrl || !refreshToken) return null;
+
+        const response = await fetch(`${apiBaseUrl}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (!response.ok) {
+            // Lost a race with another refresh that already stored the new pair
+            const storedRefreshToken = await this.getMeta('refreshToken');
+            if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+                return { token: await this.getMeta('authToken'), refreshToken: storedRefreshToken };
+            }
+            if (response.status === 401 || response.status === 400) return null;
+            throw new Error(`Token refresh failed (${response.status})`);
+        }
+
+        const result = await response.json();
+        await this.setMeta('authToken', result.data.token);
+        await this.setMeta('refreshToken', result.data.refreshToken);
+        return result.data;
+    },
+
+    // Authenticated request to the media API for an item saved on this device,
+    // filed under the team it was captured for
+    async mediaRequest(path, media, options = {}) {
+        const apiBaseUrl = await this.getMeta('apiBaseUrl');
+        const send = async () => fetch(`${apiBaseUrl}${path}`, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${await this.getMeta('authToken')}`,
+                ...(media.team && { 'X-Team-Id': media.team })
+            }
+        });
+
+        let response = await send();
+        // Access tokens are short-lived; devices offline for days need a fresh one
+        if (response.status === 401 && await this.refreshSession()) {
+            response = await send();
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.message || `Media upload failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    },
+
+    // Upload one saved item in chunks. Starting again with the same clientId
+    // resumes an interrupted upload, so only missing chunks are sent.
+    async uploadMedia(media) {
+        const started = await this.mediaRequest('/media', media, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                clientId: media.clientId,
+                kind: media.kind,
+                mimeType: media.mimeType,
+                size: media.blob.size,
+                questionId: media.questionId
+            })
+        });
+        const upload = started.data.media;
+        if (upload.status === 'complete') return;
+
+        for (let index = 0; index < upload.totalChunks; index++) {
+            if (upload.receivedChunks.includes(index)) continue;
+            const form = new FormData();
+            form.append('chunk', media.blob.slice(index * upload.chunkSize, (index + 1) * upload.chunkSize), String(index));
+            await this.mediaRequest(`/media/${upload._id}/chunks/${index}`, media, { method: 'PUT', body: form });
+        }
+
+        await this.mediaRequest(`/media/${upload._id}/complete`, media, { method: 'POST' });
+    },
+
+    // Upload every saved photo, recording and signature, removing each from the
+    // device once the server holds it. Runs before queued responses are sent,
+    // since the server only accepts answers whose media it already has. Items
+    // that fail stay saved with the reason and are retried at the next sync.
+    async uploadPendingMedia() {
+        const pending = await this.getAll(this.STORES.MEDIA);
+        const apiBaseUrl = await this.getMeta('apiBaseUrl');
+        const authToken = await this.getMeta('authToken');
+        if (pending.length === 0 || !apiBaseUrl || !authToken) {
+            return { uploaded: 0, failed: pending.length };
+        }
+
+        let uploaded = 0;
+        for (const media of pending) {
+            try {
+                await this.uploadMedia(media);
+                await this.delete(this.STORES.MEDIA, media.clientId);
+                uploaded++;
+            } catch (error) {
+                console.error('Media upload failed:', error);
+                await this.put(this.STORES.MEDIA, { ...media, uploadError: error.message });
+            }
+        }
+        return { uploaded, failed: pending.length - uploaded };
+    },
+
+    // One-line summary of a sync for notifications, e.g. "Synced 3 responses, 1 conflict"
+    describeSyncSummary(summary) {
+        const synced = (summary.created || 0) + (summary.updated || 0) + (summary.duplicate || 0);
+        const parts = [`Synced ${synced} responses`];
+        if (summary.conflict) parts.push(`${summary.conflict} in conflict`);
+        if (summary.rejected) parts.push(`${summary.rejected} rejected`);
+        return parts.join(', ');
+    },
+
+    // Apply per-item results from POST /survey-responses/sync: surveys the server
+    // now holds leave the queue, conflicts leave it to await the collector's choice,
+    // rejected ones stay with their reason
+    applySyncResults(results) {
+        const { RESPONSES, SYNC_QUEUE } = this.STORES;
+        const SYNCED = ['created', 'updated', 'duplicate'];
+
+        return this.transaction([RESPONSES, SYNC_QUEUE], 'readwrite', (responses, queue) => {
+            results.forEach(outcome => {
+                const markOutcome = survey => {
+                    if (!survey) return survey;
+                    const { baseRevision, syncError, conflict, ...rest } = survey;
+
+                    if (SYNCED.includes(outcome.status)) {
+                        return { ...rest, serverId: outcome.responseId, revision: outcome.revision, syncStatus: 'synced' };
+                    }
+                    if (outcome.status === 'conflict') {
+                        return { ...rest, serverId: outcome.responseId, baseRevision, syncStatus: 'conflict', conflict: outcome.conflict };
+                    }
+                    return { ...survey, syncStatus: 'failed', syncError: outcome.reason };
+                };
+
+                if (outcome.status === 'rejected') {
+                    queue.get(outcome.clientId).onsuccess = event => {
+                        const survey = markOutcome(event.target.result);
+                        if (survey) queue.put(survey);
+                    };
+                } else {
+                    queue.delete(outcome.clientId);
+                }
+
+                responses.index('clientId').get(outcome.clientId).onsuccess = event => {
+                    const survey = markOutcome(event.target.result);
+                    if (survey) responses.put(survey);
+                };
+            });
+        });
+    }
+};
@@ -5,39 +5,45 @@ const API_CONFIG = {
         AUTH: {
             LOGIN: '/auth/login',
             REGISTER: '/auth/register',
+            REFRESH: '/auth/refresh',
+            LOGOUT: '/auth/logout',
+            VERIFY_EMAIL: '/auth/verify-email',
+            RESEND_VERIFICATION: '/auth/resend-verification',
+            FORGOT_PASSWORD: '/auth/forgot-password',
+            RESET_PASSWORD: '/auth/reset-password',
+            TWO_FACTOR: '/auth/2fa',
+            TWO_FACTOR_VERIFY: '/auth/2fa/verify',
+            TWO_FACTOR_SETUP: '/auth/2fa/setup',
+            TWO_FACTOR_ENABLE: '/auth/2fa/enable',
+            TWO_FACTOR_DISABLE: '/auth/2fa/disable',
+            TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes',
             ME: '/auth/me',
             PROFILE: '/auth/profile',
             CHANGE_PASSWORD: '/auth/change-password'
         },
         SURVEY_TEMPLATES: '/survey-templates',
-        SURVEY_RESPONSES: '/survey-responses'
+        PUBLIC_SURVEYS: '/public/surveys',
+        SURVEY_RESPONSES: '/survey-responses',
+        TEAMS: {
+            LIST: '/teams',
+            CURRENT: '/teams/current',
+            ACTIVE: '/teams/active',
+            SETTINGS: '/teams/settings',
+            ACCEPT_INVITE: '/teams/invites/accept'
+        }
     }
 };
 
 // Application state
-let currentSection = 1;
-const totalSections = 4;
 let currentAppSection = 'survey';
 let currentUser = null;
 let authToken = localStorage.getItem('authToken');
+let refreshToken = localStorage.getItem('refreshToken');
+// Team this tab works in; sent as X-Team-Id so each session can use a different team
+let activeTeamId = sessionStorage.getItem('activeTeamId');
+let teamMemberships = [];
 let currentSurveyTemplate = null;
 
-// Survey data templates
-const surveyData = {
-    problemCategories: [
-        "Money/expenses",
-        "Food/nutrition",
-        "Clothing",
-        "Transport",
-        "Academics/study support",
-        "Mental health/wellbeing",
-        "Social life/connections",
-        "Opportunities (jobs/internships/events)",
-        "Housing/accommodation",
-        "Safety/security"
-    ]
-};
-
 // Enhanced Data Storage and Sync System with Backend Integration
 const DataManager = {
     STORAGE_KEYS: {
@@ -45,18 +51,28 @@ const DataManager = {
         PENDING_SYNC: 'pending_sync_queue',
         USER_DATA: 'user_data',
         AUTH_TOKEN: 'authToken',
+        REFRESH_TOKEN: 'refreshToken',
         TEAM_MEMBERS: 'team_members',
+        TEAM_MEMBERSHIPS: 'team_memberships',
+        ACTIVE_TEAM: 'activeTeamId',
         SYNC_TIMESTAMP: 'last_sync_timestamp',
         DEVICE_INFO: 'device_info'
     },
 
+    authHeaders() {
+        return {
+            ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
+            ...(activeTeamId && { 'X-Team-Id': activeTeamId })
+        };
+    },
+
     // API request helper
     async apiRequest(endpoint, options = {}) {
         const url = `${API_CONFIG.BASE_URL}${endpoint}`;
         const config = {
             headers: {
                 'Content-Type': 'application/json',
-                ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
+                ...this.authHeaders(),
                 ...options.headers
             },
             ...options
@@ -64,10 +80,22 @@ const DataManager = {
 
         try {
             const response = await fetch(url, config);
+
+            // The access token expired or was revoked: refresh once and retry
+            if (response.status === 401 && this.canRefresh(endpoint, options)) {
+                if (await this.refreshSession()) {
+                    return this.apiRequest(endpoint, { ...options, retried: true });
+                }
+            }
+
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.message || 'API request failed');
+                const apiError = new Error(data.message || 'API request failed');
+                apiError.status = response.status;
+                apiError.errors = data.errors;
+                apiError.data = data.data;
+                throw apiError;
             }
 
             return data;
@@ -75,8 +103,9 @@ const DataManager = {
             console.error('API Request failed:', error);
             
             // If offline, store request for later sync
-            if (!navigator.onLine && options.method && options.method !== 'GET') {
-                this.addToOfflineQueue(endpoint, options);
+            if (!navigator.onLine && options.method && options.method !== 'GET' && !options.replayed) {
+                this.addToOfflineQueue(endpoint, options)
+                    .catch(queueError => console.error('Failed to queue offline request:', queueError));
             }
             
             throw error;
@@ -84,54 +113,368 @@ const DataManager = {
     },
 
     // Authentication methods
-    async login(email, password) {
+    async login(email, password, inviteToken) {
         const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.LOGIN, {
             method: 'POST',
-            body: JSON.stringify({ email, password })
+            body: JSON.stringify({
+                email,
+                password,
+                deviceInfo: this.getDeviceInfo(),
+                ...(inviteToken && { inviteToken })
+            })
         });
 
-        authToken = result.data.token;
-        localStorage.setItem(this.STORAGE_KEYS.AUTH_TOKEN, authToken);
-        currentUser = result.data.user;
+        // Accounts with two-factor authentication get a challenge instead of a session
+        if (!result.data.twoFactorRequired) {
+            await this.startSession(result.data);
+        }
         
         return result;
     },
 
+    // Second login step: an authenticator code, or a recovery code
+    async verifyTwoFactorLogin(challengeToken, code, inviteToken) {
+        const isAuthenticatorCode = /^\d{6}$/.test(code);
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.TWO_FACTOR_VERIFY, {
+            method: 'POST',
+            body: JSON.stringify({
+                challengeToken,
+                ...(isAuthenticatorCode ? { code } : { recoveryCode: code }),
+                deviceInfo: this.getDeviceInfo(),
+                ...(inviteToken && { inviteToken })
+            })
+        });
+
+        await this.startSession(result.data);
+        return result;
+    },
+
     async register(userData) {
         const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.REGISTER, {
             method: 'POST',
-            body: JSON.stringify(userData)
+            body: JSON.stringify({ ...userData, deviceInfo: this.getDeviceInfo() })
         });
 
-        authToken = result.data.token;
-        localStorage.setItem(this.STORAGE_KEYS.AUTH_TOKEN, authToken);
-        currentUser = result.data.user;
+        await this.startSession(result.data);
         
         return result;
     },
 
+    async startSession(data) {
+        this.setSession(data);
+        currentUser = data.user;
+        localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(currentUser));
+        await this.saveSyncCredentials();
+        await this.loadMemberships();
+    },
+
     async getCurrentUser() {
         if (!authToken) return null;
         
         try {
             const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.ME);
             currentUser = result.data.user;
+            localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(currentUser));
+            this.setMemberships(result.data.memberships);
             return currentUser;
         } catch (error) {
+            // Without a connection, keep collecting as the last signed-in user
+            const cachedUser = JSON.parse(localStorage.getItem(this.STORAGE_KEYS.USER_DATA) || 'null');
+            if (!error.status && cachedUser) {
+                currentUser = cachedUser;
+                this.setMemberships(JSON.parse(localStorage.getItem(this.STORAGE_KEYS.TEAM_MEMBERSHIPS) || '[]'));
+                return currentUser;
+            }
+
             console.error('Failed to get current user:', error);
             this.logout();
             return null;
         }
     },
 
+    async verifyEmail(token) {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.VERIFY_EMAIL, {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+
+        if (currentUser) {
+            currentUser.emailVerified = true;
+            localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(currentUser));
+        }
+        return result;
+    },
+
+    async resendVerification() {
+        return await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.RESEND_VERIFICATION, {
+            method: 'POST'
+        });
+    },
+
+    async forgotPassword(email) {
+        return await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.FORGOT_PASSWORD, {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+    },
+
+    async resetPassword(token, password) {
+        return await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.RESET_PASSWORD, {
+            method: 'POST',
+            body: JSON.stringify({ token, password })
+        });
+    },
+
+    // Two-factor authentication
+    async getTwoFactorStatus() {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.TWO_FACTOR);
+        return result.data;
+    },
+
+    async setupTwoFactor() {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.TWO_FACTOR_SETUP, {
+            method: 'POST'
+        });
+        return result.data;
+    },
+
+    async enableTwoFactor(code) {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.TWO_FACTOR_ENABLE, {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+
+        if (currentUser) {
+            currentUser.twoFactor = { enabled: true, enabledAt: new Date().toISOString() };
+            localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(currentUser));
+        }
+        return result;
+    },
+
+    async disableTwoFactor(password, code) {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.TWO_FACTOR_DISABLE, {
+            method: 'POST',
+            body: JSON.stringify({
+                password,
+                ...(/^\d{6}$/.test(code) ? { code } : { recoveryCode: code })
+            })
+        });
+
+        if (currentUser) {
+            currentUser.twoFactor = { enabled: false };
+            localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(currentUser));
+        }
+        return result;
+    },
+
+    async regenerateRecoveryCodes(code) {
+        return await this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.TWO_FACTOR_RECOVERY_CODES, {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    },
+
+    // Keep the access and refresh tokens issued by login, register or refresh
+    setSession({ token, refreshToken: newRefreshToken }) {
+        authToken = token;
+        refreshToken = newRefreshToken;
+        localStorage.setItem(this.STORAGE_KEYS.AUTH_TOKEN, authToken);
+        localStorage.setItem(this.STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+    },
+
+    // Login, register and refresh answer 401 for bad credentials, not expired tokens
+    canRefresh(endpoint, options) {
+        const { LOGIN, REGISTER, REFRESH, LOGOUT, TWO_FACTOR_VERIFY } = API_CONFIG.ENDPOINTS.AUTH;
+        return Boolean(refreshToken) && !options.retried
+            && ![LOGIN, REGISTER, REFRESH, LOGOUT, TWO_FACTOR_VERIFY].includes(endpoint);
+    },
+
+    refreshPromise: null,
+
+    // Exchange the refresh token for new tokens. Concurrent callers share one
+    // refresh, and the rotation goes through IndexedDB so the service worker
+    // always holds the current refresh token too. Resolves to false once the
+    // session has ended; offline devices keep their session for later.
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.ready()
+                .then(() => OfflineStore.refreshSession())
+                .then(session => {
+                    if (!session) {
+                        TeamApp.showNotification('Your session has expired - please sign in again', 'warning');
+                        this.logout();
+                        return false;
+                    }
+                    this.setSession(session);
+                    return true;
+                })
+                .catch(error => {
+                    console.error('Token refresh failed:', error);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    },
+
+    // Take over tokens the service worker rotated while this page was closed or in the background
+    async adoptStoredSession() {
+        if (!refreshToken) return;
+
+        const storedRefreshToken = await OfflineStore.getMeta('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+            this.setSession({ token: await OfflineStore.getMeta('authToken'), refreshToken: storedRefreshToken });
+        }
+    },
+
     logout() {
+        // Revoke the refresh token on the server; offline it simply expires
+        if (refreshToken && navigator.onLine) {
+            this.apiRequest(API_CONFIG.ENDPOINTS.AUTH.LOGOUT, {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken }),
+                replayed: true
+            }).catch(error => console.error('Failed to revoke session:', error));
+        }
+
         authToken = null;
+        refreshToken = null;
         currentUser = null;
         localStorage.removeItem(this.STORAGE_KEYS.AUTH_TOKEN);
+        localStorage.removeItem(this.STORAGE_KEYS.REFRESH_TOKEN);
         localStorage.removeItem(this.STORAGE_KEYS.USER_DATA);
+        localStorage.removeItem(this.STORAGE_KEYS.TEAM_MEMBERSHIPS);
+        sessionStorage.removeItem(this.STORAGE_KEYS.ACTIVE_TEAM);
+        activeTeamId = null;
+        teamMemberships = [];
+        this.saveSyncCredentials()
+            .catch(error => console.error('Failed to clear sync credentials:', error));
+        // Cached templates belong to the signed-out user's team
+        OfflineStore.clear(OfflineStore.STORES.TEMPLATES)
+            .catch(error => console.error('Failed to clear cached templates:', error));
         showAuthModal();
     },
 
+    // The service worker syncs without the page, so it reads the API URL and tokens from IndexedDB
+    async saveSyncCredentials() {
+        await OfflineStore.setMeta('apiBaseUrl', API_CONFIG.BASE_URL);
+        if (authToken) {
+            await OfflineStore.setMeta('authToken', authToken);
+            await OfflineStore.setMeta('refreshToken', refreshToken);
+        } else {
+            await OfflineStore.deleteMeta('authToken');
+            await OfflineStore.deleteMeta('refreshToken');
+        }
+    },
+
+    // Let the service worker deliver queued responses even after the page is closed
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) {
+                await registration.sync.register('background-sync');
+            }
+            // Periodic sync picks up anything a one-off sync gave up on
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.register('periodic-background-sync', {
+                    minInterval: 15 * 60 * 1000
+                });
+            }
+        } catch (error) {
+            // Unsupported or not permitted; TeamApp's sync monitor still retries while the page is open
+            console.log('Background sync registration failed:', error);
+        }
+    },
+
+    // Team methods
+    async acceptTeamInvite(token) {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.TEAMS.ACCEPT_INVITE, {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+
+        currentUser = result.data.user;
+        localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(currentUser));
+        // Work in the team just joined
+        this.setActiveTeam(result.data.team._id);
+        await this.loadMemberships();
+        return result;
+    },
+
+    async loadMemberships() {
+        try {
+            const result = await this.apiRequest(API_CONFIG.ENDPOINTS.TEAMS.LIST);
+            this.setMemberships(result.data.memberships);
+        } catch (error) {
+            console.error('Failed to load team memberships:', error);
+        }
+        return teamMemberships;
+    },
+
+    setMemberships(memberships = []) {
+        teamMemberships = memberships;
+        localStorage.setItem(this.STORAGE_KEYS.TEAM_MEMBERSHIPS, JSON.stringify(memberships));
+
+        // Forget a selection this user no longer belongs to
+        if (activeTeamId && !memberships.some(membership => membership.team._id === activeTeamId)) {
+            this.setActiveTeam(null);
+        }
+    },
+
+    setActiveTeam(teamId) {
+        activeTeamId = teamId;
+        if (teamId) {
+            sessionStorage.setItem(this.STORAGE_KEYS.ACTIVE_TEAM, teamId);
+        } else {
+            sessionStorage.removeItem(this.STORAGE_KEYS.ACTIVE_TEAM);
+        }
+    },
+
+    // The selected team, or the user's default team until one is chosen
+    getActiveTeamId() {
+        if (activeTeamId) return activeTeamId;
+        const team = currentUser && currentUser.team;
+        return team ? (team._id || team) : null;
+    },
+
+    getActiveMembership() {
+        return teamMemberships.find(membership => membership.team._id === this.getActiveTeamId()) || null;
+    },
+
+    // Surveys and templates saved before multi-team support have no team and show everywhere
+    belongsToActiveTeam(item) {
+        if (!item.team) return true;
+        return String(item.team._id || item.team) === String(this.getActiveTeamId());
+    },
+
+    async getCurrentTeam() {
+        const result = await this.apiRequest(API_CONFIG.ENDPOINTS.TEAMS.CURRENT);
+        return result.data;
+    },
+
+    async updateTeamSettings(settings) {
+        return await this.apiRequest(API_CONFIG.ENDPOINTS.TEAMS.SETTINGS, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    },
+
+    // Switch this session to another team. Online, the server checks the membership
+    // and remembers the team as the default for new sessions.
+    async switchTeam(teamId) {
+        if (navigator.onLine) {
+            await this.apiRequest(API_CONFIG.ENDPOINTS.TEAMS.ACTIVE, {
+                method: 'PUT',
+                body: JSON.stringify({ teamId })
+            });
+        }
+        this.setActiveTeam(teamId);
+    },
+
     // Survey template methods
     async getSurveyTemplates(params = {}) {
         const queryString = new URLSearchParams(params).toString();
@@ -142,6 +485,10 @@ const DataManager = {
         return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_TEMPLATES}/${id}`);
     },
 
+    async getTemplateQuotas(id) {
+        return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_TEMPLATES}/${id}/quotas`);
+    },
+
     async createSurveyTemplate(templateData) {
         return await this.apiRequest(API_CONFIG.ENDPOINTS.SURVEY_TEMPLATES, {
             method: 'POST',
@@ -162,6 +509,34 @@ const DataManager = {
         });
     },
 
+    async createPublicLink(id) {
+        return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_TEMPLATES}/${id}/public-link`, {
+            method: 'POST'
+        });
+    },
+
+    async deletePublicLink(id) {
+        return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_TEMPLATES}/${id}/public-link`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Public survey links. The respondent cookie is cross-origin, so send credentials.
+    async getPublicSurvey(token) {
+        return await this.apiRequest(`${API_CONFIG.ENDPOINTS.PUBLIC_SURVEYS}/${token}`, {
+            credentials: 'include'
+        });
+    },
+
+    async submitPublicResponse(token, responseData) {
+        return await this.apiRequest(`${API_CONFIG.ENDPOINTS.PUBLIC_SURVEYS}/${token}/responses`, {
+            method: 'POST',
+            credentials: 'include',
+            body: JSON.stringify(responseData),
+            replayed: true
+        });
+    },
+
     async duplicateSurveyTemplate(id) {
         return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_TEMPLATES}/${id}/duplicate`, {
             method: 'POST'
@@ -169,10 +544,15 @@ const DataManager = {
     },
 
     // Survey response methods
-    async submitSurvey(response) {
-        const surveyData = {
-            surveyTemplate: currentSurveyTemplate || response.surveyTemplate,
-            responses: this.formatSurveyResponse(response),
+    async submitSurvey({ media = [], ...response }) {
+        const endTime = new Date();
+        const startTime = response.startTime ? new Date(response.startTime) : endTime;
+
+        // The client ID stays with the survey through retries and offline sync,
+        // so the server can tell a resubmission from a new response
+        const survey = {
+            ...response,
+            clientId: response.clientId || this.generateUUID(),
             deviceInfo: {
                 deviceId: this.getDeviceId(),
                 platform: navigator.platform,
@@ -180,52 +560,87 @@ const DataManager = {
                 appVersion: '1.0.0'
             },
             analytics: {
-                startTime: new Date(Date.now() - 300000), // 5 minutes ago
-                endTime: new Date(),
-                completionTime: 300, // 5 minutes in seconds
-                sectionsCompleted: ['1', '2', '3', '4']
+                startTime: startTime.toISOString(),
+                endTime: endTime.toISOString(),
+                completionTime: Math.round((endTime - startTime) / 1000),
+                sectionsCompleted: response.sectionsCompleted || []
             }
         };
 
+        const surveyData = {
+            clientId: survey.clientId,
+            surveyTemplate: survey.surveyTemplate || currentSurveyTemplate,
+            templateVersionNumber: survey.templateVersionNumber,
+            responses: survey.responses,
+            deviceInfo: survey.deviceInfo,
+            location: survey.location,
+            locationOverride: survey.locationOverride,
+            analytics: survey.analytics
+        };
+
+        // Captured media stays on the device until the server holds it
+        await this.saveMediaLocal(media, survey);
+
         // Try to submit to backend first
         if (navigator.onLine) {
             try {
+                // The server only accepts answers whose media it already holds
+                if (!(await this.uploadSurveyMedia(media))) {
+                    return this.saveSurveyLocal(survey);
+                }
+
                 const result = await this.apiRequest(API_CONFIG.ENDPOINTS.SURVEY_RESPONSES, {
                     method: 'POST',
                     body: JSON.stringify(surveyData)
                 });
                 
-                // Also save locally for redundancy
-                this.saveSurveyLocal(response);
+                // Also save locally for redundancy, remembering the server copy for later edits
+                await this.saveSurveyLocal({
+                    ...survey,
+                    serverId: result.data.response._id,
+                    revision: result.data.response.revision
+                }, { synced: true });
                 return result;
             } catch (error) {
+                // Answers or timing rejected by the server would be rejected again at sync
+                if (error.status === 400 || error.status === 403) {
+                    throw error;
+                }
                 console.error('Failed to submit to backend, saving locally:', error);
                 // Fall back to local storage
-                return this.saveSurveyLocal(response);
+                return this.saveSurveyLocal(survey);
             }
         } else {
             // Offline - save locally and queue for sync
-            return this.saveSurveyLocal(response);
+            return this.saveSurveyLocal(survey);
         }
     },
 
     async syncOfflineResponses() {
-        const pendingResponses = this.getPendingSyncQueue();
+        const pendingResponses = await this.getPendingSyncQueue();
         
         if (pendingResponses.length === 0 || !navigator.onLine) {
             return { success: true, message: 'No pending responses to sync' };
         }
 
         try {
+            // Responses whose media is still waiting are rejected and stay queued
+            await OfflineStore.uploadPendingMedia();
+
             const result = await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_RESPONSES}/sync`, {
                 method: 'POST',
                 body: JSON.stringify({ responses: pendingResponses })
             });
 
-            // Clear sync queue on success
             if (result.success) {
-                this.clearSyncQueue();
-                TeamApp.showNotification(`Synced ${result.data.syncResults.successful.length} responses`, 'success');
+                await this.applySyncResults(result.data.results);
+                this.setLastSyncTimestamp();
+
+                const { conflict, rejected } = result.data.summary;
+                TeamApp.showNotification(
+                    OfflineStore.describeSyncSummary(result.data.summary),
+                    conflict || rejected ? 'warning' : 'success'
+                );
             }
 
             return result;
@@ -235,6 +650,95 @@ const DataManager = {
         }
     },
 
+    // Correct a saved survey. Unsynced surveys just carry the new answers to the
+    // server; synced ones are edited on top of the revision this device last saw.
+    async updateSurvey(survey, responses, media = []) {
+        await this.ready();
+        const { RESPONSES, SYNC_QUEUE } = OfflineStore.STORES;
+        const updated = { ...survey, responses, editedAt: new Date().toISOString() };
+        await this.saveMediaLocal(media, survey);
+
+        if (survey.serverId && navigator.onLine && await this.uploadSurveyMedia(media)) {
+            try {
+                const result = await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_RESPONSES}/${survey.serverId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ responses, baseRevision: survey.revision || 1 })
+                });
+
+                const synced = { ...updated, revision: result.data.response.revision, syncStatus: 'synced' };
+                delete synced.conflict;
+                delete synced.baseRevision;
+                await OfflineStore.put(RESPONSES, synced);
+                return { success: true, data: { response: synced } };
+            } catch (error) {
+                if (error.status === 409) {
+                    await OfflineStore.put(RESPONSES, {
+                        ...updated,
+                        baseRevision: survey.revision || 1,
+                        syncStatus: 'conflict',
+                        conflict: error.data.conflict
+                    });
+                    throw error;
+                }
+                // Validation and permission errors would fail again at sync
+                if (error.status) throw error;
+            }
+        }
+
+        // Offline (or never synced): queue the edit for the next sync
+        const pending = {
+            ...updated,
+            syncStatus: 'pending',
+            ...(survey.serverId && { baseRevision: survey.baseRevision || survey.revision || 1 })
+        };
+        await OfflineStore.transaction([RESPONSES, SYNC_QUEUE], 'readwrite', (responses, queue) => {
+            responses.put(pending);
+            queue.put(pending);
+        });
+        await this.refreshPendingSyncCount();
+        this.requestBackgroundSync();
+
+        return { success: true, data: { response: pending } };
+    },
+
+    async getConflicts() {
+        const surveys = await this.getTeamSurveys();
+        return surveys.filter(survey => survey.syncStatus === 'conflict' && survey.conflict);
+    },
+
+    // Settle a conflict with the collector's choice per question: 'server', 'local' or a merged value.
+    // Questions not listed in the conflict already agree, so the local answers fill in the rest.
+    async resolveConflict(clientId, choices) {
+        await this.ready();
+        const survey = await OfflineStore.getByIndex(OfflineStore.STORES.RESPONSES, 'clientId', clientId);
+        if (!survey || !survey.conflict) {
+            throw new Error('Conflict not found');
+        }
+
+        const responses = { ...survey.responses };
+        survey.conflict.fields.forEach(field => {
+            const choice = choices[field.questionId] || { source: 'server' };
+            const value = choice.source === 'merged' ? choice.value
+                : choice.source === 'local' ? field.local
+                : field.server;
+
+            if (SurveyManager.isEmptyAnswer(value)) {
+                delete responses[field.questionId];
+            } else {
+                responses[field.questionId] = value;
+            }
+        });
+
+        // The resolution is an edit on top of the server's revision
+        return this.updateSurvey({ ...survey, revision: survey.conflict.serverRevision, baseRevision: undefined }, responses);
+    },
+
+    async applySyncResults(results) {
+        await this.ready();
+        await OfflineStore.applySyncResults(results);
+        await this.refreshPendingSyncCount();
+    },
+
     async getSurveyResponses(params = {}) {
         const queryString = new URLSearchParams(params).toString();
         return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_RESPONSES}?${queryString}`);
@@ -245,18 +749,70 @@ const DataManager = {
         return await this.apiRequest(`${API_CONFIG.ENDPOINTS.SURVEY_RESPONSES}/analytics?${queryString}`);
     },
 
-    // Local storage methods (fallback for offline)
-    saveSurveyLocal(response) {
-        let surveys = this.getAllSurveys();
-        const surveyId = this.generateId();
+    // Offline storage methods (IndexedDB, see offline-store.js)
+    storeReady: null,
+    pendingSyncCount: 0,
+
+    // Open the offline store once, moving any data saved by older versions out of localStorage
+    ready() {
+        if (!this.storeReady) {
+            this.storeReady = this.migrateLocalStorage()
+                .then(() => this.adoptStoredSession())
+                .then(() => this.saveSyncCredentials())
+                .then(() => this.refreshPendingSyncCount())
+                .catch(error => {
+                    this.storeReady = null;
+                    throw error;
+                });
+        }
+        return this.storeReady;
+    },
+
+    async migrateLocalStorage() {
+        const surveys = JSON.parse(localStorage.getItem(this.STORAGE_KEYS.SURVEYS) || '[]');
+        const queue = JSON.parse(localStorage.getItem(this.STORAGE_KEYS.PENDING_SYNC) || '[]');
+
+        if (surveys.length === 0 && queue.length === 0) {
+            return;
+        }
+
+        // The queue holds copies of saved surveys; give each pair one client ID so sync stays idempotent
+        const surveysById = new Map(surveys.map(survey => [survey.id, survey]));
+        queue.forEach(item => {
+            const survey = surveysById.get(item.id);
+            item.clientId = item.clientId || (survey && survey.clientId) || this.generateUUID();
+            if (survey) survey.clientId = item.clientId;
+        });
+        surveys.forEach(survey => {
+            survey.id = survey.id || survey.clientId || this.generateUUID();
+        });
+
+        const { RESPONSES, SYNC_QUEUE } = OfflineStore.STORES;
+        await OfflineStore.transaction([RESPONSES, SYNC_QUEUE], 'readwrite', (responses, pending) => {
+            surveys.forEach(survey => responses.put(survey));
+            queue.forEach(item => pending.put(item));
+        });
+
+        // Only forget the old copies once IndexedDB has committed them
+        localStorage.removeItem(this.STORAGE_KEYS.SURVEYS);
+        localStorage.removeItem(this.STORAGE_KEYS.PENDING_SYNC);
+        console.log(`Moved ${surveys.length} surveys and ${queue.length} pending syncs to IndexedDB`);
+    },
+
+    async saveSurveyLocal(response, { synced = false } = {}) {
+        await this.ready();
+        const clientId = response.clientId || this.generateUUID();
         const timestamp = new Date().toISOString();
         
         const completeSurvey = {
             ...response,
-            id: surveyId,
+            id: clientId,
+            clientId: clientId,
+            // Sync files the survey under the team it was collected for
+            team: response.team || this.getActiveTeamId(),
             timestamp: timestamp,
             deviceId: this.getDeviceId(),
-            syncStatus: navigator.onLine ? 'synced' : 'pending',
+            syncStatus: synced ? 'synced' : 'pending',
             date: new Date().toLocaleDateString('en-US', {
                 year: 'numeric',
                 month: 'short',
@@ -266,43 +822,138 @@ const DataManager = {
             })
         };
         
-        surveys.push(completeSurvey);
-        localStorage.setItem(this.STORAGE_KEYS.SURVEYS, JSON.stringify(surveys));
-        
-        // Add to sync queue if offline
-        if (!navigator.onLine) {
-            this.addToSyncQueue(completeSurvey);
+        // Anything the server has not confirmed waits in the sync queue
+        const { RESPONSES, SYNC_QUEUE } = OfflineStore.STORES;
+        await OfflineStore.transaction([RESPONSES, SYNC_QUEUE], 'readwrite', (responses, queue) => {
+            responses.put(completeSurvey);
+            if (!synced) queue.put(completeSurvey);
+        });
+        await this.refreshPendingSyncCount();
+
+        if (!synced) {
+            this.requestBackgroundSync();
         }
         
         return { success: true, data: { response: completeSurvey } };
     },
 
-    getAllSurveys() {
-        return JSON.parse(localStorage.getItem(this.STORAGE_KEYS.SURVEYS) || '[]');
+    // Keep photos, recordings and signatures with the survey they answer until
+    // they are uploaded; sync uploads them under the survey's team
+    async saveMediaLocal(media, survey) {
+        if (media.length === 0) return;
+        await this.ready();
+        await OfflineStore.putAll(OfflineStore.STORES.MEDIA, media.map(item => ({
+            ...item,
+            responseClientId: survey.clientId,
+            team: survey.team || this.getActiveTeamId(),
+            savedAt: new Date().toISOString()
+        })));
+    },
+
+    // Upload the media saved for a survey; false while some of it is still on the device
+    async uploadSurveyMedia(media) {
+        if (media.length === 0) return true;
+        await OfflineStore.uploadPendingMedia();
+        const waiting = await Promise.all(media.map(item => OfflineStore.get(OfflineStore.STORES.MEDIA, item.clientId)));
+        return waiting.every(item => !item);
+    },
+
+    // Saved surveys, oldest first
+    async getAllSurveys() {
+        await this.ready();
+        const surveys = await OfflineStore.getAll(OfflineStore.STORES.RESPONSES);
+        return surveys.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    },
+
+    async getTeamSurveys() {
+        const surveys = await this.getAllSurveys();
+        return surveys.filter(survey => this.belongsToActiveTeam(survey));
     },
 
     // Sync Management
-    addToSyncQueue(survey) {
-        let queue = JSON.parse(localStorage.getItem(this.STORAGE_KEYS.PENDING_SYNC) || '[]');
-        queue.push(survey);
-        localStorage.setItem(this.STORAGE_KEYS.PENDING_SYNC, JSON.stringify(queue));
+    async addToSyncQueue(survey) {
+        await this.ready();
+        await OfflineStore.put(OfflineStore.STORES.SYNC_QUEUE, survey);
+        await this.refreshPendingSyncCount();
+        this.requestBackgroundSync();
     },
 
-    getPendingSyncQueue() {
-        return JSON.parse(localStorage.getItem(this.STORAGE_KEYS.PENDING_SYNC) || '[]');
+    async getPendingSyncQueue() {
+        await this.ready();
+        return OfflineStore.getAll(OfflineStore.STORES.SYNC_QUEUE);
     },
 
+    // Last known queue length, for callers that render synchronously
     getPendingSyncCount() {
-        return this.getPendingSyncQueue().length;
+        return this.pendingSyncCount;
     },
 
-    clearSyncQueue() {
-        localStorage.removeItem(this.STORAGE_KEYS.PENDING_SYNC);
+    async refreshPendingSyncCount() {
+        this.pendingSyncCount = await OfflineStore.count(OfflineStore.STORES.SYNC_QUEUE);
+        return this.pendingSyncCount;
+    },
+
+    // The active team's templates cached for offline collection, newest first like the API returns them
+    async getCachedTemplates() {
+        await this.ready();
+        const templates = await OfflineStore.getAll(OfflineStore.STORES.TEMPLATES);
+        return templates
+            .filter(template => this.belongsToActiveTeam(template))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    // Replace the active team's cache with the server's list, dropping templates that were deleted.
+    // Other teams' templates stay cached for when the collector switches back offline.
+    async cacheTemplates(templates) {
+        await this.ready();
+        const cachedAt = new Date().toISOString();
+        await OfflineStore.transaction(OfflineStore.STORES.TEMPLATES, 'readwrite', store => {
+            store.getAll().onsuccess = event => {
+                event.target.result
+                    .filter(template => this.belongsToActiveTeam(template))
+                    .forEach(template => store.delete(template._id));
+                templates.forEach(template => store.put({ ...template, cachedAt }));
+            };
+        });
+    },
+
+    async clearSyncQueue() {
+        await this.ready();
+        await OfflineStore.clear(OfflineStore.STORES.SYNC_QUEUE);
+        await this.refreshPendingSyncCount();
+    },
+
+    // Survey responses have their own sync queue; other writes made offline are replayed in order
+    async addToOfflineQueue(endpoint, options) {
+        if (endpoint.startsWith(API_CONFIG.ENDPOINTS.SURVEY_RESPONSES)) {
+            return;
+        }
+
+        await OfflineStore.put(OfflineStore.STORES.OUTBOX, {
+            endpoint,
+            method: options.method,
+            body: options.body,
+            createdAt: new Date().toISOString()
+        });
     },
 
-    addToOfflineQueue(endpoint, options) {
-        // Implementation for offline request queue
-        console.log('Added to offline queue:', endpoint, options);
+    async flushOfflineQueue() {
+        const requests = await OfflineStore.getAll(OfflineStore.STORES.OUTBOX);
+
+        for (const request of requests) {
+            try {
+                await this.apiRequest(request.endpoint, {
+                    method: request.method,
+                    body: request.body,
+                    replayed: true
+                });
+            } catch (error) {
+                // Still offline: keep this and everything after it for the next attempt
+                if (!error.status) return;
+                console.error('Dropping queued request rejected by the server:', request.endpoint, error);
+            }
+            await OfflineStore.delete(OfflineStore.STORES.OUTBOX, request.id);
+        }
     },
 
     // Team Management
@@ -346,25 +997,6 @@ const DataManager = {
     },
 
     // Helper methods
-    formatSurveyResponse(response) {
-        // Format the response for backend API
-        return {
-            openEndedProblem: response.openEndedProblem,
-            problemRatings: response.problemRatings,
-            topProblems: response.topProblems,
-            currentSolution: response.currentSolution,
-            satisfactionRating: response.satisfactionRating,
-            frustrationDetails: response.frustrationDetails,
-            customSolution: response.customSolution,
-            solutionFeatures: response.solutionFeatures,
-            likelihoodRating: response.likelihoodRating,
-            willingnessToPay: response.willingnessToPay,
-            bossBattle: response.bossBattle,
-            interestedInTrying: response.interestedInTrying,
-            contactInfo: response.contactInfo
-        };
-    },
-
     getDeviceId() {
         let deviceId = localStorage.getItem('deviceId');
         if (!deviceId) {
@@ -374,14 +1006,35 @@ const DataManager = {
         return deviceId;
     },
 
+    // Identifies this device's session in the server's list of refresh tokens
+    getDeviceInfo() {
+        return {
+            deviceId: this.getDeviceId(),
+            platform: navigator.platform
+        };
+    },
+
     generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     },
 
-    // File management methods
-    exportJSON() {
-        const data = this.getAllSurveys();
-        if (data.length === 0) {
+    // RFC 4122 version 4 UUID
+    generateUUID() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+
+    // File management methods
+    async exportJSON() {
+        const data = await this.getAllSurveys();
+        if (data.length === 0) {
             TeamApp.showNotification('No data to export', 'warning');
             return;
         }
@@ -390,51 +1043,48 @@ const DataManager = {
         TeamApp.showNotification('JSON data exported successfully', 'success');
     },
 
-    exportCSV() {
-        const surveys = this.getAllSurveys();
+    async exportCSV() {
+        const surveys = await this.getAllSurveys();
         if (surveys.length === 0) {
             TeamApp.showNotification('No data to export', 'warning');
             return;
         }
 
+        // One column per answered question, labelled from the loaded templates
+        const questionIds = [];
+        surveys.forEach(survey => {
+            Object.keys(survey.responses || {}).forEach(questionId => {
+                if (!questionIds.includes(questionId)) questionIds.push(questionId);
+            });
+        });
+
+        const questionLabels = {};
+        TemplateManager.templates.forEach(template => {
+            (template.questions || []).forEach(question => {
+                questionLabels[question._id] = question.questionText;
+            });
+        });
+
         const headers = [
-            'ID', 'Date', 'Timestamp', 'Device ID', 'Sync Status',
-            'Open Ended Problem', 'Top Problem 1', 'Top Problem 2', 'Top Problem 3',
-            'Current Solution', 'Satisfaction Rating', 'Frustration Details',
-            'Custom Solution', 'Solution Features', 'Likelihood Rating',
-            'Willingness to Pay', 'Boss Battle', 'Interested in Trying',
-            'Email', 'Phone'
+            'ID', 'Date', 'Timestamp', 'Device ID', 'Sync Status', 'Template',
+            ...questionIds.map(questionId => questionLabels[questionId] || questionId)
         ];
         
-        const csvRows = [headers.join(',')];
+        const csvRows = [headers.map(header => this.toCSVField(header)).join(',')];
 
         surveys.forEach(survey => {
-            const topProblems = survey.topProblems ? survey.topProblems.slice(0, 3) : [];
-            const contactInfo = survey.contactInfo || {};
+            const responses = survey.responses || {};
             
             const row = [
                 survey.id,
-                `"${survey.date || ''}"`,
-                `"${survey.timestamp || ''}"`,
-                `"${survey.deviceId || ''}"`,
-                `"${survey.syncStatus || 'unknown'}"`,
-                `"${(survey.openEndedProblem || '').replace(/"/g, '""')}"`,
-                `"${topProblems[0] ? topProblems[0].category : ''}"`,
-                `"${topProblems[1] ? topProblems[1].category : ''}"`,
-                `"${topProblems[2] ? topProblems[2].category : ''}"`,
-                `"${(survey.currentSolution || '').replace(/"/g, '""')}"`,
-                `"${survey.satisfactionRating || ''}"`,
-                `"${(survey.frustrationDetails || '').replace(/"/g, '""')}"`,
-                `"${(survey.customSolution || '').replace(/"/g, '""')}"`,
-                `"${(survey.solutionFeatures || '').replace(/"/g, '""')}"`,
-                `"${survey.likelihoodRating || ''}"`,
-                `"${survey.willingnessToPay || ''}"`,
-                `"${(survey.bossBattle || '').replace(/"/g, '""')}"`,
-                `"${survey.interestedInTrying || ''}"`,
-                `"${contactInfo.email || ''}"`,
-                `"${contactInfo.phone || ''}"`
+                survey.date,
+                survey.timestamp,
+                survey.deviceId,
+                survey.syncStatus || 'unknown',
+                survey.templateName,
+                ...questionIds.map(questionId => responses[questionId])
             ];
-            csvRows.push(row.join(','));
+            csvRows.push(row.map(value => this.toCSVField(value)).join(','));
         });
 
         const csvString = csvRows.join('\n');
@@ -443,6 +1093,33 @@ const DataManager = {
         TeamApp.showNotification('CSV data exported successfully', 'success');
     },
 
+    // Download an export generated by the server from all synced team responses
+    async downloadExport(format = 'csv', params = {}) {
+        const queryString = new URLSearchParams({ ...params, format }).toString();
+        const url = `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.SURVEY_RESPONSES}/export?${queryString}`;
+        let response = await fetch(url, { headers: this.authHeaders() });
+
+        if (response.status === 401 && refreshToken && await this.refreshSession()) {
+            response = await fetch(url, { headers: this.authHeaders() });
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Export failed');
+        }
+
+        const blob = await response.blob();
+        const extension = format === 'spss' ? 'zip' : format;
+        this.downloadFile(blob, `survey-responses-${new Date().toISOString().split('T')[0]}.${extension}`);
+    },
+
+    toCSVField(value) {
+        if (value === undefined || value === null) return '""';
+        const text = Array.isArray(value) ? value.join('; ') :
+            (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        return `"${text.replace(/"/g, '""')}"`;
+    },
+
     downloadFile(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -454,26 +1131,29 @@ const DataManager = {
         URL.revokeObjectURL(url);
     },
 
-    clearData() {
+    async clearData() {
         if (confirm('Are you sure you want to clear all survey data? This cannot be undone.')) {
-            localStorage.removeItem(this.STORAGE_KEYS.SURVEYS);
-            localStorage.removeItem(this.STORAGE_KEYS.PENDING_SYNC);
+            await this.ready();
+            await OfflineStore.clear(OfflineStore.STORES.RESPONSES);
+            await this.clearSyncQueue();
             TeamApp.showNotification('All data cleared successfully', 'success');
             this.updateFileSection();
             loadDashboard();
         }
     },
 
-    updateFileSection() {
-        const surveys = this.getAllSurveys();
+    async updateFileSection() {
+        const surveys = await this.getAllSurveys();
         document.getElementById('total-surveys-count').textContent = surveys.length;
         
         // Calculate storage usage
-        const dataSize = JSON.stringify(surveys).length;
-        document.getElementById('storage-used').textContent = this.formatBytes(dataSize);
+        const estimate = navigator.storage && navigator.storage.estimate
+            ? await navigator.storage.estimate()
+            : { usage: JSON.stringify(surveys).length };
+        document.getElementById('storage-used').textContent = this.formatBytes(estimate.usage || 0);
 
         // Update sync status
-        const pendingSync = this.getPendingSyncQueue().length;
+        const pendingSync = this.getPendingSyncCount();
         const syncStatusElement = document.getElementById('sync-status');
         const syncStatusText = document.getElementById('sync-status-text');
         
@@ -490,6 +1170,10 @@ const DataManager = {
         }
 
         this.updateRecentSurveysList(surveys);
+        // Conflicts are resolved against the team they belong to
+        this.updateConflictsList(surveys.filter(survey => (
+            survey.syncStatus === 'conflict' && survey.conflict && this.belongsToActiveTeam(survey)
+        )));
     },
 
     formatBytes(bytes) {
@@ -513,27 +1197,138 @@ const DataManager = {
             <div class="ranking-item" style="margin-bottom: 10px;">
                 <div>
                     <strong>${survey.date || new Date(survey.timestamp).toLocaleDateString()}</strong>
-                    <span style="float: right; font-size: 0.8em; background: ${survey.syncStatus === 'synced' ? '#4bb543' : '#ffcc00'}; color: ${survey.syncStatus === 'synced' ? 'white' : 'black'}; padding: 2px 6px; border-radius: 10px;">
-                        ${survey.syncStatus === 'synced' ? '✓' : '⏳'}
+                    <span style="float: right; font-size: 0.8em; background: ${this.getSyncBadge(survey).background}; color: ${this.getSyncBadge(survey).color}; padding: 2px 6px; border-radius: 10px;" title="${survey.syncError || ''}">
+                        ${this.getSyncBadge(survey).label}
                     </span>
                     <br>
-                    <small>Top Problems: ${survey.topProblems ? survey.topProblems.slice(0, 3).map(p => p.category).join(', ') : 'N/A'}</small><br>
-                    <small>Solution: ${survey.customSolution ? (survey.customSolution.substring(0, 50) + '...') : 'N/A'}</small>
+                    <small>Template: ${survey.templateName || 'N/A'}</small><br>
+                    <small>Questions answered: ${Object.keys(survey.responses || {}).length}</small>
+                    ${this.canEditSurvey(survey) ? `
+                        <button class="template-action-btn edit" style="float: right;" onclick="editSavedSurvey('${survey.clientId}')">Edit</button>
+                    ` : ''}
                 </div>
             </div>
         `).join('');
+    },
+
+    getSyncBadge(survey) {
+        switch (survey.syncStatus) {
+            case 'synced':
+                return { label: '✓', background: '#4bb543', color: 'white' };
+            case 'conflict':
+                return { label: '⚠ conflict', background: '#ff9800', color: 'black' };
+            case 'failed':
+                return { label: '✗ rejected', background: 'var(--danger)', color: 'white' };
+            default:
+                return { label: '⏳', background: '#ffcc00', color: 'black' };
+        }
+    },
+
+    // Surveys saved online before edits were supported have no server ID to edit against
+    canEditSurvey(survey) {
+        return Boolean(survey.clientId) && (Boolean(survey.serverId) || survey.syncStatus !== 'synced');
+    },
+
+    // Conflicts between edits made on this device and newer server changes
+    updateConflictsList(conflicts) {
+        const section = document.getElementById('sync-conflicts');
+        const container = document.getElementById('sync-conflicts-list');
+        section.style.display = conflicts.length > 0 ? '' : 'none';
+        container.innerHTML = '';
+
+        conflicts.forEach(survey => {
+            const template = TemplateManager.getTemplate(survey.surveyTemplate);
+            const questionText = questionId => {
+                const question = template && template.questions.find(q => q._id === questionId);
+                return question ? question.questionText : questionId;
+            };
+            const formatAnswer = value => (value === undefined || value === null ? '(no answer)' : [].concat(value).join(', '));
+
+            const card = document.createElement('div');
+            card.className = 'conflict-card';
+
+            const heading = document.createElement('p');
+            heading.innerHTML = '<strong></strong><br><small></small>';
+            heading.querySelector('strong').textContent = survey.templateName || 'Survey';
+            heading.querySelector('small').textContent =
+                `${survey.date || new Date(survey.timestamp).toLocaleDateString()} - server revision ${survey.conflict.serverRevision}`;
+            card.appendChild(heading);
+
+            survey.conflict.fields.forEach(field => {
+                const fieldDiv = document.createElement('div');
+                fieldDiv.className = 'conflict-field';
+                fieldDiv.dataset.questionId = field.questionId;
+
+                const label = document.createElement('p');
+                label.className = 'conflict-question';
+                label.textContent = questionText(field.questionId);
+                fieldDiv.appendChild(label);
+
+                const name = `conflict-${survey.clientId}-${field.questionId}`;
+                const addChoice = (source, text, checked) => {
+                    const choice = document.createElement('label');
+                    choice.innerHTML = `<input type="radio" name="${name}" value="${source}" ${checked ? 'checked' : ''}> `;
+                    choice.append(text);
+                    fieldDiv.appendChild(choice);
+                    return choice;
+                };
+
+                addChoice('server', `Server: ${formatAnswer(field.server)}`, true);
+                addChoice('local', `This device: ${formatAnswer(field.local)}`, false);
+
+                // Free-form merges only make sense for single values
+                if (!Array.isArray(field.server) && !Array.isArray(field.local)) {
+                    const merged = addChoice('merged', 'Merged: ', false);
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.className = 'conflict-merged';
+                    input.value = field.local !== undefined && field.local !== null ? field.local : '';
+                    input.addEventListener('focus', () => { merged.querySelector('input[type="radio"]').checked = true; });
+                    merged.appendChild(input);
+                }
+
+                card.appendChild(fieldDiv);
+            });
+
+            const resolveButton = document.createElement('button');
+            resolveButton.className = 'export-btn';
+            resolveButton.textContent = 'Save Resolution';
+            resolveButton.addEventListener('click', () => resolveSyncConflict(survey, card));
+            card.appendChild(resolveButton);
+
+            container.appendChild(card);
+        });
     }
 };
 
 // Authentication Management
 const AuthManager = {
+    // Tokens from emailed links: team invites (?invite=), email verification (?verify=)
+    // and password resets (?reset=)
+    inviteToken: new URLSearchParams(window.location.search).get('invite'),
+    verifyToken: new URLSearchParams(window.location.search).get('verify'),
+    resetToken: new URLSearchParams(window.location.search).get('reset'),
+    // Issued after the password step of a login that needs a second factor
+    twoFactorChallenge: null,
+
     async init() {
+        await this.handleEmailVerification();
+
+        // A reset link opens the new-password form whether or not someone is signed in
+        if (this.resetToken) {
+            this.showAuthModal();
+            this.showAuthForm('reset');
+            return;
+        }
+
         // Check if user is already authenticated
         if (authToken) {
             try {
                 const user = await DataManager.getCurrentUser();
                 if (user) {
+                    await this.acceptPendingInvite();
                     this.showApp();
+                    loadSurveyTemplates();
                     return;
                 }
             } catch (error) {
@@ -545,6 +1340,100 @@ const AuthManager = {
         }
     },
 
+    // Join the team from an invite link opened while already signed in
+    async acceptPendingInvite() {
+        if (!this.inviteToken) return;
+
+        try {
+            const result = await DataManager.acceptTeamInvite(this.inviteToken);
+            TeamApp.showNotification(result.message, 'success');
+        } catch (error) {
+            TeamApp.showNotification(`Could not join team: ${error.message}`, 'error');
+        }
+        this.clearInviteToken();
+    },
+
+    clearInviteToken() {
+        this.inviteToken = null;
+        this.clearUrlParam('invite');
+    },
+
+    clearUrlParam(name) {
+        const url = new URL(window.location.href);
+        url.searchParams.delete(name);
+        window.history.replaceState({}, '', url);
+    },
+
+    async handleEmailVerification() {
+        if (!this.verifyToken) return;
+
+        try {
+            const result = await DataManager.verifyEmail(this.verifyToken);
+            TeamApp.showNotification(result.message, 'success');
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Email verification failed', 'error');
+        }
+        this.verifyToken = null;
+        this.clearUrlParam('verify');
+    },
+
+    // Show one of the auth forms: login, register, forgot, reset or two-factor
+    showAuthForm(name) {
+        document.querySelectorAll('.auth-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+        document.querySelectorAll('.auth-form').forEach(form => {
+            form.style.display = '';
+            form.classList.toggle('active', form.id === `${name}-form`);
+        });
+    },
+
+    async handleForgotPassword(event) {
+        event.preventDefault();
+        const email = document.getElementById('forgot-email').value;
+
+        try {
+            const result = await DataManager.forgotPassword(email);
+            TeamApp.showNotification(result.message, 'success');
+            this.showAuthForm('login');
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Could not send reset link', 'error');
+        }
+    },
+
+    async handleResetPassword(event) {
+        event.preventDefault();
+        const password = document.getElementById('reset-password').value;
+
+        if (password !== document.getElementById('reset-password-confirm').value) {
+            TeamApp.showNotification('Passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            const result = await DataManager.resetPassword(this.resetToken, password);
+            TeamApp.showNotification(result.message, 'success');
+            this.resetToken = null;
+            this.clearUrlParam('reset');
+            // The reset signed out every device, this one included
+            if (authToken) {
+                DataManager.logout();
+            }
+            this.showAuthForm('login');
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Password reset failed', 'error');
+        }
+    },
+
+    async handleResendVerification() {
+        try {
+            const result = await DataManager.resendVerification();
+            TeamApp.showNotification(result.message, 'success');
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Could not send verification email', 'error');
+        }
+    },
+
     showAuthModal() {
         document.getElementById('auth-modal').style.display = 'flex';
         document.getElementById('app-container').style.display = 'none';
@@ -563,6 +1452,54 @@ const AuthManager = {
     updateUserInterface() {
         if (currentUser) {
             document.getElementById('user-name').textContent = currentUser.name;
+            document.getElementById('verify-email-banner').style.display = currentUser.emailVerified === false ? '' : 'none';
+        }
+        this.renderTeamSwitcher();
+    },
+
+    // Only shown to users who belong to more than one team
+    renderTeamSwitcher() {
+        const switcher = document.getElementById('team-switcher');
+        switcher.style.display = teamMemberships.length > 1 ? '' : 'none';
+        // Team names are user-set, so they go in as text, never markup
+        switcher.innerHTML = '';
+        teamMemberships.forEach(membership => {
+            const option = document.createElement('option');
+            option.value = membership.team._id;
+            option.textContent = `${membership.team.name} (${membership.role})`;
+            switcher.appendChild(option);
+        });
+        switcher.value = DataManager.getActiveTeamId() || '';
+    },
+
+    async handleTeamSwitch(event) {
+        const teamId = event.target.value;
+        if (teamId === DataManager.getActiveTeamId()) return;
+
+        if (SurveyManager.started && !confirm('Switch teams and discard the survey in progress?')) {
+            event.target.value = DataManager.getActiveTeamId();
+            return;
+        }
+
+        try {
+            await DataManager.switchTeam(teamId);
+        } catch (error) {
+            TeamApp.showNotification(`Could not switch team: ${error.message}`, 'error');
+            event.target.value = DataManager.getActiveTeamId();
+            return;
+        }
+
+        // Nothing from the previous team's survey carries over
+        currentSurveyTemplate = null;
+        SurveyManager.nextTemplate = null;
+        SurveyManager.renderTemplate(null);
+
+        const membership = DataManager.getActiveMembership();
+        TeamApp.showNotification(`Switched to ${membership ? membership.team.name : 'team'}`, 'success');
+        await TemplateManager.loadTemplates();
+        loadDashboard();
+        if (currentAppSection === 'files') {
+            DataManager.updateFileSection();
         }
     },
 
@@ -575,14 +1512,16 @@ const AuthManager = {
         this.showLoading(true);
         
         try {
-            await DataManager.login(email, password);
-            this.hideAuthModal();
-            this.showApp();
-            TeamApp.showNotification('Login successful!', 'success');
-            
-            // Load initial data
-            loadSurveyTemplates();
-            loadDashboard();
+            const result = await DataManager.login(email, password, this.inviteToken);
+
+            if (result.data.twoFactorRequired) {
+                this.twoFactorChallenge = result.data.challengeToken;
+                document.getElementById('two-factor-code').value = '';
+                this.showAuthForm('two-factor');
+                return;
+            }
+
+            this.completeLogin(result);
         } catch (error) {
             TeamApp.showNotification(error.message || 'Login failed', 'error');
         } finally {
@@ -590,6 +1529,248 @@ const AuthManager = {
         }
     },
 
+    async handleTwoFactorLogin(event) {
+        event.preventDefault();
+
+        const code = document.getElementById('two-factor-code').value.trim();
+
+        this.showLoading(true);
+
+        try {
+            const result = await DataManager.verifyTwoFactorLogin(this.twoFactorChallenge, code, this.inviteToken);
+            this.twoFactorChallenge = null;
+            this.showAuthForm('login');
+            this.completeLogin(result);
+
+            if (result.data.recoveryCodesRemaining !== undefined) {
+                TeamApp.showNotification(`Recovery code used - ${result.data.recoveryCodesRemaining} left`, 'warning');
+            }
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Verification failed', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    },
+
+    completeLogin(result) {
+        this.hideAuthModal();
+        this.showApp();
+        TeamApp.showNotification('Login successful!', 'success');
+
+        if (result.data.invite) {
+            TeamApp.showNotification(result.data.invite.message, result.data.invite.accepted ? 'success' : 'error');
+            this.clearInviteToken();
+        }
+
+        if (result.data.twoFactorSetupRequired) {
+            TeamApp.showNotification(
+                `${result.data.twoFactorRequiredBy.join(', ')} requires two-factor authentication for admins - set it up under Security`,
+                'warning'
+            );
+        }
+        
+        // Load initial data
+        loadSurveyTemplates();
+        loadDashboard();
+    },
+
+    // Account security: two-factor enrolment, recovery codes and the team's 2FA requirement
+    async openSecurityModal() {
+        document.getElementById('two-factor-modal').style.display = 'flex';
+        await this.renderTwoFactorPanel();
+    },
+
+    closeSecurityModal() {
+        document.getElementById('two-factor-modal').style.display = 'none';
+        document.getElementById('two-factor-panel').innerHTML = '';
+    },
+
+    async renderTwoFactorPanel() {
+        const panel = document.getElementById('two-factor-panel');
+        panel.innerHTML = '<p>Loading...</p>';
+
+        let status;
+        try {
+            status = await DataManager.getTwoFactorStatus();
+        } catch (error) {
+            panel.innerHTML = `<p>Could not load security settings: ${error.message}</p>`;
+            return;
+        }
+
+        const accountSection = status.enabled ? `
+            <div class="two-factor-section">
+                <h4>Two-factor authentication is on</h4>
+                <p>Enabled ${new Date(status.enabledAt).toLocaleDateString()} - ${status.recoveryCodesRemaining} recovery codes left.</p>
+                <form id="recovery-codes-form">
+                    <div class="form-group">
+                        <label for="recovery-codes-code">Authentication code</label>
+                        <input type="text" id="recovery-codes-code" inputmode="numeric" autocomplete="one-time-code" required maxlength="6">
+                    </div>
+                    <button type="submit" class="auth-btn">Generate New Recovery Codes</button>
+                </form>
+            </div>
+            <div class="two-factor-section">
+                <h4>Turn off two-factor authentication</h4>
+                ${status.requiredBy.length > 0
+                    ? `<p>${status.requiredBy.join(', ')} requires two-factor authentication for admins.</p>`
+                    : `<form id="disable-two-factor-form">
+                        <div class="form-group">
+                            <label for="disable-two-factor-password">Password</label>
+                            <input type="password" id="disable-two-factor-password" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="disable-two-factor-code">Authentication or recovery code</label>
+                            <input type="text" id="disable-two-factor-code" autocomplete="one-time-code" required maxlength="20">
+                        </div>
+                        <button type="submit" class="auth-btn">Turn Off</button>
+                    </form>`}
+            </div>
+        ` : `
+            <div class="two-factor-section">
+                <h4>Two-factor authentication is off</h4>
+                <p>Protect your account with a code from an authenticator app each time you log in.</p>
+                ${status.requiredBy.length > 0
+                    ? `<p>${status.requiredBy.join(', ')} requires it for admins.</p>`
+                    : ''}
+                <button type="button" class="auth-btn" id="setup-two-factor-btn">Set Up</button>
+            </div>
+        `;
+
+        panel.innerHTML = accountSection + '<div id="team-two-factor-setting"></div>';
+
+        if (status.enabled) {
+            document.getElementById('recovery-codes-form').addEventListener('submit', e => this.handleRegenerateRecoveryCodes(e));
+            const disableForm = document.getElementById('disable-two-factor-form');
+            if (disableForm) {
+                disableForm.addEventListener('submit', e => this.handleDisableTwoFactor(e));
+            }
+        } else {
+            document.getElementById('setup-two-factor-btn').addEventListener('click', () => this.handleSetupTwoFactor());
+        }
+
+        await this.renderTeamTwoFactorSetting(status);
+    },
+
+    // Team admins choose whether the team's admins must use two-factor authentication
+    async renderTeamTwoFactorSetting(status) {
+        const membership = DataManager.getActiveMembership();
+        if (!membership || membership.role !== 'admin' || !navigator.onLine) return;
+
+        let team;
+        try {
+            ({ team } = await DataManager.getCurrentTeam());
+        } catch (error) {
+            console.error('Failed to load team settings:', error);
+            return;
+        }
+
+        const required = Boolean(team.settings && team.settings.requireTwoFactorForAdmins);
+        const container = document.getElementById('team-two-factor-setting');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="two-factor-section">
+                <h4>${team.name}</h4>
+                <label class="two-factor-setting">
+                    <input type="checkbox" id="require-two-factor-toggle" ${required ? 'checked' : ''} ${status.enabled ? '' : 'disabled'}>
+                    Require two-factor authentication for admins
+                </label>
+                ${status.enabled ? '' : '<p>Turn on two-factor authentication for your own account first.</p>'}
+            </div>
+        `;
+
+        document.getElementById('require-two-factor-toggle').addEventListener('change', async event => {
+            try {
+                const result = await DataManager.updateTeamSettings({ requireTwoFactorForAdmins: event.target.checked });
+                TeamApp.showNotification(result.message, 'success');
+            } catch (error) {
+                event.target.checked = !event.target.checked;
+                TeamApp.showNotification(error.message || 'Could not update team settings', 'error');
+            }
+            await this.renderTwoFactorPanel();
+        });
+    },
+
+    async handleSetupTwoFactor() {
+        let setup;
+        try {
+            setup = await DataManager.setupTwoFactor();
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Could not start two-factor setup', 'error');
+            return;
+        }
+
+        document.getElementById('two-factor-panel').innerHTML = `
+            <div class="two-factor-section">
+                <h4>Add O-RANJ to your authenticator app</h4>
+                <p>On this device, <a href="${setup.otpauthUri}">open your authenticator app</a>, or enter this key in it manually:</p>
+                <code class="two-factor-secret">${setup.secret.match(/.{1,4}/g).join(' ')}</code>
+                <form id="enable-two-factor-form">
+                    <div class="form-group">
+                        <label for="enable-two-factor-code">Code from the app</label>
+                        <input type="text" id="enable-two-factor-code" inputmode="numeric" autocomplete="one-time-code" required maxlength="6">
+                    </div>
+                    <button type="submit" class="auth-btn">Turn On</button>
+                </form>
+            </div>
+        `;
+
+        document.getElementById('enable-two-factor-form').addEventListener('submit', e => this.handleEnableTwoFactor(e));
+    },
+
+    async handleEnableTwoFactor(event) {
+        event.preventDefault();
+
+        try {
+            const result = await DataManager.enableTwoFactor(document.getElementById('enable-two-factor-code').value.trim());
+            TeamApp.showNotification(result.message, 'success');
+            this.showRecoveryCodes(result.data.recoveryCodes);
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Could not enable two-factor authentication', 'error');
+        }
+    },
+
+    async handleRegenerateRecoveryCodes(event) {
+        event.preventDefault();
+
+        try {
+            const result = await DataManager.regenerateRecoveryCodes(document.getElementById('recovery-codes-code').value.trim());
+            TeamApp.showNotification(result.message, 'success');
+            this.showRecoveryCodes(result.data.recoveryCodes);
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Could not generate recovery codes', 'error');
+        }
+    },
+
+    async handleDisableTwoFactor(event) {
+        event.preventDefault();
+
+        try {
+            const result = await DataManager.disableTwoFactor(
+                document.getElementById('disable-two-factor-password').value,
+                document.getElementById('disable-two-factor-code').value.trim()
+            );
+            TeamApp.showNotification(result.message, 'success');
+            await this.renderTwoFactorPanel();
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Could not disable two-factor authentication', 'error');
+        }
+    },
+
+    // Recovery codes are only ever shown once, right after they are generated
+    showRecoveryCodes(codes) {
+        document.getElementById('two-factor-panel').innerHTML = `
+            <div class="two-factor-section">
+                <h4>Recovery codes</h4>
+                <p>Each code signs you in once if you lose your phone. Save them somewhere safe - they will not be shown again.</p>
+                <ul class="recovery-codes">${codes.map(code => `<li>${code}</li>`).join('')}</ul>
+                <button type="button" class="auth-btn" id="recovery-codes-done-btn">Done</button>
+            </div>
+        `;
+
+        document.getElementById('recovery-codes-done-btn').addEventListener('click', () => this.renderTwoFactorPanel());
+    },
+
     async handleRegister(event) {
         event.preventDefault();
         
@@ -597,16 +1778,18 @@ const AuthManager = {
             name: document.getElementById('register-name').value,
             email: document.getElementById('register-email').value,
             password: document.getElementById('register-password').value,
-            teamName: document.getElementById('register-team').value
+            teamName: document.getElementById('register-team').value,
+            ...(this.inviteToken && { inviteToken: this.inviteToken })
         };
         
         this.showLoading(true);
         
         try {
-            await DataManager.register(formData);
+            const result = await DataManager.register(formData);
             this.hideAuthModal();
             this.showApp();
-            TeamApp.showNotification('Registration successful!', 'success');
+            TeamApp.showNotification(result.message || 'Registration successful!', 'success');
+            this.clearInviteToken();
             
             // Load initial data
             loadSurveyTemplates();
@@ -619,41 +1802,113 @@ const AuthManager = {
     },
 
     showLoading(show) {
-        const loadingElement = document.getElementById('auth-loading');
-        const loginForm = document.getElementById('login-form');
-        const registerForm = document.getElementById('register-form');
-        
-        if (show) {
-            loadingElement.style.display = 'block';
-            loginForm.style.display = 'none';
-            registerForm.style.display = 'none';
-        } else {
-            loadingElement.style.display = 'none';
-            const activeTab = document.querySelector('.auth-tab.active').dataset.tab;
-            if (activeTab === 'login') {
-                loginForm.style.display = 'block';
-            } else {
-                registerForm.style.display = 'block';
-            }
-        }
+        document.getElementById('auth-loading').style.display = show ? 'block' : 'none';
+        // Once loading ends the active form shows again, including ones without a tab
+        document.querySelectorAll('.auth-form').forEach(form => {
+            form.style.display = show ? 'none' : '';
+        });
     }
 };
 
 // Survey Template Management
 const TemplateManager = {
+    templates: [],
+
+    // Stale-while-revalidate: show cached templates at once, then refresh them from the server
     async loadTemplates() {
+        const cached = await DataManager.getCachedTemplates().catch(error => {
+            console.error('Failed to read cached templates:', error);
+            return [];
+        });
+        if (cached.length > 0) {
+            this.showTemplates(cached);
+        }
+
+        if (!navigator.onLine) {
+            if (cached.length === 0) {
+                TeamApp.showNotification('No survey templates saved for offline use yet', 'warning');
+            }
+            return;
+        }
+
         try {
-            const result = await DataManager.getSurveyTemplates();
-            this.displayTemplates(result.data.templates);
-            this.populateTemplateDropdown(result.data.templates);
+            const result = await DataManager.getSurveyTemplates({ limit: 100 });
+            this.showTemplates(result.data.templates);
+            await DataManager.cacheTemplates(result.data.templates);
         } catch (error) {
             console.error('Failed to load templates:', error);
-            TeamApp.showNotification('Failed to load survey templates', 'error');
+            if (cached.length === 0) {
+                TeamApp.showNotification('Failed to load survey templates', 'error');
+            }
         }
     },
 
+    showTemplates(templates) {
+        this.templates = templates;
+        this.displayTemplates(templates);
+        this.populateTemplateDropdown(templates);
+    },
+
+    // Earliest of closesAt and the older expirationDate, as on the server
+    getSchedule(template) {
+        const settings = template.settings || {};
+        const closes = [settings.closesAt, settings.expirationDate]
+            .filter(Boolean)
+            .map(date => new Date(date).getTime());
+
+        return {
+            opensAt: settings.opensAt ? new Date(settings.opensAt) : null,
+            closesAt: closes.length > 0 ? new Date(Math.min(...closes)) : null
+        };
+    },
+
+    // Open by this device's clock, so cached templates close offline too
+    isOpen(template, now = new Date()) {
+        const { opensAt, closesAt } = this.getSchedule(template);
+        return (!opensAt || now >= opensAt) && (!closesAt || now < closesAt);
+    },
+
+    formatCountdown(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    },
+
+    // e.g. "Opens in 2d 4h", "Closes in 35m" or "Closed"; empty when unscheduled
+    describeSchedule(template, now = new Date()) {
+        const { opensAt, closesAt } = this.getSchedule(template);
+        if (opensAt && now < opensAt) return `Opens in ${this.formatCountdown(opensAt - now)}`;
+        if (closesAt && now >= closesAt) return 'Closed';
+        if (closesAt) return `Closes in ${this.formatCountdown(closesAt - now)}`;
+        return '';
+    },
+
+    // Tick the countdowns on the template cards, and refresh the survey
+    // dropdown when a template opens or closes
+    startScheduleTimer() {
+        if (this.scheduleTimer) return;
+
+        let openIds = this.templates.filter(t => this.isOpen(t)).map(t => t._id).join();
+        this.scheduleTimer = setInterval(() => {
+            document.querySelectorAll('.template-schedule[data-template-id]').forEach(span => {
+                const template = this.getTemplate(span.dataset.templateId);
+                if (template) span.textContent = this.describeSchedule(template);
+            });
+
+            const nowOpen = this.templates.filter(t => this.isOpen(t)).map(t => t._id).join();
+            if (nowOpen !== openIds) {
+                openIds = nowOpen;
+                this.populateTemplateDropdown(this.templates);
+            }
+        }, 30000);
+    },
+
     displayTemplates(templates) {
         const container = document.getElementById('templates-grid');
+        this.startScheduleTimer();
         
         if (templates.length === 0) {
             container.innerHTML = `
@@ -674,12 +1929,22 @@ const TemplateManager = {
                 <p class="template-description">${template.description || 'No description provided'}</p>
                 <div class="template-meta">
                     <span>Category: ${template.category}</span>
+                    <span>Version: ${template.version || '1.0.0'}</span>
                     <span>Questions: ${template.questions.length}</span>
                 </div>
+                <div class="template-schedule" data-template-id="${template._id}">${this.describeSchedule(template)}</div>
                 <div class="template-actions">
                     <button class="template-action-btn edit" onclick="TemplateManager.editTemplate('${template._id}')">
                         Edit
                     </button>
+                    ${template.settings && template.settings.allowAnonymous ? `
+                    <button class="template-action-btn duplicate" onclick="TemplateManager.sharePublicLink('${template._id}')">
+                        Public Link
+                    </button>` : ''}
+                    ${template.publicLink && template.publicLink.token ? `
+                    <button class="template-action-btn delete" onclick="TemplateManager.disablePublicLink('${template._id}')">
+                        Disable Link
+                    </button>` : ''}
                     <button class="template-action-btn duplicate" onclick="TemplateManager.duplicateTemplate('${template._id}')">
                         Duplicate
                     </button>
@@ -695,11 +1960,13 @@ const TemplateManager = {
         const dropdown = document.getElementById('survey-template');
         const filterDropdown = document.getElementById('template-filter');
         
-        const activeTemplates = templates.filter(t => t.status === 'active');
+        const activeTemplates = templates.filter(t => t.status === 'active' && this.isOpen(t));
         
         if (activeTemplates.length === 0) {
             dropdown.innerHTML = '<option value="">No active templates available</option>';
             filterDropdown.innerHTML = '<option value="all">All Templates</option>';
+            currentSurveyTemplate = null;
+            SurveyManager.loadTemplate(null);
             return;
         }
         
@@ -712,11 +1979,16 @@ const TemplateManager = {
                 `<option value="${template._id}">${template.name}</option>`
             ).join('');
         
-        // Set the first template as current
-        if (activeTemplates.length > 0) {
-            currentSurveyTemplate = activeTemplates[0]._id;
-            dropdown.value = currentSurveyTemplate;
-        }
+        // Keep the current selection if it is still active, otherwise use the first template
+        const selected = activeTemplates.find(t => t._id === currentSurveyTemplate) || activeTemplates[0];
+        currentSurveyTemplate = selected._id;
+        dropdown.value = currentSurveyTemplate;
+        SurveyManager.loadTemplate(selected);
+        QuotaManager.showForSurvey(selected);
+    },
+
+    getTemplate(templateId) {
+        return this.templates.find(t => t._id === templateId) || null;
     },
 
     async createTemplate(templateData) {
@@ -751,10 +2023,52 @@ const TemplateManager = {
         }
     },
 
-    async deleteTemplate(templateId) {
-        if (confirm('Are you sure you want to delete this template? This action cannot be undone.')) {
+    getPublicUrl(token) {
+        return `${window.location.origin}${window.location.pathname}?survey=${token}`;
+    },
+
+    // Show the template's public link, creating it on first use
+    async sharePublicLink(templateId) {
+        const template = this.getTemplate(templateId);
+        let token = template && template.publicLink && template.publicLink.token;
+
+        if (!token) {
             try {
-                await DataManager.deleteSurveyTemplate(templateId);
+                const result = await DataManager.createPublicLink(templateId);
+                token = result.data.publicLink.token;
+                this.loadTemplates();
+            } catch (error) {
+                TeamApp.showNotification(error.message || 'Failed to create public link', 'error');
+                return;
+            }
+        }
+
+        const url = this.getPublicUrl(token);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => TeamApp.showNotification('Public link copied to clipboard', 'success'))
+                .catch(() => prompt('Public link for respondents:', url));
+        } else {
+            prompt('Public link for respondents:', url);
+        }
+    },
+
+    async disablePublicLink(templateId) {
+        if (!confirm('Disable the public link? Respondents who have it will no longer be able to answer.')) return;
+
+        try {
+            await DataManager.deletePublicLink(templateId);
+            TeamApp.showNotification('Public link disabled', 'success');
+            this.loadTemplates();
+        } catch (error) {
+            TeamApp.showNotification(error.message || 'Failed to disable public link', 'error');
+        }
+    },
+
+    async deleteTemplate(templateId) {
+        if (confirm('Are you sure you want to delete this template? This action cannot be undone.')) {
+            try {
+                await DataManager.deleteSurveyTemplate(templateId);
                 TeamApp.showNotification('Template deleted successfully', 'success');
                 this.loadTemplates();
             } catch (error) {
@@ -774,6 +2088,7 @@ const TemplateManager = {
         } else {
             title.textContent = 'Create New Template';
             form.reset();
+            document.getElementById('template-timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
             document.getElementById('template-questions').innerHTML = '';
         }
         
@@ -797,6 +2112,17 @@ const TemplateManager = {
             description: document.getElementById('template-description').value,
             category: document.getElementById('template-category').value,
             status: document.getElementById('template-status').value,
+            // Wall-clock times, read by the server in the chosen timezone
+            settings: {
+                opensAt: document.getElementById('template-opens-at').value || null,
+                closesAt: document.getElementById('template-closes-at').value || null,
+                timezone: document.getElementById('template-timezone').value.trim() || 'UTC',
+                requireLocation: document.getElementById('template-require-location').checked
+            },
+            quotas: {
+                total: parseInt(document.getElementById('template-quota-total').value, 10) || null,
+                perCollector: parseInt(document.getElementById('template-quota-per-collector').value, 10) || null
+            },
             questions: this.getQuestionsFromForm()
         };
         
@@ -1124,7 +2450,11 @@ const TeamApp = {
         
         try {
             const results = await DataManager.syncOfflineResponses();
-            this.showNotification(`Successfully synced ${results.data?.syncResults?.successful?.length || 0} surveys`, 'success');
+            const summary = results.data?.summary || {};
+            this.showNotification(
+                OfflineStore.describeSyncSummary(summary),
+                summary.conflict || summary.rejected ? 'warning' : 'success'
+            );
             DataManager.updateFileSection();
             loadDashboard();
         } catch (error) {
@@ -1164,10 +2494,10 @@ const TeamApp = {
         }, 60000);
     },
     
-    exportTeamData() {
+    async exportTeamData() {
         const allData = {
             team: this.teamMembers,
-            responses: DataManager.getAllSurveys(),
+            responses: await DataManager.getAllSurveys(),
             syncInfo: {
                 pendingSync: DataManager.getPendingSyncCount(),
                 lastSync: DataManager.getLastSyncTimestamp(),
@@ -1224,297 +2554,1249 @@ const TeamApp = {
     }
 };
 
-// Enhanced Survey Logic
+// Respondents answering through a public link (?survey=<token>) see only the
+// survey: no sign-in, no navigation, nothing stored on the device
+const PublicSurveyManager = {
+    token: new URLSearchParams(window.location.search).get('survey'),
+    survey: null,
+    clientId: null,
+
+    async init() {
+        document.body.classList.add('public-mode');
+        document.getElementById('auth-modal').style.display = 'none';
+        document.getElementById('app-container').style.display = 'block';
+
+        let result;
+        try {
+            result = await DataManager.getPublicSurvey(this.token);
+        } catch (error) {
+            this.showClosed(error.message || 'This survey is not available');
+            return;
+        }
+
+        this.survey = result.data.survey;
+        if (result.data.alreadyResponded) {
+            this.showClosed('You have already responded to this survey. Thank you!');
+            return;
+        }
+
+        SurveyManager.renderTemplate(this.survey);
+        if (result.data.preview) {
+            TeamApp.showNotification(`Preview only - ${result.data.unavailableReason}`, 'warning');
+        }
+    },
+
+    showClosed(message) {
+        SurveyManager.renderTemplate(null);
+        document.getElementById('survey-title').textContent = this.survey ? this.survey.name : 'Survey unavailable';
+        document.getElementById('survey-description').textContent = message;
+        document.getElementById('submit').style.display = 'none';
+    },
+
+    async submit() {
+        if (!SurveyManager.validateAnswers()) return;
+
+        // Reused when retrying, so a response that did arrive is not stored twice
+        this.clientId = this.clientId || DataManager.generateUUID();
+        const endTime = new Date();
+
+        try {
+            await DataManager.submitPublicResponse(this.token, {
+                clientId: this.clientId,
+                templateVersionNumber: this.survey.versionNumber,
+                responses: SurveyManager.getVisibleAnswers(),
+                deviceInfo: { platform: navigator.platform },
+                analytics: {
+                    startTime: SurveyManager.startTime.toISOString(),
+                    endTime: endTime.toISOString(),
+                    completionTime: Math.round((endTime - SurveyManager.startTime) / 1000),
+                    sectionsCompleted: [...SurveyManager.sectionsCompleted]
+                }
+            });
+        } catch (error) {
+            if ([403, 409, 410].includes(error.status)) {
+                this.showClosed(error.message);
+                return;
+            }
+            const detail = error.errors && error.errors.length > 0 ? `: ${error.errors[0].msg}` : '';
+            TeamApp.showNotification(`${error.message || 'Failed to submit survey'}${detail}`, 'error');
+            return;
+        }
+
+        document.getElementById('survey-form').style.display = 'none';
+        document.getElementById('thank-you').style.display = 'block';
+        document.getElementById('progress-bar').style.width = '100%';
+
+        // Browsers allowed several responses can start another one
+        if (this.survey.settings.multipleResponses) {
+            this.clientId = null;
+            setTimeout(() => SurveyManager.resetSurveyForm(), 3000);
+        }
+    }
+};
+
+// Template-driven Survey Logic
 const SurveyManager = {
-    currentRatings: {},
+    currentTemplate: null,
+    nextTemplate: null,
+    editing: null,
+    answers: {},
+    // Photos, recordings and signatures captured for this survey, by question id
+    media: {},
+    started: false,
+    startTime: null,
+    // Page of the survey on screen, and the ids of sections the collector has finished
+    pageIndex: 0,
+    sectionsCompleted: [],
+
+    // Render the selected template unless it is already on screen
+    loadTemplate(template) {
+        const current = this.currentTemplate;
+        if (template && current && current._id === template._id && current.updatedAt === template.updatedAt) {
+            return;
+        }
+        // A refreshed version of the survey being filled in applies to the next one
+        if (template && current && current._id === template._id && this.started) {
+            this.nextTemplate = template;
+            return;
+        }
+        this.nextTemplate = null;
+        this.renderTemplate(template);
+    },
 
-    // Initialize problem ratings
-    initProblemRatings() {
-        const container = document.getElementById('problem-ratings');
-        container.innerHTML = ''; // Clear any existing content
-        
-        surveyData.problemCategories.forEach(category => {
-            const questionDiv = document.createElement('div');
-            questionDiv.className = 'question';
-            
-            const questionText = document.createElement('p');
-            questionText.className = 'question-text';
-            questionText.textContent = category;
-            questionDiv.appendChild(questionText);
-            
-            const ratingScale = document.createElement('div');
-            ratingScale.className = 'rating-scale';
-            ratingScale.dataset.category = category;
-            
-            for (let i = 1; i <= 5; i++) {
-                const ratingOption = document.createElement('div');
-                ratingOption.className = 'rating-option';
-                ratingOption.dataset.value = i;
-                ratingOption.textContent = i;
-                ratingOption.addEventListener('click', () => this.handleRatingSelect(category, i, ratingScale));
-                ratingScale.appendChild(ratingOption);
+    // Render every question defined by the template, optionally prefilled with saved answers
+    renderTemplate(template, answers = {}) {
+        this.currentTemplate = template || null;
+        this.answers = { ...answers };
+        Object.values(this.media).forEach(media => URL.revokeObjectURL(media.url));
+        this.media = {};
+        this.editing = null;
+        this.started = false;
+        this.startTime = new Date();
+        this.pageIndex = 0;
+        this.sectionsCompleted = [];
+        LocationManager.reset(template);
+
+        const container = document.getElementById('survey-questions');
+        container.innerHTML = '';
+
+        if (!template) {
+            document.getElementById('survey-title').textContent = 'No survey selected';
+            document.getElementById('survey-description').textContent = 'Select an active survey template to begin.';
+            this.renderSectionNav();
+            this.updateProgress();
+            return;
+        }
+
+        document.getElementById('survey-title').textContent = template.name;
+        document.getElementById('survey-description').textContent = template.description || '';
+
+        this.getOrderedQuestions().forEach(question => {
+            container.appendChild(this.renderQuestion(question));
+        });
+
+        this.applyDisplayRules();
+        this.updateProgress();
+    },
+
+    // Questions sorted by their template order
+    getOrderedQuestions() {
+        if (!this.currentTemplate) return [];
+        return [...(this.currentTemplate.questions || [])].sort((a, b) => a.order - b.order);
+    },
+
+    // Questions the template's display rules show for the current answers
+    getVisibleQuestions() {
+        const visible = SkipLogic.visibleQuestionIds(this.getOrderedQuestions(), this.answers);
+        return this.getOrderedQuestions().filter(question => visible.has(String(question._id)));
+    },
+
+    // Answers to hidden questions are kept in case the question is shown
+    // again, but never submitted; the server rejects them
+    getVisibleAnswers() {
+        const answers = {};
+        this.getVisibleQuestions().forEach(question => {
+            if (!this.isEmptyAnswer(this.answers[question._id])) {
+                answers[question._id] = this.answers[question._id];
             }
-            
-            questionDiv.appendChild(ratingScale);
-            container.appendChild(questionDiv);
         });
+        return answers;
+    },
+
+    // Captured media for the answers that will be submitted
+    getVisibleMedia() {
+        const answers = this.getVisibleAnswers();
+        return Object.values(this.media)
+            .filter(media => answers[media.questionId] === media.clientId)
+            .map(({ url, ...media }) => media);
     },
 
-    // Handle rating selection
-    handleRatingSelect(category, value, scale) {
-        // Update visual selection
-        Array.from(scale.children).forEach(option => {
-            option.classList.remove('selected');
+    // The template's pages with the questions currently shown on each. Sections
+    // whose questions are all skipped are left out; a template without
+    // sections is a single page.
+    getPages() {
+        const questions = this.getVisibleQuestions();
+        const sections = [...((this.currentTemplate && this.currentTemplate.sections) || [])]
+            .sort((a, b) => a.order - b.order);
+
+        if (sections.length === 0) {
+            return [{ section: null, questions }];
+        }
+        return sections
+            .map(section => ({
+                section,
+                questions: questions.filter(question => question.section === section._id)
+            }))
+            .filter(page => page.questions.length > 0);
+    },
+
+    getCurrentPage() {
+        const pages = this.getPages();
+        // Answers can skip later sections, leaving fewer pages than before
+        this.pageIndex = Math.max(0, Math.min(this.pageIndex, pages.length - 1));
+        return pages[this.pageIndex];
+    },
+
+    // Show the questions on the current page that the display rules allow
+    applyDisplayRules() {
+        const page = this.getCurrentPage();
+        const shown = new Set(page ? page.questions.map(question => String(question._id)) : []);
+        document.querySelectorAll('#survey-questions .question').forEach(questionDiv => {
+            questionDiv.hidden = !shown.has(questionDiv.dataset.questionId);
         });
-        scale.querySelector(`[data-value="${value}"]`).classList.add('selected');
-        
-        // Store rating
-        this.currentRatings[category] = parseInt(value);
-        
-        // Auto-update top problems
-        this.updateTopProblemsDisplay();
+        this.renderSectionNav();
     },
 
-    // Automatically determine top 3 problems
-    updateTopProblemsDisplay() {
-        const topProblems = this.getTopProblems();
-        
-        if (topProblems.length > 0) {
-            const display = document.getElementById('top-problems-display');
-            const list = document.getElementById('top-problems-list');
-            
-            list.innerHTML = topProblems.map((problem, index) => `
-                <div class="top-problem-item">
-                    <strong>${index + 1}. ${problem.category}</strong>
-                    <br><small>Severity: ${problem.rating}/5</small>
-                </div>
-            `).join('');
-            
-            display.style.display = 'block';
-            
-            // Update top problem text in next section
-            if (topProblems[0]) {
-                document.getElementById('top-problem-text').textContent = `"${topProblems[0].category}"`;
+    // Section title, one indicator dot per page and the buttons for this page
+    renderSectionNav() {
+        const pages = this.currentTemplate ? this.getPages() : [];
+        const page = pages[this.pageIndex];
+        const section = page && page.section;
+        const isLastPage = this.pageIndex >= pages.length - 1;
+
+        document.getElementById('section-title').textContent = section ? section.title : '';
+        document.getElementById('section-description').textContent = section && section.description ? section.description : '';
+
+        const indicator = document.getElementById('section-indicator');
+        indicator.innerHTML = '';
+        if (pages.length > 1) {
+            pages.forEach((entry, index) => {
+                const dot = document.createElement('div');
+                dot.className = 'section-dot';
+                dot.title = entry.section.title;
+                if (index === this.pageIndex) dot.classList.add('active');
+                if (this.sectionsCompleted.includes(entry.section._id)) dot.classList.add('completed');
+                indicator.appendChild(dot);
+            });
+        }
+
+        document.getElementById('prev-section').style.display = this.pageIndex > 0 ? '' : 'none';
+        document.getElementById('next-section').style.display = this.currentTemplate && !isLastPage ? '' : 'none';
+        document.getElementById('submit').style.display = !this.currentTemplate || isLastPage ? '' : 'none';
+    },
+
+    markSectionCompleted(page) {
+        if (page && page.section && !this.sectionsCompleted.includes(page.section._id)) {
+            this.sectionsCompleted.push(page.section._id);
+        }
+    },
+
+    showPage(index) {
+        this.pageIndex = index;
+        this.applyDisplayRules();
+        this.updateProgress();
+        document.getElementById('survey-form').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    // Move on once every question on this page is valid
+    nextSection() {
+        const page = this.getCurrentPage();
+        if (!page || !this.validateQuestions(page.questions)) return;
+
+        this.markSectionCompleted(page);
+        this.showPage(this.pageIndex + 1);
+    },
+
+    prevSection() {
+        this.showPage(this.pageIndex - 1);
+    },
+
+    renderQuestion(question) {
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'question';
+        questionDiv.dataset.questionId = question._id;
+
+        const questionText = document.createElement('p');
+        questionText.className = 'question-text';
+        questionText.textContent = question.required ? `${question.questionText} *` : question.questionText;
+        questionDiv.appendChild(questionText);
+
+        if (question.description) {
+            const description = document.createElement('p');
+            description.className = 'subtitle';
+            description.textContent = question.description;
+            questionDiv.appendChild(description);
+        }
+
+        switch (question.type) {
+            case 'rating':
+                questionDiv.appendChild(this.renderRating(question));
+                break;
+            case 'nps':
+                questionDiv.appendChild(this.renderNps(question));
+                break;
+            case 'slider':
+                questionDiv.appendChild(this.renderSlider(question));
+                break;
+            case 'multiple-choice':
+                questionDiv.appendChild(this.renderMultipleChoice(question));
+                break;
+            case 'multi-select':
+                questionDiv.appendChild(this.renderMultiSelect(question));
+                break;
+            case 'matrix':
+                questionDiv.appendChild(this.renderMatrix(question));
+                break;
+            case 'ranking':
+                questionDiv.appendChild(this.renderRanking(question));
+                break;
+            case 'number':
+            case 'email':
+            case 'phone':
+            case 'date':
+            case 'time':
+            case 'datetime':
+                questionDiv.appendChild(this.renderTypedInput(question));
+                break;
+            case 'photo':
+                questionDiv.appendChild(this.renderPhotoCapture(question));
+                break;
+            case 'audio':
+                questionDiv.appendChild(this.renderAudioRecorder(question));
+                break;
+            case 'signature':
+                questionDiv.appendChild(this.renderSignaturePad(question));
+                break;
+            case 'open-ended':
+                questionDiv.appendChild(this.renderTextInput(question, true));
+                break;
+            default:
+                questionDiv.appendChild(this.renderTextInput(question, false));
+        }
+
+        return questionDiv;
+    },
+
+    renderTextInput(question, multiline) {
+        const input = document.createElement(multiline ? 'textarea' : 'input');
+        if (!multiline) input.type = 'text';
+        input.placeholder = multiline ? 'Share your thoughts...' : 'Your answer...';
+
+        const validation = question.validation || {};
+        if (validation.maxLength) input.maxLength = validation.maxLength;
+
+        const answer = this.answers[question._id];
+        if (answer !== undefined) input.value = answer;
+
+        input.addEventListener('input', () => this.setAnswer(question, input.value.trim()));
+        return input;
+    },
+
+    // Inputs whose browser type does the formatting: numbers, email, phone, dates and times
+    renderTypedInput(question) {
+        const inputTypes = { number: 'number', email: 'email', phone: 'tel', date: 'date', time: 'time', datetime: 'datetime-local' };
+        const input = document.createElement('input');
+        input.type = inputTypes[question.type];
+
+        const validation = question.validation || {};
+        if (question.type === 'number') {
+            if (typeof validation.min === 'number') input.min = validation.min;
+            if (typeof validation.max === 'number') input.max = validation.max;
+            input.step = 'any';
+        }
+
+        const answer = this.answers[question._id];
+        if (answer !== undefined) input.value = answer;
+
+        input.addEventListener('input', () => {
+            const value = input.value.trim();
+            this.setAnswer(question, question.type === 'number' && value !== '' ? Number(value) : value);
+        });
+        return input;
+    },
+
+    renderSlider(question) {
+        const validation = question.validation || {};
+        const wrapper = document.createElement('div');
+        wrapper.className = 'slider-input';
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = typeof validation.min === 'number' ? validation.min : 0;
+        input.max = typeof validation.max === 'number' ? validation.max : 100;
+        input.step = validation.step || 1;
+
+        // A range input always has a value, so show when it has not been moved yet
+        const output = document.createElement('span');
+        output.className = 'slider-value';
+        const answer = this.answers[question._id];
+        if (answer !== undefined) input.value = answer;
+        output.textContent = answer !== undefined ? answer : 'Move the slider to answer';
+
+        input.addEventListener('input', () => {
+            output.textContent = input.value;
+            this.setAnswer(question, Number(input.value));
+        });
+
+        wrapper.append(input, output);
+        return wrapper;
+    },
+
+    // Media answers are the id the captured file is uploaded under. A survey
+    // loaded for correction has the id but not the file, which stays on the server.
+    renderMediaStatus(question, emptyText) {
+        const status = document.createElement('span');
+        status.className = 'media-status';
+        status.textContent = this.answers[question._id] ? 'Saved with this survey' : emptyText;
+        return status;
+    },
+
+    // Keep a captured file for upload when the survey is saved; no blob clears the answer
+    setMedia(question, blob) {
+        const previous = this.media[question._id];
+        if (previous) URL.revokeObjectURL(previous.url);
+
+        if (!blob) {
+            delete this.media[question._id];
+            this.setAnswer(question, undefined);
+            return null;
+        }
+
+        const media = {
+            clientId: DataManager.generateUUID(),
+            questionId: question._id,
+            kind: question.type,
+            mimeType: blob.type,
+            blob,
+            url: URL.createObjectURL(blob)
+        };
+        this.media[question._id] = media;
+        this.setAnswer(question, media.clientId);
+        return media;
+    },
+
+    // Photo from the device camera, or the photo library where there is none
+    renderPhotoCapture(question) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'media-capture';
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.setAttribute('capture', 'environment');
+
+        const preview = document.createElement('img');
+        preview.className = 'media-preview';
+        preview.alt = question.questionText;
+        preview.hidden = true;
+
+        const status = this.renderMediaStatus(question, 'No photo taken yet');
+
+        input.addEventListener('change', () => {
+            const media = this.setMedia(question, input.files[0]);
+            preview.hidden = !media;
+            if (media) preview.src = media.url;
+            status.textContent = media ? '' : 'No photo taken yet';
+        });
+
+        wrapper.append(input, preview, status);
+        return wrapper;
+    },
+
+    // Voice note recorded with the microphone
+    renderAudioRecorder(question) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'media-capture';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-prev';
+        button.textContent = 'Start recording';
+
+        const playback = document.createElement('audio');
+        playback.controls = true;
+        playback.hidden = true;
+
+        const status = this.renderMediaStatus(question, 'Nothing recorded yet');
+        let recorder = null;
+
+        button.addEventListener('click', async () => {
+            if (recorder && recorder.state === 'recording') {
+                recorder.stop();
+                return;
             }
-        } else {
-            document.getElementById('top-problems-display').style.display = 'none';
+            if (!navigator.mediaDevices || !window.MediaRecorder) {
+                TeamApp.showNotification('Audio recording is not supported on this device', 'error');
+                return;
+            }
+
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            } catch (error) {
+                TeamApp.showNotification('Allow microphone access to record an answer', 'error');
+                return;
+            }
+
+            const chunks = [];
+            recorder = new MediaRecorder(stream);
+            recorder.addEventListener('dataavailable', event => chunks.push(event.data));
+            recorder.addEventListener('stop', () => {
+                stream.getTracks().forEach(track => track.stop());
+                const media = this.setMedia(question, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+                playback.src = media.url;
+                playback.hidden = false;
+                status.textContent = '';
+                button.textContent = 'Record again';
+            });
+            recorder.start();
+            status.textContent = 'Recording...';
+            button.textContent = 'Stop recording';
+        });
+
+        wrapper.append(button, playback, status);
+        return wrapper;
+    },
+
+    // Signature drawn with a finger, stylus or mouse, saved as a PNG
+    renderSignaturePad(question) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'media-capture';
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'signature-pad';
+        canvas.width = 400;
+        canvas.height = 150;
+        const context = canvas.getContext('2d');
+        context.lineWidth = 2;
+        context.lineCap = 'round';
+        context.strokeStyle = '#000';
+
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'btn-prev';
+        clear.textContent = 'Clear';
+
+        const status = this.renderMediaStatus(question, 'Sign in the box above');
+
+        // The canvas is scaled by CSS, so map pointer positions onto its pixels
+        const point = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * (canvas.width / rect.width),
+                y: (event.clientY - rect.top) * (canvas.height / rect.height)
+            };
+        };
+        let drawing = false;
+
+        canvas.addEventListener('pointerdown', event => {
+            const { x, y } = point(event);
+            drawing = true;
+            canvas.setPointerCapture(event.pointerId);
+            context.beginPath();
+            context.moveTo(x, y);
+        });
+        canvas.addEventListener('pointermove', event => {
+            if (!drawing) return;
+            const { x, y } = point(event);
+            context.lineTo(x, y);
+            context.stroke();
+        });
+        canvas.addEventListener('pointerup', () => {
+            if (!drawing) return;
+            drawing = false;
+            status.textContent = '';
+            canvas.toBlob(blob => this.setMedia(question, blob), 'image/png');
+        });
+        clear.addEventListener('click', () => {
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            this.setMedia(question, null);
+            status.textContent = 'Sign in the box above';
+        });
+
+        wrapper.append(canvas, clear, status);
+        return wrapper;
+    },
+
+    // Net Promoter Score: 0 (not at all likely) to 10 (extremely likely)
+    renderNps(question) {
+        const npsScale = document.createElement('div');
+        npsScale.className = 'rating-scale nps-scale';
+
+        for (let score = 0; score <= 10; score++) {
+            const option = document.createElement('div');
+            option.className = 'rating-option';
+            option.textContent = score;
+            if (String(this.answers[question._id]) === String(score)) {
+                option.classList.add('selected');
+            }
+            option.addEventListener('click', () => {
+                this.selectSingle(npsScale, option);
+                this.setAnswer(question, score);
+            });
+            npsScale.appendChild(option);
         }
+
+        return npsScale;
     },
 
-    // Get top 3 problems based on ratings
-    getTopProblems() {
-        const problems = Object.entries(this.currentRatings)
-            .map(([category, rating]) => ({ category, rating }))
-            .filter(problem => problem.rating > 0) // Only include rated problems
-            .sort((a, b) => b.rating - a.rating)
-            .slice(0, 3);
-        
-        return problems;
+    renderRating(question) {
+        const ratingScale = document.createElement('div');
+        ratingScale.className = 'rating-scale';
+
+        this.getRatingChoices(question).forEach(choice => {
+            const ratingOption = document.createElement('div');
+            ratingOption.className = 'rating-option';
+            ratingOption.dataset.value = choice.value;
+            ratingOption.textContent = choice.label;
+            if (String(this.answers[question._id]) === String(choice.value)) {
+                ratingOption.classList.add('selected');
+            }
+            ratingOption.addEventListener('click', () => {
+                this.selectSingle(ratingScale, ratingOption);
+                this.setAnswer(question, choice.value);
+            });
+            ratingScale.appendChild(ratingOption);
+        });
+
+        return ratingScale;
     },
 
-    // Reset survey form
-    resetSurveyForm() {
-        // Clear all form fields
-        document.getElementById('open-ended-problem').value = '';
-        document.getElementById('current-solution').value = '';
-        document.getElementById('frustration-details').value = '';
-        document.getElementById('solution-brainstorming-area').innerText = 'Start typing your solution ideas here...';
-        document.getElementById('solution-features').value = '';
-        document.getElementById('custom-pricing').value = '';
-        document.getElementById('boss-battle').value = '';
-        document.getElementById('email').value = '';
-        document.getElementById('phone').value = '';
-        
-        // Reset ratings
-        document.querySelectorAll('.rating-option.selected').forEach(option => {
-            option.classList.remove('selected');
+    // Rating choices come from the options when given, otherwise from validation.min..max
+    getRatingChoices(question) {
+        if (question.options && question.options.length > 0) {
+            return question.options.map(option => ({
+                value: this.getOptionValue(option),
+                label: option.text || this.getOptionValue(option)
+            }));
+        }
+
+        const { min, max } = this.getRatingRange(question);
+        const choices = [];
+        for (let i = min; i <= max; i++) {
+            choices.push({ value: i, label: i });
+        }
+        return choices;
+    },
+
+    getRatingRange(question) {
+        const validation = question.validation || {};
+        return {
+            min: typeof validation.min === 'number' ? validation.min : 1,
+            max: typeof validation.max === 'number' ? validation.max : 5
+        };
+    },
+
+    renderMultipleChoice(question) {
+        const optionsList = document.createElement('div');
+        optionsList.className = 'options-list';
+
+        (question.options || []).forEach(option => {
+            const optionItem = document.createElement('div');
+            optionItem.className = 'option-item';
+            optionItem.textContent = option.text || this.getOptionValue(option);
+            if (String(this.answers[question._id]) === String(this.getOptionValue(option))) {
+                optionItem.classList.add('selected');
+            }
+            optionItem.addEventListener('click', () => {
+                this.selectSingle(optionsList, optionItem);
+                this.setAnswer(question, this.getOptionValue(option));
+            });
+            optionsList.appendChild(optionItem);
         });
-        
-        document.querySelectorAll('.option-item.selected').forEach(option => {
-            option.classList.remove('selected');
+
+        return optionsList;
+    },
+
+    renderMultiSelect(question) {
+        const optionsList = document.createElement('div');
+        optionsList.className = 'options-list';
+        const optionValues = (question.options || []).map(option => this.getOptionValue(option));
+        const selected = new Set([].concat(this.answers[question._id] || []).map(String));
+
+        (question.options || []).forEach(option => {
+            const value = this.getOptionValue(option);
+            const optionItem = document.createElement('div');
+            optionItem.className = 'option-item';
+            optionItem.textContent = option.text || value;
+            optionItem.classList.toggle('selected', selected.has(String(value)));
+            optionItem.addEventListener('click', () => {
+                if (selected.has(String(value))) {
+                    selected.delete(String(value));
+                } else {
+                    selected.add(String(value));
+                }
+                optionItem.classList.toggle('selected', selected.has(String(value)));
+                // Keep the option order and the options' own value types
+                this.setAnswer(question, optionValues.filter(item => selected.has(String(item))));
+            });
+            optionsList.appendChild(optionItem);
         });
-        
-        // Reset contact info
-        document.getElementById('contact-info').style.display = 'none';
-        
-        // Reset current ratings
-        this.currentRatings = {};
-        this.updateTopProblemsDisplay();
-        
-        // Reset to first section
-        currentSection = 1;
-        document.querySelectorAll('.survey-section').forEach(section => {
-            section.classList.remove('active');
+
+        return optionsList;
+    },
+
+    // Likert grid: one row per matrix row, one column per scale option
+    renderMatrix(question) {
+        const table = document.createElement('table');
+        table.className = 'matrix-table';
+        const scale = (question.options || []).map(option => ({
+            value: this.getOptionValue(option),
+            label: option.text || this.getOptionValue(option)
+        }));
+        const answer = { ...(this.answers[question._id] || {}) };
+
+        const header = table.createTHead().insertRow();
+        header.appendChild(document.createElement('th'));
+        scale.forEach(point => {
+            const th = document.createElement('th');
+            th.textContent = point.label;
+            header.appendChild(th);
         });
-        document.getElementById('section-1').classList.add('active');
-        
-        // Reset progress
-        document.getElementById('progress-bar').style.width = '0%';
-        document.querySelectorAll('.section-dot').forEach((dot, index) => {
-            dot.classList.toggle('active', index === 0);
+
+        const body = table.createTBody();
+        (question.rows || []).forEach(row => {
+            const rowValue = String(this.getOptionValue(row));
+            const tr = body.insertRow();
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = row.text || rowValue;
+            tr.appendChild(label);
+
+            scale.forEach(point => {
+                const cell = tr.insertCell();
+                cell.className = 'matrix-cell';
+                cell.title = point.label;
+                if (String(answer[rowValue]) === String(point.value)) cell.classList.add('selected');
+                cell.addEventListener('click', () => {
+                    Array.from(tr.cells).forEach(other => other.classList.remove('selected'));
+                    cell.classList.add('selected');
+                    answer[rowValue] = point.value;
+                    this.setAnswer(question, { ...answer });
+                });
+            });
         });
-        
-        // Hide thank you message
+
+        return table;
+    },
+
+    renderRanking(question) {
+        const rankingContainer = document.createElement('div');
+        rankingContainer.className = 'ranking-container';
+
+        const optionValues = (question.options || []).map(option => this.getOptionValue(option));
+        // Start from a saved ranking when it still covers exactly these options
+        const saved = this.answers[question._id];
+        const order = Array.isArray(saved) && saved.length === optionValues.length &&
+            optionValues.every(value => saved.includes(value))
+            ? [...saved]
+            : optionValues;
+        const labels = {};
+        (question.options || []).forEach(option => {
+            labels[this.getOptionValue(option)] = option.text || this.getOptionValue(option);
+        });
+
+        const draw = () => {
+            rankingContainer.innerHTML = '';
+            order.forEach((value, index) => {
+                const item = document.createElement('div');
+                item.className = 'ranking-item';
+                item.innerHTML = `
+                    <span><strong>${index + 1}.</strong> </span>
+                    <div class="ranking-controls">
+                        <button type="button" data-move="-1" ${index === 0 ? 'disabled' : ''}>▲</button>
+                        <button type="button" data-move="1" ${index === order.length - 1 ? 'disabled' : ''}>▼</button>
+                    </div>
+                `;
+                item.querySelector('span').append(labels[value]);
+                item.querySelectorAll('button').forEach(button => {
+                    button.addEventListener('click', () => {
+                        const target = index + parseInt(button.dataset.move);
+                        [order[index], order[target]] = [order[target], order[index]];
+                        this.setAnswer(question, [...order]);
+                        draw();
+                    });
+                });
+                rankingContainer.appendChild(item);
+            });
+        };
+
+        draw();
+        // The initial option order is already a complete ranking
+        this.answers[question._id] = [...order];
+        return rankingContainer;
+    },
+
+    selectSingle(list, selected) {
+        Array.from(list.children).forEach(option => option.classList.remove('selected'));
+        selected.classList.add('selected');
+    },
+
+    getOptionValue(option) {
+        return option.value !== undefined && option.value !== null && option.value !== '' ? option.value : option.text;
+    },
+
+    // Store an answer keyed by question ID
+    setAnswer(question, value) {
+        this.started = true;
+        if (this.isEmptyAnswer(value)) {
+            delete this.answers[question._id];
+        } else {
+            this.answers[question._id] = value;
+        }
+
+        const questionDiv = document.querySelector(`#survey-questions [data-question-id="${question._id}"]`);
+        if (questionDiv) questionDiv.classList.remove('invalid');
+
+        this.applyDisplayRules();
+        this.updateProgress();
+    },
+
+    isEmptyAnswer(value) {
+        return value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0) ||
+            (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+    },
+
+    // Progress counts the pages before this one plus the share of this page answered
+    updateProgress() {
+        const pages = this.currentTemplate ? this.getPages() : [];
+        const page = pages[this.pageIndex];
+        let progress = 0;
+
+        if (page) {
+            const answered = page.questions.filter(q => !this.isEmptyAnswer(this.answers[q._id])).length;
+            const pageShare = page.questions.length > 0 ? answered / page.questions.length : 1;
+            progress = ((this.pageIndex + pageShare) / pages.length) * 100;
+        }
+        document.getElementById('progress-bar').style.width = `${progress}%`;
+    },
+
+    // Reset survey form
+    resetSurveyForm() {
+        this.renderTemplate(this.nextTemplate || this.currentTemplate);
+        this.nextTemplate = null;
+
+        document.getElementById('survey-form').style.display = '';
         document.getElementById('thank-you').style.display = 'none';
     },
 
+    // Load a saved survey into the form to correct its answers
+    editSurvey(survey) {
+        const template = TemplateManager.getTemplate(survey.surveyTemplate);
+        if (!template) {
+            TeamApp.showNotification('The template for this survey is not available on this device', 'error');
+            return;
+        }
+
+        switchAppSection('survey');
+        currentSurveyTemplate = template._id;
+        document.getElementById('survey-template').value = template._id;
+        this.nextTemplate = null;
+        this.renderTemplate(template, survey.responses);
+        this.editing = survey;
+        TeamApp.showNotification('Editing a saved survey - submit to save your corrections', 'info');
+    },
+
     // Collect all survey data
     collectSurveyData() {
-        const topProblems = this.getTopProblems();
-        
         return {
-            // Section 1
-            openEndedProblem: document.getElementById('open-ended-problem').value.trim(),
-            problemRatings: { ...this.currentRatings },
-            topProblems: topProblems,
-            
-            // Section 2
-            currentSolution: document.getElementById('current-solution').value.trim(),
-            satisfactionRating: document.querySelector('#satisfaction-rating .rating-option.selected')?.dataset.value,
-            frustrationDetails: document.getElementById('frustration-details').value.trim(),
-            
-            // Section 3 - Dynamic Solution Creation
-            customSolution: document.getElementById('solution-brainstorming-area').innerText.trim(),
-            solutionFeatures: document.getElementById('solution-features').value.trim(),
-            likelihoodRating: document.querySelector('#likelihood-rating .rating-option.selected')?.dataset.value,
-            willingnessToPay: document.getElementById('custom-pricing').value.trim(),
-            
-            // Section 4
-            bossBattle: document.getElementById('boss-battle').value.trim(),
-            interestedInTrying: document.querySelector('#section-4 .options-list .option-item.selected')?.dataset.value,
-            contactInfo: this.getContactInfo(),
-            surveyTemplate: currentSurveyTemplate
+            surveyTemplate: this.currentTemplate ? this.currentTemplate._id : currentSurveyTemplate,
+            templateName: this.currentTemplate ? this.currentTemplate.name : undefined,
+            templateVersionNumber: this.currentTemplate ? this.currentTemplate.versionNumber : undefined,
+            startTime: this.startTime ? this.startTime.toISOString() : undefined,
+            sectionsCompleted: [...this.sectionsCompleted],
+            responses: this.getVisibleAnswers(),
+            media: this.getVisibleMedia()
         };
     },
 
-    // Get contact info if provided
-    getContactInfo() {
-        const interested = document.querySelector('#section-4 .options-list .option-item.selected')?.dataset.value;
-        if (interested === 'yes') {
-            const email = document.getElementById('email').value.trim();
-            const phone = document.getElementById('phone').value.trim();
-            
-            if (email || phone) {
-                return {
-                    email: email,
-                    phone: phone
-                };
+    // Validate every question against its template rules
+    // Validate every shown question, turning to the page of the first problem
+    validateAnswers() {
+        const pages = this.getPages();
+        const invalidPage = pages.findIndex(page => page.questions.some(question => (
+            this.validateQuestion(question, this.answers[question._id])
+        )));
+
+        if (invalidPage !== -1) {
+            if (invalidPage !== this.pageIndex) this.showPage(invalidPage);
+            return this.validateQuestions(pages[invalidPage].questions);
+        }
+
+        this.markSectionCompleted(pages[pages.length - 1]);
+        return true;
+    },
+
+    // Highlight the first invalid question of these; false when there is one
+    validateQuestions(questions) {
+        for (const question of questions) {
+            const error = this.validateQuestion(question, this.answers[question._id]);
+            if (error) {
+                const questionDiv = document.querySelector(`#survey-questions [data-question-id="${question._id}"]`);
+                if (questionDiv) {
+                    questionDiv.classList.add('invalid');
+                    questionDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+                TeamApp.showNotification(error, 'warning');
+                return false;
             }
         }
-        return null;
+
+        return true;
     },
 
-    // Validate current section
-    validateSection(sectionNumber) {
-        switch (sectionNumber) {
-            case 1:
-                return this.validateSection1();
-            case 2:
-                return this.validateSection2();
-            case 3:
-                return this.validateSection3();
-            case 4:
-                return this.validateSection4();
+    validateQuestion(question, value) {
+        const validation = question.validation || {};
+
+        if (this.isEmptyAnswer(value)) {
+            return question.required ? `Please answer "${question.questionText}".` : null;
+        }
+
+        switch (question.type) {
+            case 'text':
+            case 'open-ended':
+                if (validation.minLength && value.length < validation.minLength) {
+                    return `"${question.questionText}" needs at least ${validation.minLength} characters.`;
+                }
+                if (validation.maxLength && value.length > validation.maxLength) {
+                    return `"${question.questionText}" cannot exceed ${validation.maxLength} characters.`;
+                }
+                if (validation.pattern && !new RegExp(validation.pattern).test(value)) {
+                    return `Please check the format of your answer to "${question.questionText}".`;
+                }
+                break;
+            case 'rating': {
+                const { min, max } = this.getRatingRange(question);
+                if (!(question.options && question.options.length) && (value < min || value > max)) {
+                    return `"${question.questionText}" must be rated between ${min} and ${max}.`;
+                }
+                break;
+            }
+            case 'number':
+                if (!Number.isFinite(value)) {
+                    return `"${question.questionText}" must be a number.`;
+                }
+                if (typeof validation.min === 'number' && value < validation.min) {
+                    return `"${question.questionText}" must be at least ${validation.min}.`;
+                }
+                if (typeof validation.max === 'number' && value > validation.max) {
+                    return `"${question.questionText}" cannot exceed ${validation.max}.`;
+                }
+                break;
+            case 'email':
+                if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+                    return `Please enter a valid email address for "${question.questionText}".`;
+                }
+                break;
+            case 'phone': {
+                const digits = value.replace(/\D/g, '').length;
+                if (!/^\+?[\d\s().-]+$/.test(value) || digits < 7 || digits > 15) {
+                    return `Please enter a valid phone number for "${question.questionText}".`;
+                }
+                break;
+            }
+            case 'multi-select':
+                if (validation.min && value.length < validation.min) {
+                    return `Select at least ${validation.min} options for "${question.questionText}".`;
+                }
+                if (validation.max && value.length > validation.max) {
+                    return `Select at most ${validation.max} options for "${question.questionText}".`;
+                }
+                break;
+            case 'matrix':
+                if (question.required && Object.keys(value).length < (question.rows || []).length) {
+                    return `Please rate every row of "${question.questionText}".`;
+                }
+                break;
             default:
-                return true;
+                break;
         }
+
+        return null;
+    }
+};
+
+// Progress toward template quotas, on the survey screen and the dashboard
+const QuotaManager = {
+    hasQuotas(template) {
+        const quotas = template && template.quotas;
+        return Boolean(quotas && (quotas.total || quotas.perCollector || (quotas.answers && quotas.answers.length > 0)));
+    },
+
+    // Labels, collector names and template names are user-set, so everything
+    // here is built as elements with text, never markup
+    renderBar(label, progress) {
+        const percent = Math.min(100, Math.round(progress.count / progress.limit * 100));
+        const bar = document.createElement('div');
+        bar.className = `quota-bar ${progress.reached ? 'reached' : ''}`;
+
+        const labelRow = document.createElement('div');
+        labelRow.className = 'quota-bar-label';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const count = document.createElement('span');
+        count.textContent = `${progress.count} / ${progress.limit}${progress.reached ? ' - quota reached' : ''}`;
+        labelRow.append(name, count);
+
+        const track = document.createElement('div');
+        track.className = 'quota-bar-track';
+        const fill = document.createElement('div');
+        fill.className = 'quota-bar-fill';
+        fill.style.width = `${percent}%`;
+        track.appendChild(fill);
+
+        bar.append(labelRow, track);
+        return bar;
     },
 
-    validateSection1() {
-        const ratingsCount = Object.keys(this.currentRatings).length;
-        if (ratingsCount < 3) {
-            TeamApp.showNotification('Please rate at least 3 problems to identify the top issues.', 'warning');
-            return false;
+    renderProgress(quotas, { showCollectors }) {
+        const bars = [];
+        if (quotas.total) bars.push(this.renderBar('Team total', quotas.total));
+        if (quotas.perCollector && !showCollectors) bars.push(this.renderBar('Your responses', quotas.perCollector));
+        quotas.answers.forEach(answer => bars.push(this.renderBar(answer.label, answer)));
+        if (showCollectors) {
+            quotas.collectors.forEach(collector => bars.push(this.renderBar(collector.collectedBy.name, collector)));
         }
-        
-        const openEnded = document.getElementById('open-ended-problem').value.trim();
-        if (openEnded.length < 10) {
-            TeamApp.showNotification('Please provide more detail about the most annoying problem.', 'warning');
-            return false;
+        return bars;
+    },
+
+    // Quota bars for the survey being collected; hidden offline, where counts would be stale
+    async showForSurvey(template) {
+        const container = document.getElementById('survey-quota-progress');
+        if (!this.hasQuotas(template) || !navigator.onLine) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const result = await DataManager.getTemplateQuotas(template._id);
+            const quotas = result.data.quotas;
+            const ownQuotaReached = quotas.perCollector && quotas.perCollector.reached;
+            const fullQuotaReached = quotas.total && quotas.total.reached;
+            const bars = this.renderProgress(quotas, { showCollectors: false });
+
+            if (fullQuotaReached || ownQuotaReached) {
+                const notice = document.createElement('p');
+                notice.className = 'quota-notice';
+                notice.textContent = fullQuotaReached
+                    ? 'This survey has reached its target. You can stop collecting.'
+                    : 'You have reached your quota for this survey. You can stop collecting.';
+                bars.unshift(notice);
+            }
+            container.replaceChildren(...bars);
+        } catch (error) {
+            console.error('Failed to load quota progress:', error);
+            container.innerHTML = '';
         }
-        
-        return true;
     },
 
-    validateSection2() {
-        const hasSolution = document.getElementById('current-solution').value.trim().length > 0;
-        if (!hasSolution) {
-            TeamApp.showNotification('Please describe your current solution approach.', 'warning');
-            return false;
+    // Quota cards for the template picked in the dashboard filter, or every template with quotas
+    async showForDashboard() {
+        const container = document.getElementById('dashboard-quota-progress');
+        const templateFilter = document.getElementById('template-filter').value;
+        const templates = TemplateManager.templates
+            .filter(template => this.hasQuotas(template))
+            .filter(template => templateFilter === 'all' || template._id === templateFilter);
+
+        if (templates.length === 0 || !navigator.onLine) {
+            container.innerHTML = '';
+            return;
         }
-        
-        const satisfactionSelected = document.querySelector('#satisfaction-rating .rating-option.selected');
-        if (!satisfactionSelected) {
-            TeamApp.showNotification('Please rate your satisfaction with the current solution.', 'warning');
-            return false;
+
+        try {
+            const results = await Promise.all(templates.map(template => DataManager.getTemplateQuotas(template._id)));
+            container.replaceChildren(...results.map((result, index) => {
+                const card = document.createElement('div');
+                card.className = 'quota-card';
+                const heading = document.createElement('h3');
+                heading.textContent = `${templates[index].name} - Quotas`;
+                card.append(heading, ...this.renderProgress(result.data.quotas, { showCollectors: true }));
+                return card;
+            }));
+        } catch (error) {
+            console.error('Failed to load quota progress:', error);
+            container.innerHTML = '';
         }
-        
-        return true;
+    }
+};
+
+// GPS fix for collected surveys. Acquisition starts when a survey is opened so
+// a fix is usually ready by submit. Templates with settings.requireLocation
+// cannot be submitted without one unless the collector gives an override
+// reason (the documented list is in Backend/utils/responseLocation.js).
+const LocationManager = {
+    // Stop waiting once a fix is this accurate, in metres
+    DESIRED_ACCURACY: 50,
+    // Fixes less accurate than this do not count as a location
+    MAX_ACCURACY: 500,
+    TIMEOUT: 20000,
+    // Fixes older than this are taken again at submit
+    MAX_AGE: 10 * 60 * 1000,
+    REASONS: {
+        'permission-denied': 'location permission was denied',
+        'no-signal': 'no GPS signal',
+        'low-accuracy': 'the GPS fix is too inaccurate',
+        'device-unsupported': 'this device has no location support'
+    },
+    fix: null,
+    error: null,
+    watching: null,
+
+    // Start over for a new survey; public respondents are not located
+    reset(template) {
+        this.fix = null;
+        this.error = null;
+        document.getElementById('location-override').hidden = true;
+        document.getElementById('location-override-reason').value = '';
+        document.getElementById('location-override-note').value = '';
+
+        if (!template || PublicSurveyManager.token) {
+            document.getElementById('location-status').textContent = '';
+            return;
+        }
+        this.start();
     },
 
-    validateSection3() {
-        const hasCustomSolution = document.getElementById('solution-brainstorming-area').innerText.trim().length > 20;
-        if (!hasCustomSolution) {
-            TeamApp.showNotification('Please work together to create a more detailed solution idea.', 'warning');
-            return false;
+    // Watch the position until a fix of DESIRED_ACCURACY or TIMEOUT, keeping the
+    // best one. Resolves to it, or to null with this.error naming the reason.
+    start() {
+        if (this.watching) return this.watching;
+        this.error = null;
+
+        if (!('geolocation' in navigator)) {
+            this.error = 'device-unsupported';
+            this.renderStatus();
+            return Promise.resolve(null);
         }
-        
-        const likelihoodSelected = document.querySelector('#likelihood-rating .rating-option.selected');
-        if (!likelihoodSelected) {
-            TeamApp.showNotification('Please rate how likely you would be to use this solution.', 'warning');
-            return false;
+
+        this.watching = new Promise(resolve => {
+            let best = null;
+            let watchId = null;
+            let timer = null;
+
+            const finish = () => {
+                if (!this.watching) return;
+                navigator.geolocation.clearWatch(watchId);
+                clearTimeout(timer);
+                this.watching = null;
+                this.fix = best && best.coords.accuracy <= this.MAX_ACCURACY ? best : null;
+                if (!this.fix && !this.error) this.error = best ? 'low-accuracy' : 'no-signal';
+                this.renderStatus();
+                resolve(this.fix);
+            };
+
+            watchId = navigator.geolocation.watchPosition(position => {
+                if (!best || position.coords.accuracy < best.coords.accuracy) best = position;
+                this.renderStatus(best);
+                if (position.coords.accuracy <= this.DESIRED_ACCURACY) finish();
+            }, error => {
+                // A denial is final; other errors may clear up before the timeout
+                if (error.code === error.PERMISSION_DENIED) {
+                    this.error = 'permission-denied';
+                    finish();
+                }
+            }, { enableHighAccuracy: true, maximumAge: 0, timeout: this.TIMEOUT });
+            timer = setTimeout(finish, this.TIMEOUT);
+        });
+
+        this.renderStatus();
+        return this.watching;
+    },
+
+    // The current fix, or a new attempt when there is none or it is stale
+    acquire() {
+        if (this.fix && Date.now() - this.fix.timestamp < this.MAX_AGE) {
+            return Promise.resolve(this.fix);
         }
-        
-        const hasPricing = document.getElementById('custom-pricing').value.trim().length > 0;
-        if (!hasPricing) {
-            TeamApp.showNotification('Please indicate how much you would be willing to pay.', 'warning');
-            return false;
+        this.fix = null;
+        return this.start();
+    },
+
+    retry() {
+        this.fix = null;
+        this.start();
+    },
+
+    renderStatus(position) {
+        const status = document.getElementById('location-status');
+        if (this.watching) {
+            status.textContent = position
+                ? `📍 Improving location (±${Math.round(position.coords.accuracy)} m)...`
+                : '📍 Getting location...';
+        } else if (this.fix) {
+            status.textContent = `📍 Location captured (±${Math.round(this.fix.coords.accuracy)} m)`;
+        } else {
+            status.textContent = `📍 Location unavailable: ${this.REASONS[this.error] || 'unknown error'}`;
         }
-        
-        return true;
     },
 
-    validateSection4() {
-        const hasBossBattle = document.getElementById('boss-battle').value.trim().length > 0;
-        if (!hasBossBattle) {
-            TeamApp.showNotification('Please describe your "boss battle" metaphor.', 'warning');
-            return false;
+    // Location fields for a survey being submitted: { location }, { locationOverride }
+    // or {} when neither is needed. Null when the template requires a location
+    // and the collector has not yet given a reason it is unavailable.
+    async forSubmission(template) {
+        const fix = await this.acquire();
+        if (fix) {
+            return {
+                location: {
+                    latitude: fix.coords.latitude,
+                    longitude: fix.coords.longitude,
+                    accuracy: fix.coords.accuracy,
+                    capturedAt: new Date(fix.timestamp).toISOString()
+                }
+            };
         }
-        
-        const interestSelected = document.querySelector('#section-4 .options-list .option-item.selected');
-        if (!interestSelected) {
-            TeamApp.showNotification('Please indicate if you are interested in trying solutions.', 'warning');
-            return false;
+        if (!template || !template.settings || !template.settings.requireLocation) {
+            return {};
         }
-        
-        // If interested in trying, validate contact info
-        if (interestSelected.dataset.value === 'yes') {
-            const email = document.getElementById('email').value.trim();
-            if (!email) {
-                TeamApp.showNotification('Please provide an email address if you are interested.', 'warning');
-                return false;
-            }
-            
-            // Basic email validation
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                TeamApp.showNotification('Please provide a valid email address.', 'warning');
-                return false;
-            }
+
+        const override = document.getElementById('location-override');
+        const reasonSelect = document.getElementById('location-override-reason');
+        const reason = reasonSelect.value;
+        const note = document.getElementById('location-override-note').value.trim();
+
+        if (override.hidden || !reason) {
+            override.hidden = false;
+            if (!reasonSelect.value && this.error) reasonSelect.value = this.error;
+            TeamApp.showNotification('This survey requires your location. Retry, or confirm why it is unavailable and submit again.', 'warning');
+            return null;
         }
-        
-        return true;
+        if (reason === 'other' && !note) {
+            TeamApp.showNotification('Explain why the location is unavailable', 'warning');
+            return null;
+        }
+        return { locationOverride: { reason, ...(note && { note }) } };
     }
 };
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
-    // Initialize authentication
-    AuthManager.init();
-    
+    // Open the offline store, moving data saved by older versions out of localStorage
+    DataManager.ready()
+        .then(() => DataManager.updateFileSection())
+        .catch(error => console.error('Offline storage unavailable:', error));
+
     // Initialize survey components
-    SurveyManager.initProblemRatings();
     setupEventListeners();
+
+    // Public survey links skip sign-in and the team features entirely
+    if (PublicSurveyManager.token) {
+        PublicSurveyManager.init();
+        return;
+    }
+
+    // Initialize authentication
+    AuthManager.init();
     
     // Initialize TeamApp if user is authenticated
     if (authToken) {
@@ -1530,14 +3812,42 @@ document.addEventListener('DOMContentLoaded', function() {
             .catch(function(error) {
                 console.log('ServiceWorker registration failed: ', error);
             });
+
+        navigator.serviceWorker.addEventListener('message', event => handleServiceWorkerMessage(event.data));
     }
 });
 
+// Results of syncs the service worker ran in the background
+async function handleServiceWorkerMessage(message) {
+    if (!message) return;
+
+    if (message.type === 'SYNC_COMPLETED') {
+        DataManager.setLastSyncTimestamp();
+        await DataManager.refreshPendingSyncCount();
+        TeamApp.showNotification(message.message, message.summary.conflict || message.summary.rejected ? 'warning' : 'success');
+        DataManager.updateFileSection();
+        loadDashboard();
+    } else if (message.type === 'SYNC_FAILED') {
+        await DataManager.refreshPendingSyncCount();
+        TeamApp.showNotification(`Background sync failed: ${message.message}`, 'warning');
+    } else if (message.type === 'SESSION_REFRESHED') {
+        await DataManager.adoptStoredSession();
+    }
+}
+
 // Setup event listeners
 function setupEventListeners() {
     // Authentication events
     document.getElementById('loginForm').addEventListener('submit', (e) => AuthManager.handleLogin(e));
     document.getElementById('registerForm').addEventListener('submit', (e) => AuthManager.handleRegister(e));
+    document.getElementById('forgotForm').addEventListener('submit', (e) => AuthManager.handleForgotPassword(e));
+    document.getElementById('resetForm').addEventListener('submit', (e) => AuthManager.handleResetPassword(e));
+    document.getElementById('twoFactorForm').addEventListener('submit', (e) => AuthManager.handleTwoFactorLogin(e));
+    document.getElementById('forgot-password-link').addEventListener('click', () => AuthManager.showAuthForm('forgot'));
+    document.querySelectorAll('[data-auth-form]').forEach(link => {
+        link.addEventListener('click', () => AuthManager.showAuthForm(link.dataset.authForm));
+    });
+    document.getElementById('resend-verification-btn').addEventListener('click', () => AuthManager.handleResendVerification());
     
     // Auth tabs
     document.querySelectorAll('.auth-tab').forEach(tab => {
@@ -1556,6 +3866,9 @@ function setupEventListeners() {
     
     // Logout
     document.getElementById('logout-btn').addEventListener('click', () => DataManager.logout());
+    document.getElementById('security-btn').addEventListener('click', () => AuthManager.openSecurityModal());
+    document.getElementById('close-two-factor-modal').addEventListener('click', () => AuthManager.closeSecurityModal());
+    document.getElementById('team-switcher').addEventListener('change', event => AuthManager.handleTeamSwitch(event));
     
     // Navigation
     document.querySelectorAll('.nav-btn').forEach(btn => {
@@ -1565,26 +3878,25 @@ function setupEventListeners() {
         });
     });
 
-    // Survey navigation
-    document.getElementById('next-1').addEventListener('click', () => navigateToSection(2));
-    document.getElementById('next-2').addEventListener('click', () => navigateToSection(3));
-    document.getElementById('next-3').addEventListener('click', () => navigateToSection(4));
-    document.getElementById('prev-2').addEventListener('click', () => navigateToSection(1));
-    document.getElementById('prev-3').addEventListener('click', () => navigateToSection(2));
-    document.getElementById('prev-4').addEventListener('click', () => navigateToSection(3));
-
     // Form submissions
     document.getElementById('submit').addEventListener('click', submitSurvey);
+    document.getElementById('next-section').addEventListener('click', () => SurveyManager.nextSection());
+    document.getElementById('prev-section').addEventListener('click', () => SurveyManager.prevSection());
+    document.getElementById('retry-location').addEventListener('click', () => LocationManager.retry());
     document.getElementById('view-results').addEventListener('click', () => switchAppSection('dashboard'));
 
     // Template selection
     document.getElementById('survey-template').addEventListener('change', function() {
         currentSurveyTemplate = this.value;
+        SurveyManager.loadTemplate(TemplateManager.getTemplate(this.value));
+        QuotaManager.showForSurvey(TemplateManager.getTemplate(this.value));
     });
 
     // File management
     document.getElementById('export-json').addEventListener('click', () => DataManager.exportJSON());
     document.getElementById('export-csv').addEventListener('click', () => DataManager.exportCSV());
+    document.getElementById('export-xlsx').addEventListener('click', () => exportDashboardData('xlsx'));
+    document.getElementById('export-spss').addEventListener('click', () => exportDashboardData('spss'));
     document.getElementById('sync-now-btn').addEventListener('click', () => DataManager.syncOfflineResponses());
     document.getElementById('clear-data').addEventListener('click', () => DataManager.clearData());
 
@@ -1594,44 +3906,6 @@ function setupEventListeners() {
     document.getElementById('cancel-template').addEventListener('click', () => TemplateManager.closeTemplateModal());
     document.getElementById('template-form').addEventListener('submit', (e) => TemplateManager.handleTemplateSubmit(e));
 
-    // Contact info toggle
-    document.querySelectorAll('#section-4 .option-item').forEach(item => {
-        item.addEventListener('click', function() {
-            const showContact = this.dataset.value === 'yes';
-            document.getElementById('contact-info').style.display = showContact ? 'block' : 'none';
-        });
-    });
-
-    // Rating scale selection
-    document.querySelectorAll('.rating-scale').forEach(scale => {
-        scale.addEventListener('click', function(e) {
-            if (e.target.classList.contains('rating-option')) {
-                // Deselect all options in this scale
-                const siblings = Array.from(e.target.parentNode.children);
-                siblings.forEach(sibling => sibling.classList.remove('selected'));
-                
-                // Select the clicked option
-                e.target.classList.add('selected');
-            }
-        });
-    });
-    
-    // Option selection
-    document.querySelectorAll('.options-list').forEach(list => {
-        list.addEventListener('click', function(e) {
-            if (e.target.classList.contains('option-item')) {
-                // For single selection lists
-                if (!e.target.parentNode.classList.contains('multi-select')) {
-                    const siblings = Array.from(e.target.parentNode.children);
-                    siblings.forEach(sibling => sibling.classList.remove('selected'));
-                }
-                
-                // Toggle selection
-                e.target.classList.toggle('selected');
-            }
-        });
-    });
-    
     // Dashboard tabs
     document.querySelectorAll('.tab').forEach(tab => {
         tab.addEventListener('click', function() {
@@ -1649,8 +3923,10 @@ function setupEventListeners() {
         });
     });
     
+    document.getElementById('template-filter').addEventListener('change', () => QuotaManager.showForDashboard());
+
     // Export button
-    document.getElementById('export-data').addEventListener('click', () => DataManager.exportCSV());
+    document.getElementById('export-data').addEventListener('click', () => exportDashboardData('csv'));
     
     // PWA Installation Prompt
     let deferredPrompt;
@@ -1684,9 +3960,11 @@ function setupEventListeners() {
         document.getElementById('offline-indicator').style.display = 'none';
         
         // Auto-sync when coming online
-        if (DataManager.getPendingSyncQueue().length > 0) {
+        if (DataManager.getPendingSyncCount() > 0) {
             DataManager.syncOfflineResponses();
         }
+        DataManager.flushOfflineQueue()
+            .catch(error => console.error('Failed to replay offline requests:', error));
         
         // Refresh data
         loadSurveyTemplates();
@@ -1705,13 +3983,62 @@ function loadSurveyTemplates() {
     }
 }
 
-function submitSurvey() {
+// Export team responses from the server, falling back to this device's data offline
+async function exportDashboardData(format) {
+    const templateFilter = document.getElementById('template-filter').value;
+    const params = templateFilter && templateFilter !== 'all' ? { surveyTemplate: templateFilter } : {};
+
+    if (!navigator.onLine || !currentUser) {
+        DataManager.exportCSV();
+        return;
+    }
+
+    try {
+        await DataManager.downloadExport(format, params);
+        TeamApp.showNotification('Team data exported successfully', 'success');
+    } catch (error) {
+        TeamApp.showNotification(`Server export failed, exporting local data instead: ${error.message}`, 'warning');
+        DataManager.exportCSV();
+    }
+}
+
+async function submitSurvey() {
+    if (PublicSurveyManager.token) {
+        PublicSurveyManager.submit();
+        return;
+    }
+
     if (!currentSurveyTemplate) {
         TeamApp.showNotification('Please select a survey template first', 'warning');
         return;
     }
     
-    const surveyData = SurveyManager.collectSurveyData();
+    if (!SurveyManager.validateAnswers()) {
+        return;
+    }
+
+    if (SurveyManager.editing) {
+        saveSurveyCorrection();
+        return;
+    }
+
+    const template = TemplateManager.getTemplate(currentSurveyTemplate);
+    if (template && !TemplateManager.isOpen(template)) {
+        const schedule = TemplateManager.describeSchedule(template);
+        TeamApp.showNotification(`This survey is not accepting responses (${schedule.toLowerCase()})`, 'warning');
+        return;
+    }
+
+    // Waiting for a GPS fix can take a while; one click must not submit twice
+    const submitButton = document.getElementById('submit');
+    submitButton.disabled = true;
+    const locationFields = await LocationManager.forSubmission(template)
+        .finally(() => { submitButton.disabled = false; });
+    if (!locationFields) {
+        return;
+    }
+    
+    const surveyData = { ...SurveyManager.collectSurveyData(), ...locationFields };
     
     // Add metadata
     surveyData.collectedBy = currentUser?.name || 'Unknown Collector';
@@ -1724,14 +4051,13 @@ function submitSurvey() {
             TeamApp.showNotification(`Survey submitted successfully ${syncStatus}!`, 'success');
             
             // Show thank you message
-            document.querySelectorAll('.survey-section').forEach(section => {
-                section.style.display = 'none';
-            });
+            document.getElementById('survey-form').style.display = 'none';
             document.getElementById('thank-you').style.display = 'block';
             document.getElementById('progress-bar').style.width = '100%';
             
             // Update file section
             DataManager.updateFileSection();
+            QuotaManager.showForSurvey(template);
             
             // Reset form for next survey
             setTimeout(() => {
@@ -1739,7 +4065,64 @@ function submitSurvey() {
             }, 3000);
         })
         .catch(error => {
-            TeamApp.showNotification(error.message || 'Failed to submit survey', 'error');
+            const detail = error.errors && error.errors.length > 0 ? `: ${error.errors[0].msg}` : '';
+            TeamApp.showNotification(`${error.message || 'Failed to submit survey'}${detail}`, 'error');
+        });
+}
+
+async function editSavedSurvey(clientId) {
+    const survey = await OfflineStore.getByIndex(OfflineStore.STORES.RESPONSES, 'clientId', clientId);
+    if (survey) {
+        SurveyManager.editSurvey(survey);
+    }
+}
+
+// Apply the per-question choices made in a conflict card
+async function resolveSyncConflict(survey, card) {
+    const choices = {};
+    survey.conflict.fields.forEach(field => {
+        const fieldDiv = card.querySelector(`.conflict-field[data-question-id="${field.questionId}"]`);
+        const source = fieldDiv.querySelector('input[type="radio"]:checked').value;
+        let value;
+        if (source === 'merged') {
+            value = fieldDiv.querySelector('.conflict-merged').value.trim();
+            // Keep numeric answers numeric
+            if ((typeof field.server === 'number' || typeof field.local === 'number') && value !== '' && !isNaN(value)) {
+                value = Number(value);
+            }
+        }
+        choices[field.questionId] = { source, value };
+    });
+
+    try {
+        const result = await DataManager.resolveConflict(survey.clientId, choices);
+        const syncStatus = result.data.response.syncStatus === 'synced' ? 'and synced' : '(pending sync)';
+        TeamApp.showNotification(`Conflict resolved ${syncStatus}`, 'success');
+    } catch (error) {
+        const detail = error.errors && error.errors.length > 0 ? `: ${error.errors[0].msg}` : '';
+        TeamApp.showNotification(`${error.message || 'Failed to resolve conflict'}${detail}`, error.status === 409 ? 'warning' : 'error');
+    }
+    DataManager.updateFileSection();
+}
+
+// Save corrected answers for the survey loaded by SurveyManager.editSurvey
+function saveSurveyCorrection() {
+    DataManager.updateSurvey(SurveyManager.editing, SurveyManager.getVisibleAnswers(), SurveyManager.getVisibleMedia())
+        .then(result => {
+            const syncStatus = result.data.response.syncStatus === 'synced' ? 'and synced' : '(pending sync)';
+            TeamApp.showNotification(`Survey updated ${syncStatus}`, 'success');
+            SurveyManager.resetSurveyForm();
+            DataManager.updateFileSection();
+        })
+        .catch(error => {
+            if (error.status === 409) {
+                TeamApp.showNotification('This response was changed on the server. Resolve the conflict in the Files section.', 'warning');
+                SurveyManager.resetSurveyForm();
+                DataManager.updateFileSection();
+                return;
+            }
+            const detail = error.errors && error.errors.length > 0 ? `: ${error.errors[0].msg}` : '';
+            TeamApp.showNotification(`${error.message || 'Failed to update survey'}${detail}`, 'error');
         });
 }
 
@@ -1767,35 +4150,10 @@ function switchAppSection(section) {
     }
 }
 
-function navigateToSection(sectionNumber) {
-    // Validate current section before proceeding
-    if (!SurveyManager.validateSection(currentSection)) {
-        return;
-    }
-    
-    // Hide current section
-    document.getElementById(`section-${currentSection}`).classList.remove('active');
-    
-    // Update section indicator
-    document.querySelectorAll('.section-dot').forEach(dot => {
-        dot.classList.remove('active');
-    });
-    document.querySelector(`.section-dot[data-section="${sectionNumber}"]`).classList.add('active');
-    
-    // Show new section
-    document.getElementById(`section-${sectionNumber}`).classList.add('active');
-    
-    // Update progress bar
-    const progress = (sectionNumber / totalSections) * 100;
-    document.getElementById('progress-bar').style.width = `${progress}%`;
-    
-    // Update current section
-    currentSection = sectionNumber;
-}
-
 // Dashboard functions
-function loadDashboard() {
-    const responses = DataManager.getAllSurveys();
+async function loadDashboard() {
+    const responses = await DataManager.getTeamSurveys();
+    QuotaManager.showForDashboard();
     
     // Update statistics
     document.getElementById('total-responses').textContent = responses.length;
@@ -7,11 +7,15 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { startScheduleJob } = require('./utils/templateSchedule');
 
 // Route imports
 const authRoutes = require('./routes/auth');
 const surveyTemplateRoutes = require('./routes/surveyTemplates');
 const surveyResponseRoutes = require('./routes/surveyResponses');
+const teamRoutes = require('./routes/teams');
+const publicRoutes = require('./routes/public');
+const mediaRoutes = require('./routes/media');
 
 // Connect to database
 connectDB();
@@ -65,6 +69,9 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/survey-templates', surveyTemplateRoutes);
 app.use('/api/survey-responses', surveyResponseRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/media', mediaRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -83,6 +90,8 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+startScheduleJob();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log('Unhandled Rejection at:', promise, 'reason:', err);
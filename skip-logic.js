@@ -0,0 +1,158 @@
+// skip-logic.js - conditional display rules for survey questions, shared by the
+// survey renderer in the browser and response validation on the server so both
+// agree on which questions a respondent was shown.
+//
+// A question with showIf is displayed only when its conditions hold:
+//   showIf: { match: 'all' | 'any', conditions: [{ questionId, operator, value }] }
+// Conditions may only refer to earlier questions. Answers to hidden questions
+// count as unanswered, so hiding a question also hides the questions that
+// depend on it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SkipLogic = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const OPERATORS = ['equals', 'not-equals', 'in', 'greater-than', 'answered'];
+
+    // Matrix answers are objects of row -> scale value; an empty one is unanswered
+    const isEmptyAnswer = (value) => value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0) ||
+        (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+    const readAnswer = (answers, questionId) => {
+        if (!answers) return undefined;
+        return answers instanceof Map ? answers.get(questionId) : answers[questionId];
+    };
+
+    // Answers and rule values compare as text, so 3 and "3" match; array
+    // answers match when any of their items does
+    const answerItems = (answer) => [].concat(answer).map(String);
+
+    const evaluateCondition = (condition, answer) => {
+        const answered = !isEmptyAnswer(answer);
+
+        switch (condition.operator) {
+        case 'answered':
+            return answered;
+        case 'equals':
+            return answered && answerItems(answer).includes(String(condition.value));
+        case 'not-equals':
+            return !answered || !answerItems(answer).includes(String(condition.value));
+        case 'in': {
+            const allowed = [].concat(condition.value).map(String);
+            return answered && answerItems(answer).some(item => allowed.includes(item));
+        }
+        case 'greater-than':
+            return answered && !Array.isArray(answer) && Number(answer) > Number(condition.value);
+        default:
+            return false;
+        }
+    };
+
+    const byOrder = (questions) => [...questions].sort((a, b) => a.order - b.order);
+
+    const hasRules = (question) => Boolean(question.showIf && question.showIf.conditions &&
+        question.showIf.conditions.length > 0);
+
+    // Ids of the questions shown for these answers, in question order
+    const visibleQuestionIds = (questions, answers) => {
+        const visible = new Set();
+
+        byOrder(questions || []).forEach(question => {
+            const questionId = String(question._id);
+            if (!hasRules(question)) {
+                visible.add(questionId);
+                return;
+            }
+
+            const results = question.showIf.conditions.map(condition => evaluateCondition(
+                condition,
+                visible.has(String(condition.questionId)) ? readAnswer(answers, String(condition.questionId)) : undefined
+            ));
+            const shown = question.showIf.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+            if (shown) visible.add(questionId);
+        });
+
+        return visible;
+    };
+
+    const isQuestionVisible = (questions, answers, questionId) => (
+        visibleQuestionIds(questions, answers).has(String(questionId))
+    );
+
+    // Questions whose rules depend on each other in a loop, as lists of ids
+    const findCycles = (questions) => {
+        const dependencies = new Map(questions.map(question => [
+            String(question._id),
+            hasRules(question) ? question.showIf.conditions.map(condition => String(condition.questionId)) : []
+        ]));
+        const cycles = [];
+        const state = new Map();
+
+        const visit = (questionId, path) => {
+            if (state.get(questionId) === 'done') return;
+            if (state.get(questionId) === 'visiting') {
+                cycles.push(path.slice(path.indexOf(questionId)));
+                return;
+            }
+            state.set(questionId, 'visiting');
+            (dependencies.get(questionId) || [])
+                .filter(dependency => dependencies.has(dependency))
+                .forEach(dependency => visit(dependency, [...path, dependency]));
+            state.set(questionId, 'done');
+        };
+
+        dependencies.forEach((_, questionId) => visit(questionId, [questionId]));
+        return cycles;
+    };
+
+    // Problems with the rules of a template's questions: unknown operators or
+    // questions, rules that depend on later questions, and dependency cycles.
+    // Returns [{ questionId, message }]; empty when every rule is valid.
+    const validateRules = (questions) => {
+        const list = questions || [];
+        const byId = new Map(list.map(question => [String(question._id), question]));
+        const errors = [];
+
+        findCycles(list).forEach(cycle => {
+            const names = cycle.map(questionId => `"${byId.get(questionId).questionText}"`).join(' -> ');
+            errors.push({ questionId: cycle[0], message: `Display rules form a cycle: ${names}` });
+        });
+
+        list.filter(hasRules).forEach(question => {
+            const questionId = String(question._id);
+
+            question.showIf.conditions.forEach(condition => {
+                const target = byId.get(String(condition.questionId));
+
+                if (!OPERATORS.includes(condition.operator)) {
+                    errors.push({ questionId, message: `Unknown display rule operator "${condition.operator}"` });
+                } else if (!target) {
+                    errors.push({ questionId, message: 'Display rule refers to a question that is not in this template' });
+                } else if (target !== question && target.order >= question.order) {
+                    errors.push({
+                        questionId,
+                        message: `Display rule refers to "${target.questionText}", which comes later in the survey`
+                    });
+                } else if (condition.operator === 'in' && !Array.isArray(condition.value)) {
+                    errors.push({ questionId, message: 'The "in" operator needs a list of values' });
+                } else if (condition.operator === 'greater-than' &&
+                    (isEmptyAnswer(condition.value) || isNaN(condition.value))) {
+                    errors.push({ questionId, message: 'The "greater-than" operator needs a number' });
+                }
+            });
+        });
+
+        return errors;
+    };
+
+    return {
+        OPERATORS,
+        evaluateCondition,
+        visibleQuestionIds,
+        isQuestionVisible,
+        validateRules
+    };
+}));
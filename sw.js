@@ -1,10 +1,14 @@
 // sw.js - Service Worker for O-RANJ App
-const CACHE_NAME = 'O-RANJ-app-v1.4';
+importScripts('offline-store.js');
+
+const CACHE_NAME = 'O-RANJ-app-v1.22';
 const urlsToCache = [
   '/',
   '/index.html',
   '/style.css',
   '/script.js',
+  '/offline-store.js',
+  '/skip-logic.js',
   '/manifest.json',
   '/images/photo1.png',
   '/images/photo2.png',
@@ -48,6 +52,12 @@ self.addEventListener('fetch', function(event) {
     return;
   }
 
+  // API responses are per-user and change; the app keeps what it needs offline
+  // (templates, responses) in IndexedDB, so they never go into the static cache
+  if (new URL(event.request.url).pathname.startsWith('/api/')) {
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then(function(response) {
@@ -73,22 +83,124 @@ self.addEventListener('fetch', function(event) {
 });
 
 // Background sync for offline data
+const SYNC_TAG = 'background-sync';
+const PERIODIC_SYNC_TAG = 'periodic-background-sync';
+const SYNC_MAX_ATTEMPTS = 4;
+const SYNC_RETRY_DELAY = 2000;
+
 self.addEventListener('sync', function(event) {
-  if (event.tag === 'background-sync') {
+  if (event.tag === SYNC_TAG) {
     console.log('Background sync triggered');
     event.waitUntil(doBackgroundSync());
   }
 });
 
+// Fallback for browsers that only support periodic sync
+self.addEventListener('periodicsync', function(event) {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    console.log('Periodic sync triggered');
+    event.waitUntil(doBackgroundSync());
+  }
+});
+
+// Responses saved offline by the app, shared through IndexedDB
+function getPendingSyncQueue() {
+  return OfflineStore.getAll(OfflineStore.STORES.SYNC_QUEUE);
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Timeouts and rate limiting are worth retrying; other client errors are not
+const isRetryableStatus = status => status >= 500 || status === 408 || status === 429;
+
 async function doBackgroundSync() {
-  // This would sync data when connection is restored
-  const clients = await self.clients.matchAll();
-  clients.forEach(client => {
-    client.postMessage({
-      type: 'SYNC_COMPLETED',
-      message: 'Data synchronized successfully'
+  const pending = await getPendingSyncQueue();
+  if (pending.length === 0) return;
+
+  const apiBaseUrl = await OfflineStore.getMeta('apiBaseUrl');
+  let authToken = await OfflineStore.getMeta('authToken');
+  if (!apiBaseUrl || !authToken) {
+    await notifyClients({
+      type: 'SYNC_FAILED',
+      message: 'Sign in to sync responses saved offline',
+      pending: pending.length
     });
-  });
+    return;
+  }
+
+  // Media first: the server only accepts answers whose media it already holds
+  await OfflineStore.uploadPendingMedia();
+  authToken = await OfflineStore.getMeta('authToken');
+
+  let refreshed = false;
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(`${apiBaseUrl}/survey-responses/sync`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${authToken}`
+        },
+        body: JSON.stringify({ responses: pending })
+      });
+    } catch (error) {
+      response = null;
+    }
+
+    if (response && response.ok) {
+      const result = await response.json();
+      await OfflineStore.applySyncResults(result.data.results);
+      await notifyClients({
+        type: 'SYNC_COMPLETED',
+        message: OfflineStore.describeSyncSummary(result.data.summary),
+        summary: result.data.summary,
+        pending: await OfflineStore.count(OfflineStore.STORES.SYNC_QUEUE),
+        syncedAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    // Access tokens are short-lived; devices offline for days need a fresh one
+    if (response && response.status === 401 && !refreshed) {
+      refreshed = true;
+      const session = await OfflineStore.refreshSession().catch(() => null);
+      if (session) {
+        authToken = session.token;
+        await notifyClients({ type: 'SESSION_REFRESHED' });
+        continue;
+      }
+    }
+
+    if (response && !isRetryableStatus(response.status)) {
+      await notifyClients({
+        type: 'SYNC_FAILED',
+        message: response.status === 401
+          ? 'Your session has expired - sign in to sync'
+          : `Sync rejected by the server (${response.status})`,
+        pending: pending.length
+      });
+      return;
+    }
+
+    if (attempt >= SYNC_MAX_ATTEMPTS) {
+      await notifyClients({
+        type: 'SYNC_FAILED',
+        message: 'Server unreachable - will retry later',
+        pending: pending.length
+      });
+      // Rejecting lets the browser reschedule the sync with its own backoff
+      throw new Error('Background sync failed');
+    }
+
+    // Exponential backoff with jitter: ~2s, 4s, 8s
+    await wait(SYNC_RETRY_DELAY * 2 ** (attempt - 1) + Math.random() * 1000);
+  }
 }
 
 // Push notifications
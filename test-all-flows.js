@@ -1,10 +1,13 @@
 const axios = require('axios');
+const crypto = require('crypto');
 
 const API_BASE = 'http://localhost:5000/api';
 let authToken = '';
+let refreshToken = '';
 let userId = '';
 let teamId = '';
 let surveyTemplateId = '';
+let surveyQuestions = [];
 let surveyResponseId = '';
 
 // Test configuration
@@ -74,6 +77,7 @@ async function testLogin() {
 
   if (response.data.success) {
     authToken = response.data.data.token;
+    refreshToken = response.data.data.refreshToken;
     console.log('   User logged in:', response.data.data.user.email);
   } else {
     throw new Error('Login failed');
@@ -101,6 +105,7 @@ async function testCreateSurveyTemplate() {
 
   if (response.data.success) {
     surveyTemplateId = response.data.data.template._id;
+    surveyQuestions = response.data.data.template.questions;
     console.log('   Template created:', response.data.data.template.name);
   } else {
     throw new Error('Create template failed');
@@ -125,26 +130,8 @@ async function testSubmitSurveyResponse() {
   const surveyResponse = {
     surveyTemplate: surveyTemplateId,
     responses: {
-      openEndedProblem: "Time management is the biggest issue",
-      problemRatings: {
-        "Money/expenses": 4,
-        "Food/nutrition": 3,
-        "Academics/study support": 5
-      },
-      topProblems: [
-        { category: "Academics/study support", rating: 5 },
-        { category: "Money/expenses", rating: 4 },
-        { category: "Food/nutrition", rating: 3 }
-      ],
-      currentSolution: "Using calendar apps but still struggling",
-      satisfactionRating: "3",
-      frustrationDetails: "Not enough hours in the day",
-      customSolution: "AI-powered time management assistant",
-      solutionFeatures: "Smart scheduling, priority management, progress tracking",
-      likelihoodRating: "5",
-      willingnessToPay: "R50",
-      bossBattle: "The Time Monster that steals all productive hours",
-      interestedInTrying: "yes"
+      [surveyQuestions[0]._id]: "Time management is the biggest issue",
+      [surveyQuestions[1]._id]: 4
     },
     deviceInfo: {
       deviceId: "test-device-001",
@@ -172,6 +159,61 @@ async function testSubmitSurveyResponse() {
   }
 }
 
+// 6b. Reject answers that break the template's question rules
+async function testRejectInvalidResponse() {
+  try {
+    await axios.post(`${API_BASE}/survey-responses`, {
+      surveyTemplate: surveyTemplateId,
+      responses: {
+        [surveyQuestions[1]._id]: 9
+      }
+    }, {
+      headers: { Authorization: `Bearer ${authToken}` }
+    });
+  } catch (error) {
+    if (error.response?.status === 400) {
+      console.log('   Invalid response rejected:', error.response.data.errors.map(e => e.msg).join('; '));
+      return;
+    }
+    throw error;
+  }
+
+  throw new Error('Invalid response was accepted');
+}
+
+// 6c. Edit a response, then detect an edit based on a stale revision
+async function testEditResponseConflict() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const edit = await axios.put(`${API_BASE}/survey-responses/${surveyResponseId}`, {
+    responses: {
+      [surveyQuestions[0]._id]: "Time management and exam stress",
+      [surveyQuestions[1]._id]: 4
+    },
+    baseRevision: 1
+  }, { headers });
+  console.log('   Response edited, now at revision', edit.data.data.response.revision);
+
+  try {
+    await axios.put(`${API_BASE}/survey-responses/${surveyResponseId}`, {
+      responses: {
+        [surveyQuestions[0]._id]: "Time management is the biggest issue",
+        [surveyQuestions[1]._id]: 5
+      },
+      baseRevision: 1
+    }, { headers });
+  } catch (error) {
+    if (error.response?.status === 409) {
+      const { conflict } = error.response.data.data;
+      console.log('   Stale edit reported as conflict on', conflict.fields.length, 'questions');
+      return;
+    }
+    throw error;
+  }
+
+  throw new Error('Stale edit was accepted');
+}
+
 // 7. Get Survey Responses
 async function testGetSurveyResponses() {
   const response = await axios.get(`${API_BASE}/survey-responses`, {
@@ -202,18 +244,11 @@ async function testGetSurveyAnalytics() {
 async function testSyncResponses() {
   const offlineResponses = [
     {
+      clientId: crypto.randomUUID(),
       surveyTemplate: surveyTemplateId,
       responses: {
-        openEndedProblem: "Offline test response",
-        problemRatings: { "Transport": 4 },
-        topProblems: [{ category: "Transport", rating: 4 }],
-        currentSolution: "Walking",
-        satisfactionRating: "2",
-        customSolution: "Better transport system",
-        likelihoodRating: "4",
-        willingnessToPay: "R30",
-        bossBattle: "The Walking Dead",
-        interestedInTrying: "yes"
+        [surveyQuestions[0]._id]: "Offline test response",
+        [surveyQuestions[1]._id]: 3
       },
       deviceInfo: {
         deviceId: "offline-device-001",
@@ -227,6 +262,13 @@ async function testSyncResponses() {
         completionTime: 600,
         sectionsCompleted: ['1', '2', '3', '4']
       }
+    },
+    {
+      clientId: crypto.randomUUID(),
+      surveyTemplate: surveyTemplateId,
+      responses: {
+        [surveyQuestions[1]._id]: 9
+      }
     }
   ];
 
@@ -236,11 +278,27 @@ async function testSyncResponses() {
     headers: { Authorization: `Bearer ${authToken}` }
   });
 
-  if (response.data.success) {
-    console.log('   Sync completed:', response.data.data.syncResults);
-  } else {
+  if (!response.data.success) {
     throw new Error('Sync failed');
   }
+  console.log('   Sync completed:', response.data.data.summary);
+
+  const statuses = response.data.data.results.map(result => result.status);
+  if (statuses[0] !== 'created' || statuses[1] !== 'rejected') {
+    throw new Error(`Unexpected sync statuses: ${statuses.join(', ')}`);
+  }
+
+  // Replaying the same batch must not create the response twice
+  const replay = await axios.post(`${API_BASE}/survey-responses/sync`, {
+    responses: offlineResponses
+  }, {
+    headers: { Authorization: `Bearer ${authToken}` }
+  });
+
+  if (replay.data.data.results[0].status !== 'duplicate') {
+    throw new Error('Replayed response was not reported as a duplicate');
+  }
+  console.log('   Replay reported as duplicate');
 }
 
 // 10. Export Data
@@ -269,6 +327,30 @@ async function testDuplicateTemplate() {
   }
 }
 
+// 11b. Editing a template with responses creates a new version
+async function testTemplateVersioning() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const update = await axios.put(`${API_BASE}/survey-templates/${surveyTemplateId}`, {
+    ...testSurveyTemplate,
+    questions: [
+      ...surveyQuestions,
+      { type: 'text', questionText: 'Any other comments?', required: false, order: 3 }
+    ],
+    changeNote: 'Add comments question'
+  }, { headers });
+
+  if (!update.data.data.createdVersion) {
+    throw new Error('Template update did not create a new version');
+  }
+
+  const versions = await axios.get(`${API_BASE}/survey-templates/${surveyTemplateId}/versions`, { headers });
+  console.log('   Versions:', versions.data.data.versions.map(v => `${v.version} (${v.responseCount} responses)`).join(', '));
+
+  const diff = await axios.get(`${API_BASE}/survey-templates/${surveyTemplateId}/versions/diff?from=1`, { headers });
+  console.log('   Questions added since version 1:', diff.data.data.diff.questions.added.length);
+}
+
 // 12. Update User Profile
 async function testUpdateProfile() {
   const response = await axios.put(`${API_BASE}/auth/profile`, {
@@ -288,6 +370,762 @@ async function testUpdateProfile() {
   }
 }
 
+// 13. Invite a collector into the team, change their role and remove them
+async function testTeamInvites() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const collector = {
+    name: 'Invited Collector',
+    email: `collector${Date.now()}@example.com`,
+    password: 'password123'
+  };
+
+  const invite = await axios.post(`${API_BASE}/teams/invites`, {
+    email: collector.email,
+    role: 'member'
+  }, { headers });
+  console.log('   Invite created for:', invite.data.data.invite.email);
+
+  const registration = await axios.post(`${API_BASE}/auth/register`, {
+    ...collector,
+    inviteToken: invite.data.data.inviteToken
+  });
+  const collectorId = registration.data.data.user._id;
+
+  if (String(registration.data.data.user.team) !== String(teamId)) {
+    throw new Error('Invited user did not join the inviting team');
+  }
+  console.log('   Invited user joined team:', registration.data.data.team.name);
+
+  await axios.put(`${API_BASE}/teams/members/${collectorId}/role`, { role: 'viewer' }, { headers });
+
+  // Viewers can read responses but not export them
+  const viewerHeaders = { Authorization: `Bearer ${registration.data.data.token}` };
+  await axios.get(`${API_BASE}/survey-responses`, { headers: viewerHeaders });
+  try {
+    await axios.get(`${API_BASE}/survey-responses/export`, { headers: viewerHeaders });
+    throw new Error('Viewer was allowed to export responses');
+  } catch (error) {
+    if (error.response?.status !== 403) throw error;
+    console.log('   Viewer export blocked:', error.response.data.message);
+  }
+
+  const team = await axios.get(`${API_BASE}/teams/current`, { headers });
+  console.log('   Team members:', team.data.data.team.members.map(m => `${m.user.name} (${m.role})`).join(', '));
+
+  await axios.delete(`${API_BASE}/teams/members/${collectorId}`, { headers });
+  console.log('   Collector removed from team');
+}
+
+// 14. Join a second team and work in it with the X-Team-Id header
+async function testMultipleTeams() {
+  const partner = await axios.post(`${API_BASE}/auth/register`, {
+    name: 'Partner Researcher',
+    email: `partner${Date.now()}@example.com`,
+    password: 'password123',
+    teamName: 'Partner Team'
+  });
+  const partnerTeamId = partner.data.data.user.team;
+
+  const invite = await axios.post(`${API_BASE}/teams/invites`, {
+    email: testUser.email,
+    role: 'member'
+  }, { headers: { Authorization: `Bearer ${partner.data.data.token}` } });
+
+  const headers = { Authorization: `Bearer ${authToken}` };
+  await axios.post(`${API_BASE}/teams/invites/accept`, { token: invite.data.data.inviteToken }, { headers });
+
+  const me = await axios.get(`${API_BASE}/auth/me`, { headers });
+  const teamIds = me.data.data.memberships.map(membership => String(membership.team._id));
+  if (!teamIds.includes(String(teamId)) || !teamIds.includes(String(partnerTeamId))) {
+    throw new Error('User should belong to both teams');
+  }
+  console.log('   Memberships:', me.data.data.memberships.map(m => `${m.team.name} (${m.role})`).join(', '));
+
+  const partnerTemplates = await axios.get(`${API_BASE}/survey-templates`, {
+    headers: { ...headers, 'X-Team-Id': partnerTeamId }
+  });
+  if (partnerTemplates.data.data.templates.some(template => template._id === surveyTemplateId)) {
+    throw new Error('Templates leaked across teams');
+  }
+  console.log('   Partner team templates:', partnerTemplates.data.data.templates.length);
+
+  // Switch the default back so later runs start in the original team
+  await axios.put(`${API_BASE}/teams/active`, { teamId }, { headers });
+}
+
+// 15. Rotate refresh tokens, revoke them on logout and on password change
+async function testRefreshTokens() {
+  const refreshed = await axios.post(`${API_BASE}/auth/refresh`, { refreshToken });
+  if (refreshed.data.data.refreshToken === refreshToken) {
+    throw new Error('Refresh token was not rotated');
+  }
+  authToken = refreshed.data.data.token;
+  refreshToken = refreshed.data.data.refreshToken;
+  console.log('   Access token refreshed, expires in', refreshed.data.data.expiresIn);
+
+  // A second device session, signed out again
+  const device = await axios.post(`${API_BASE}/auth/login`, {
+    email: testUser.email,
+    password: testUser.password,
+    deviceInfo: { deviceId: 'test-device', platform: 'test' }
+  });
+  await axios.post(`${API_BASE}/auth/logout`, { refreshToken: device.data.data.refreshToken });
+  try {
+    await axios.post(`${API_BASE}/auth/refresh`, { refreshToken: device.data.data.refreshToken });
+    throw new Error('Logged out refresh token still works');
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    console.log('   Logged out device can no longer refresh');
+  }
+
+  // Changing the password ends every other session
+  const oldToken = authToken;
+  const newPassword = 'password456';
+  const changed = await axios.put(`${API_BASE}/auth/change-password`, {
+    currentPassword: testUser.password,
+    newPassword
+  }, { headers: { Authorization: `Bearer ${authToken}` } });
+  testUser.password = newPassword;
+
+  try {
+    await axios.get(`${API_BASE}/auth/me`, { headers: { Authorization: `Bearer ${oldToken}` } });
+    throw new Error('Access token still valid after password change');
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    console.log('   Old access token revoked:', error.response.data.message);
+  }
+
+  authToken = changed.data.data.token;
+  refreshToken = changed.data.data.refreshToken;
+}
+
+// 16. Email verification and password reset requests (tokens arrive by email;
+// run the backend with MAIL_TRANSPORT=file to read them from MAIL_OUTBOX_DIR)
+async function testEmailFlows() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const me = await axios.get(`${API_BASE}/auth/me`, { headers });
+  console.log('   Email verified:', me.data.data.user.emailVerified);
+
+  const resend = await axios.post(`${API_BASE}/auth/resend-verification`, {}, { headers });
+  console.log('  ', resend.data.message);
+
+  const forgot = await axios.post(`${API_BASE}/auth/forgot-password`, { email: testUser.email });
+  const unknown = await axios.post(`${API_BASE}/auth/forgot-password`, { email: `nobody${Date.now()}@example.com` });
+  if (forgot.data.message !== unknown.data.message) {
+    throw new Error('Forgot password reveals which emails have accounts');
+  }
+  console.log('  ', forgot.data.message);
+
+  try {
+    await axios.post(`${API_BASE}/auth/reset-password`, {
+      token: crypto.randomBytes(32).toString('hex'),
+      password: 'password789'
+    });
+    throw new Error('Reset accepted an unknown token');
+  } catch (error) {
+    if (error.response?.status !== 400) throw error;
+    console.log('   Unknown reset token rejected');
+  }
+}
+
+// 17. Repeated failed logins lock the account
+async function testLoginLockout() {
+  const credentials = { email: `lockout${Date.now()}@example.com`, password: 'wrong-password' };
+
+  for (let failures = 0; failures < 5;) {
+    try {
+      await axios.post(`${API_BASE}/auth/login`, credentials);
+      throw new Error('Login with a wrong password succeeded');
+    } catch (error) {
+      if (error.response?.status === 401) {
+        failures++;
+      } else if (error.response?.status === 429) {
+        // Progressive delay between attempts
+        await wait(Number(error.response.headers['retry-after']) * 1000);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  try {
+    await axios.post(`${API_BASE}/auth/login`, credentials);
+    throw new Error('Account was not locked');
+  } catch (error) {
+    if (error.response?.status !== 423) throw error;
+    console.log('  ', error.response.data.message);
+  }
+}
+
+// RFC 6238 code for a base32 secret, as an authenticator app would show it
+function totp(secret) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = secret.split('').map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// 18. Two-factor authentication: enrolment, login challenge and the team requirement
+async function testTwoFactor() {
+  const admin = {
+    name: 'Secure Admin',
+    email: `secure${Date.now()}@example.com`,
+    password: 'password123',
+    teamName: 'Secure Team'
+  };
+  const registered = await axios.post(`${API_BASE}/auth/register`, admin);
+  const headers = { Authorization: `Bearer ${registered.data.data.token}` };
+
+  const setup = await axios.post(`${API_BASE}/auth/2fa/setup`, {}, { headers });
+  console.log('   Enrolment URI:', setup.data.data.otpauthUri.split('?')[0]);
+
+  const enabled = await axios.post(`${API_BASE}/auth/2fa/enable`, { code: totp(setup.data.data.secret) }, { headers });
+  const recoveryCodes = enabled.data.data.recoveryCodes;
+  console.log('   Recovery codes issued:', recoveryCodes.length);
+
+  const login = await axios.post(`${API_BASE}/auth/login`, { email: admin.email, password: admin.password });
+  if (!login.data.data.twoFactorRequired || login.data.data.token) {
+    throw new Error('Login skipped the second factor');
+  }
+
+  try {
+    await axios.post(`${API_BASE}/auth/2fa/verify`, { challengeToken: login.data.data.challengeToken, code: '000000' });
+    throw new Error('Wrong code accepted');
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+  }
+
+  // The code used for enrolment cannot be replayed, so sign in with a recovery code
+  const verified = await axios.post(`${API_BASE}/auth/2fa/verify`, {
+    challengeToken: login.data.data.challengeToken,
+    recoveryCode: recoveryCodes[0]
+  });
+  console.log('   Signed in with a recovery code,', verified.data.data.recoveryCodesRemaining, 'left');
+
+  const adminHeaders = { Authorization: `Bearer ${verified.data.data.token}` };
+  await axios.put(`${API_BASE}/teams/settings`, { requireTwoFactorForAdmins: true }, { headers: adminHeaders });
+
+  try {
+    await axios.post(`${API_BASE}/auth/2fa/disable`, {
+      password: admin.password,
+      recoveryCode: recoveryCodes[1]
+    }, { headers: adminHeaders });
+    throw new Error('2FA disabled although the team requires it');
+  } catch (error) {
+    if (error.response?.status !== 403) throw error;
+    console.log('  ', error.response.data.message);
+  }
+}
+
+// 19. Anonymous responses through a public link, one per browser
+async function testPublicLinks() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Public Feedback Survey',
+    settings: { allowAnonymous: true, multipleResponses: false }
+  }, { headers });
+  const template = created.data.data.template;
+
+  const link = await axios.post(`${API_BASE}/survey-templates/${template._id}/public-link`, {}, { headers });
+  const token = link.data.data.publicLink.token;
+  console.log('   Public link token created');
+
+  // No Authorization header: the respondent is anonymous
+  const survey = await axios.get(`${API_BASE}/public/surveys/${token}`);
+  const cookie = survey.headers['set-cookie'][0].split(';')[0];
+  const answers = {
+    [survey.data.data.survey.questions[0]._id]: 'Public transport',
+    [survey.data.data.survey.questions[1]._id]: 3
+  };
+
+  const submitted = await axios.post(`${API_BASE}/public/surveys/${token}/responses`, {
+    responses: answers
+  }, { headers: { Cookie: cookie } });
+  console.log('  ', submitted.data.message);
+
+  try {
+    await axios.post(`${API_BASE}/public/surveys/${token}/responses`, {
+      responses: answers
+    }, { headers: { Cookie: cookie } });
+    throw new Error('Second response from the same browser accepted');
+  } catch (error) {
+    if (error.response?.status !== 409) throw error;
+    console.log('  ', error.response.data.message);
+  }
+
+  await axios.delete(`${API_BASE}/survey-templates/${template._id}/public-link`, { headers });
+  try {
+    await axios.get(`${API_BASE}/public/surveys/${token}`);
+    throw new Error('Disabled public link still works');
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+    console.log('   Disabled link no longer resolves');
+  }
+}
+
+async function testSurveySchedule() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const hour = 60 * 60 * 1000;
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Closed Window Survey',
+    status: 'active',
+    settings: {
+      opensAt: new Date(Date.now() - 24 * hour).toISOString(),
+      closesAt: new Date(Date.now() - hour).toISOString(),
+      timezone: 'Africa/Nairobi'
+    }
+  }, { headers });
+  const template = created.data.data.template;
+  const answers = {
+    [template.questions[0]._id]: 'Collected before the close',
+    [template.questions[1]._id]: 2
+  };
+
+  try {
+    await axios.post(`${API_BASE}/survey-responses`, {
+      surveyTemplate: template._id,
+      responses: answers
+    }, { headers });
+    throw new Error('Response accepted after the survey closed');
+  } catch (error) {
+    if (error.response?.status !== 403) throw error;
+    console.log('  ', error.response.data.message);
+  }
+
+  // Collected offline while the survey was still open
+  const sync = await axios.post(`${API_BASE}/survey-responses/sync`, {
+    responses: [{
+      clientId: crypto.randomUUID(),
+      surveyTemplate: template._id,
+      responses: answers,
+      analytics: {
+        startTime: new Date(Date.now() - 3 * hour),
+        endTime: new Date(Date.now() - 2 * hour),
+        completionTime: 120
+      }
+    }]
+  }, { headers });
+
+  if (sync.data.data.results[0].status !== 'created') {
+    throw new Error(`Offline response collected in the window was ${sync.data.data.results[0].status}`);
+  }
+  console.log('   Offline response collected before the close was accepted');
+}
+
+async function testQuotas() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Quota Survey',
+    quotas: { total: 3, perCollector: 10 }
+  }, { headers });
+  const template = created.data.data.template;
+  const [textQuestion, ratingQuestion] = template.questions;
+
+  // Answer quotas name questions, so they are added once the questions have ids
+  await axios.put(`${API_BASE}/survey-templates/${template._id}`, {
+    ...testSurveyTemplate,
+    name: 'Quota Survey',
+    questions: template.questions,
+    quotas: {
+      total: 3,
+      perCollector: 10,
+      answers: [{ questionId: ratingQuestion._id, value: 3, limit: 1, label: 'Severity 3' }]
+    }
+  }, { headers });
+
+  const submit = rating => axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: { [textQuestion._id]: 'Quota test', [ratingQuestion._id]: rating }
+  }, { headers });
+
+  await submit(3);
+  try {
+    await submit(3);
+    throw new Error('Response accepted into a full answer quota');
+  } catch (error) {
+    if (error.response?.status !== 403) throw error;
+    console.log('  ', error.response.data.message);
+  }
+  await submit(4);
+
+  const progress = await axios.get(`${API_BASE}/survey-templates/${template._id}/quotas`, { headers });
+  const { quotas } = progress.data.data;
+  if (quotas.total.count !== 2 || !quotas.answers[0].reached || quotas.perCollector.count !== 2) {
+    throw new Error(`Unexpected quota progress: ${JSON.stringify(quotas)}`);
+  }
+  console.log(`   Progress: ${quotas.total.count}/${quotas.total.limit} total`);
+
+  // The third response fills the total, so the second item in the batch is rejected
+  const sync = await axios.post(`${API_BASE}/survey-responses/sync`, {
+    responses: [5, 1].map(rating => ({
+      clientId: crypto.randomUUID(),
+      surveyTemplate: template._id,
+      responses: { [textQuestion._id]: 'Synced quota test', [ratingQuestion._id]: rating }
+    }))
+  }, { headers });
+
+  const statuses = sync.data.data.results.map(result => result.status);
+  if (statuses[0] !== 'created' || statuses[1] !== 'rejected') {
+    throw new Error(`Unexpected sync statuses: ${statuses.join(', ')}`);
+  }
+  console.log('  ', sync.data.data.results[1].reason);
+}
+
+async function testSkipLogic() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  // Question ids are chosen up front so display rules can name them
+  const interestId = crypto.randomBytes(12).toString('hex');
+  const emailId = crypto.randomBytes(12).toString('hex');
+  const questions = [
+    {
+      _id: interestId,
+      type: 'multiple-choice',
+      questionText: 'Would you try our solution?',
+      options: [{ text: 'yes' }, { text: 'no' }],
+      required: true,
+      order: 1
+    },
+    {
+      _id: emailId,
+      type: 'text',
+      questionText: 'Contact email',
+      required: true,
+      order: 2,
+      showIf: { conditions: [{ questionId: interestId, operator: 'equals', value: 'yes' }] }
+    }
+  ];
+
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Skip Logic Survey',
+    questions
+  }, { headers });
+  const template = created.data.data.template;
+  const submit = responses => axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses
+  }, { headers });
+
+  await submit({ [interestId]: 'no' });
+  console.log('   Skipped required question not demanded');
+
+  for (const responses of [{ [interestId]: 'no', [emailId]: 'a@example.com' }, { [interestId]: 'yes' }]) {
+    try {
+      await submit(responses);
+      throw new Error(`Answers accepted despite display rules: ${JSON.stringify(responses)}`);
+    } catch (error) {
+      if (error.response?.status !== 400) throw error;
+      console.log('  ', error.response.data.errors[0].msg);
+    }
+  }
+
+  // A rule that looks ahead to a later question is refused when saving
+  try {
+    await axios.post(`${API_BASE}/survey-templates`, {
+      ...testSurveyTemplate,
+      name: 'Forward Reference Survey',
+      questions: [
+        { ...questions[0], _id: undefined, showIf: { conditions: [{ questionId: emailId, operator: 'answered' }] } },
+        { ...questions[1], showIf: undefined }
+      ]
+    }, { headers });
+    throw new Error('Template with a forward display rule saved');
+  } catch (error) {
+    if (error.response?.status !== 400) throw error;
+    console.log('  ', error.response.data.message);
+  }
+}
+
+async function testSections() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const sections = [
+    { _id: crypto.randomBytes(12).toString('hex'), title: 'About the problem', order: 1 },
+    { _id: crypto.randomBytes(12).toString('hex'), title: 'Severity', description: 'How much it hurts', order: 2 }
+  ];
+  const questions = testSurveyTemplate.questions.map((question, index) => ({
+    ...question,
+    section: sections[index]._id
+  }));
+
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Sectioned Survey',
+    sections,
+    questions
+  }, { headers });
+  const template = created.data.data.template;
+  console.log(`   Created with sections: ${template.sections.map(section => section.title).join(', ')}`);
+
+  const submitted = await axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: {
+      [template.questions[0]._id]: 'Sectioned answer',
+      [template.questions[1]._id]: 2
+    },
+    analytics: { sectionsCompleted: sections.map(section => section._id) }
+  }, { headers });
+  if (submitted.data.data.response.analytics.sectionsCompleted.length !== 2) {
+    throw new Error('Completed sections were not stored');
+  }
+
+  // Questions of a sectioned template must each be on a section, in section order
+  try {
+    await axios.post(`${API_BASE}/survey-templates`, {
+      ...testSurveyTemplate,
+      name: 'Interleaved Sections',
+      sections,
+      questions: questions.map((question, index) => ({ ...question, section: sections[1 - index]._id }))
+    }, { headers });
+    throw new Error('Template with sections out of order saved');
+  } catch (error) {
+    if (error.response?.status !== 400) throw error;
+    console.log('  ', error.response.data.message);
+  }
+}
+
+async function testQuestionTypes() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Question Types Survey',
+    questions: [
+      { type: 'date', questionText: 'Visit date', required: true, order: 1 },
+      { type: 'number', questionText: 'Household size', validation: { min: 1, max: 30 }, order: 2 },
+      { type: 'email', questionText: 'Email', order: 3 },
+      { type: 'phone', questionText: 'Phone', order: 4 },
+      { type: 'multi-select', questionText: 'Transport used', options: [{ text: 'Bus' }, { text: 'Bike' }, { text: 'Walk' }], order: 5 },
+      {
+        type: 'matrix',
+        questionText: 'Rate each problem',
+        rows: [{ text: 'Fees' }, { text: 'Housing' }],
+        options: [1, 2, 3, 4, 5].map(value => ({ text: String(value), value })),
+        required: true,
+        order: 6
+      },
+      { type: 'slider', questionText: 'Hours of study', validation: { min: 0, max: 12, step: 0.5 }, order: 7 },
+      { type: 'nps', questionText: 'How likely are you to recommend us?', required: true, order: 8 }
+    ]
+  }, { headers });
+  const template = created.data.data.template;
+  const ids = template.questions.map(question => question._id);
+
+  const answers = {
+    [ids[0]]: '2025-03-14',
+    [ids[1]]: 4,
+    [ids[2]]: 'student@example.com',
+    [ids[3]]: '+254 712 345 678',
+    [ids[4]]: ['Bus', 'Walk'],
+    [ids[5]]: { Fees: 5, Housing: 3 },
+    [ids[6]]: 6.5,
+    [ids[7]]: 9
+  };
+  await axios.post(`${API_BASE}/survey-responses`, { surveyTemplate: template._id, responses: answers }, { headers });
+  console.log('   Response with every new question type accepted');
+
+  try {
+    await axios.post(`${API_BASE}/survey-responses`, {
+      surveyTemplate: template._id,
+      responses: { ...answers, [ids[5]]: { Fees: 5 }, [ids[7]]: 11 }
+    }, { headers });
+    throw new Error('Incomplete matrix and out of range NPS accepted');
+  } catch (error) {
+    if (error.response?.status !== 400) throw error;
+    console.log('  ', error.response.data.errors.map(item => item.msg).join('; '));
+  }
+
+  const analytics = await axios.get(`${API_BASE}/survey-responses/analytics?surveyTemplate=${template._id}`, { headers });
+  const nps = analytics.data.data.questions.find(question => question.type === 'nps');
+  if (nps.promoters !== 1 || nps.score !== 100) {
+    throw new Error(`Unexpected NPS summary: ${JSON.stringify(nps)}`);
+  }
+  console.log(`   NPS score ${nps.score}`);
+}
+
+async function testMediaUploads() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Site Visit Survey',
+    questions: [
+      { type: 'text', questionText: 'Site name', required: true, order: 1 },
+      { type: 'photo', questionText: 'Photo of the site', required: true, order: 2 }
+    ]
+  }, { headers });
+  const template = created.data.data.template;
+  const [siteId, photoId] = template.questions.map(question => question._id);
+
+  // A little over one chunk, so the upload takes two
+  const photo = crypto.randomBytes(1024 * 1024 + 512);
+  const clientId = crypto.randomUUID();
+  const started = await axios.post(`${API_BASE}/media`, {
+    clientId,
+    kind: 'photo',
+    mimeType: 'image/jpeg',
+    size: photo.length,
+    questionId: photoId
+  }, { headers });
+  const media = started.data.data.media;
+  console.log(`   Upload started in ${media.totalChunks} chunks`);
+
+  const answers = { [siteId]: 'North borehole', [photoId]: clientId };
+  try {
+    await axios.post(`${API_BASE}/survey-responses`, { surveyTemplate: template._id, responses: answers }, { headers });
+    throw new Error('Response accepted before its photo was uploaded');
+  } catch (error) {
+    if (error.response?.status !== 400) throw error;
+    console.log(`   ${error.response.data.errors[0].msg}`);
+  }
+
+  for (let index = 0; index < media.totalChunks; index++) {
+    const chunk = photo.subarray(index * media.chunkSize, (index + 1) * media.chunkSize);
+    const form = new FormData();
+    form.append('chunk', new Blob([chunk]), `${index}`);
+    await axios.put(`${API_BASE}/media/${media._id}/chunks/${index}`, form, { headers });
+  }
+
+  // Starting again with the same client ID resumes instead of duplicating
+  const resumed = await axios.post(`${API_BASE}/media`, {
+    clientId,
+    kind: 'photo',
+    mimeType: 'image/jpeg',
+    size: photo.length
+  }, { headers });
+  if (resumed.data.data.media.receivedChunks.length !== media.totalChunks) {
+    throw new Error('Resumed upload lost its chunks');
+  }
+
+  const completed = await axios.post(`${API_BASE}/media/${media._id}/complete`, {}, { headers });
+  const content = await axios.get(completed.data.data.url, { responseType: 'arraybuffer' });
+  if (!Buffer.from(content.data).equals(photo)) {
+    throw new Error('Downloaded photo differs from the upload');
+  }
+  console.log('   Photo assembled and downloaded through its signed link');
+
+  const submitted = await axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: answers
+  }, { headers });
+  if (String(submitted.data.data.response.media[0]) !== media._id) {
+    throw new Error('Response is not linked to its photo');
+  }
+
+  const csv = await axios.get(`${API_BASE}/survey-responses/export?format=csv&surveyTemplate=${template._id}`, { headers });
+  if (!csv.data.includes(`/api/media/${media._id}/content?token=`)) {
+    throw new Error('CSV export has no link to the photo');
+  }
+  console.log('   Response linked to the photo and exported with its link');
+}
+
+async function testRequiredLocation() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Household Visit Survey',
+    settings: { requireLocation: true }
+  }, { headers });
+  const template = created.data.data.template;
+  const answers = {
+    [template.questions[0]._id]: 'Water supply',
+    [template.questions[1]._id]: 4
+  };
+
+  const rejectedSubmissions = [
+    {},
+    { locationOverride: { reason: 'other' } }
+  ];
+  for (const extra of rejectedSubmissions) {
+    try {
+      await axios.post(`${API_BASE}/survey-responses`, {
+        surveyTemplate: template._id,
+        responses: answers,
+        ...extra
+      }, { headers });
+      throw new Error('Response accepted without a location');
+    } catch (error) {
+      if (error.response?.status !== 400) throw error;
+      console.log(`   ${error.response.data.message}`);
+    }
+  }
+
+  const located = await axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: answers,
+    location: {
+      latitude: -1.2921,
+      longitude: 36.8219,
+      accuracy: 12,
+      capturedAt: new Date(Date.now() - 60000).toISOString()
+    }
+  }, { headers });
+  if (!located.data.data.response.location.capturedAt) {
+    throw new Error('Location fix time was not stored');
+  }
+  console.log('   Response with a location fix accepted');
+
+  const overridden = await axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: answers,
+    locationOverride: { reason: 'no-signal' }
+  }, { headers });
+  if (overridden.data.data.response.locationOverride.reason !== 'no-signal') {
+    throw new Error('Location override reason was not stored');
+  }
+  console.log('   Response without a fix accepted with an override reason');
+
+  const sync = await axios.post(`${API_BASE}/survey-responses/sync`, {
+    responses: [{
+      clientId: crypto.randomUUID(),
+      surveyTemplate: template._id,
+      responses: answers
+    }]
+  }, { headers });
+  if (sync.data.data.results[0].status !== 'rejected') {
+    throw new Error(`Offline response without a location was ${sync.data.data.results[0].status}`);
+  }
+  console.log('   Offline response without a location rejected on sync');
+}
+
+async function testResubmittedQuestions() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+  const created = await axios.post(`${API_BASE}/survey-templates`, {
+    ...testSurveyTemplate,
+    name: 'Resubmitted Questions Survey'
+  }, { headers });
+  const template = created.data.data.template;
+  const answersFor = questions => ({ [questions[0]._id]: 'Parking', [questions[1]._id]: 3 });
+
+  await axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: answersFor(template.questions)
+  }, { headers });
+
+  // Editors that rebuild the question list send the same content without ids
+  const update = await axios.put(`${API_BASE}/survey-templates/${template._id}`, {
+    questions: testSurveyTemplate.questions
+  }, { headers });
+  const updated = update.data.data.template;
+  if (!update.data.data.createdVersion) {
+    throw new Error('Questions with new ids did not create a new version');
+  }
+
+  const submitted = await axios.post(`${API_BASE}/survey-responses`, {
+    surveyTemplate: template._id,
+    responses: answersFor(updated.questions)
+  }, { headers });
+  if (submitted.data.data.response.templateVersionNumber !== updated.versionNumber) {
+    throw new Error('Response was not collected under the new version');
+  }
+  console.log(`   Response accepted under version ${updated.version} after the questions were resent`);
+}
+
 // Main test runner
 async function runAllTests() {
   console.log('🚀 Starting Comprehensive O-RANJ App Tests\n');
@@ -310,6 +1148,12 @@ async function runAllTests() {
   await testFlow('Submit Survey Response', testSubmitSurveyResponse);
   await wait(1000);
   
+  await testFlow('Reject Invalid Survey Response', testRejectInvalidResponse);
+  await wait(1000);
+
+  await testFlow('Edit Response and Detect Conflict', testEditResponseConflict);
+  await wait(1000);
+  
   await testFlow('Get Survey Responses', testGetSurveyResponses);
   await wait(1000);
   
@@ -324,8 +1168,56 @@ async function runAllTests() {
   
   await testFlow('Duplicate Template', testDuplicateTemplate);
   await wait(1000);
+
+  await testFlow('Template Versioning', testTemplateVersioning);
+  await wait(1000);
   
   await testFlow('Update User Profile', testUpdateProfile);
+  await wait(1000);
+
+  await testFlow('Team Invites and Membership', testTeamInvites);
+  await wait(1000);
+
+  await testFlow('Multiple Teams', testMultipleTeams);
+  await wait(1000);
+
+  await testFlow('Refresh Tokens and Logout', testRefreshTokens);
+  await wait(1000);
+
+  await testFlow('Email Verification and Password Reset', testEmailFlows);
+  await wait(1000);
+
+  await testFlow('Login Lockout', testLoginLockout);
+  await wait(1000);
+
+  await testFlow('Two-Factor Authentication', testTwoFactor);
+  await wait(1000);
+
+  await testFlow('Public Survey Links', testPublicLinks);
+  await wait(1000);
+
+  await testFlow('Survey Open/Close Schedule', testSurveySchedule);
+  await wait(1000);
+
+  await testFlow('Response Quotas', testQuotas);
+  await wait(1000);
+
+  await testFlow('Skip Logic', testSkipLogic);
+  await wait(1000);
+
+  await testFlow('Template Sections', testSections);
+  await wait(1000);
+
+  await testFlow('Additional Question Types', testQuestionTypes);
+  await wait(1000);
+
+  await testFlow('Media Questions and Uploads', testMediaUploads);
+
+  await wait(1000);
+  await testFlow('Required Response Location', testRequiredLocation);
+
+  await wait(1000);
+  await testFlow('Resubmitted Template Questions', testResubmittedQuestions);
   
   console.log('\n🎉 All tests completed!');
   console.log('\n📊 Summary:');